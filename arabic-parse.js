@@ -0,0 +1,287 @@
+// ==========================================
+// Frelancia - Arabic Value Parsing
+// ==========================================
+// Shared by the background service worker (importScripts), the offscreen
+// document, the Mostaql content script and the dashboard.
+//
+// Every helper accepts Arabic-Indic (٠-٩) and Persian (۰-۹) digits, hamza
+// variants and the spellings used across Egyptian, Levantine and Gulf pages.
+// Naive timestamps ("2026-02-14 10:30:00") are Mostaql server times in UTC.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Time units, in normalized spelling (see normalizeParseText). */
+const TIME_UNITS = [
+    { unit: 'minute', ms: 60 * 1000, singular: ['دقيقه'], dual: ['دقيقتين', 'دقيقتان'], plural: ['دقائق', 'دقايق'] },
+    { unit: 'hour', ms: 60 * 60 * 1000, singular: ['ساعه'], dual: ['ساعتين', 'ساعتان'], plural: ['ساعات'] },
+    { unit: 'day', ms: MS_PER_DAY, singular: ['يوم'], dual: ['يومين', 'يومان'], plural: ['ايام'] },
+    { unit: 'week', ms: 7 * MS_PER_DAY, singular: ['اسبوع'], dual: ['اسبوعين', 'اسبوعان'], plural: ['اسابيع'] },
+    { unit: 'month', ms: 30 * MS_PER_DAY, singular: ['شهر'], dual: ['شهرين', 'شهران'], plural: ['اشهر', 'شهور'] },
+    { unit: 'year', ms: 365 * MS_PER_DAY, singular: ['سنه', 'عام'], dual: ['سنتين', 'سنتان', 'عامين', 'عامان'], plural: ['سنوات', 'سنين', 'اعوام'] }
+];
+
+/** Number words up to ten, in normalized spelling. */
+const NUMBER_WORDS = {
+    'واحد': 1, 'واحده': 1, 'اثنين': 2, 'اثنان': 2, 'ثلاث': 3, 'ثلاثه': 3,
+    'اربع': 4, 'اربعه': 4, 'خمس': 5, 'خمسه': 5, 'ست': 6, 'سته': 6,
+    'سبع': 7, 'سبعه': 7, 'ثمان': 8, 'ثماني': 8, 'ثمانيه': 8,
+    'تسع': 9, 'تسعه': 9, 'عشر': 10, 'عشره': 10
+};
+
+/** Month names (normalized) → month index. Egyptian/Gulf and Levantine (Syriac) forms. */
+const ARABIC_MONTHS = {
+    'يناير': 0, 'فبراير': 1, 'مارس': 2, 'ابريل': 3, 'مايو': 4, 'يونيو': 5, 'يونيه': 5,
+    'يوليو': 6, 'يوليه': 6, 'اغسطس': 7, 'سبتمبر': 8, 'اكتوبر': 9, 'نوفمبر': 10, 'ديسمبر': 11,
+    'كانون الثاني': 0, 'شباط': 1, 'اذار': 2, 'نيسان': 3, 'ايار': 4, 'حزيران': 5,
+    'تموز': 6, 'اب': 7, 'ايلول': 8, 'تشرين الاول': 9, 'تشرين الثاني': 10, 'كانون الاول': 11
+};
+
+/**
+ * Currencies recognized in budget texts. `usdRate` is units per dollar for
+ * currencies pegged to the dollar; others are reported but not converted.
+ */
+const BUDGET_CURRENCIES = [
+    { code: 'USD', usdRate: 1, pattern: /\$|usd|دولار/i },
+    { code: 'SAR', usdRate: 3.75, pattern: /sar|ر\.س|ريال سعودي/i },
+    { code: 'AED', usdRate: 3.6725, pattern: /aed|د\.ا|درهم/i },
+    { code: 'QAR', usdRate: 3.64, pattern: /qar|ر\.ق|ريال قطري/i },
+    { code: 'KWD', usdRate: null, pattern: /kwd|د\.ك|دينار كويتي/i },
+    { code: 'EGP', usdRate: null, pattern: /egp|ج\.م|جنيه/i },
+    { code: 'EUR', usdRate: null, pattern: /€|eur|يورو/i }
+];
+
+// --- Normalization ---
+
+/**
+ * Converts Arabic-Indic and Persian digits (and the Arabic decimal and
+ * thousands separators) to ASCII.
+ * @param {string} text - Raw text
+ * @returns {string} - Text with ASCII digits
+ */
+function normalizeDigits(text) {
+    return String(text ?? '')
+        .replace(/[٠-٩]/g, d => d.charCodeAt(0) - 0x0660)
+        .replace(/[۰-۹]/g, d => d.charCodeAt(0) - 0x06F0)
+        .replace(/٫/g, '.')
+        .replace(/٬/g, ',');
+}
+
+/**
+ * Normalizes text for keyword lookups: ASCII digits, unified alef/yaa/taa
+ * marbuta, no diacritics, lower case, digits split from attached words.
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function normalizeParseText(text) {
+    return normalizeDigits(text)
+        .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ى/g, 'ي')
+        .replace(/ة/g, 'ه')
+        .replace(/(\d)(\p{L})/gu, '$1 $2')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Extracts every number in a text ("1,250.50", "١٢٥", "2k", "3 آلاف").
+ * @param {string} text - Raw text
+ * @returns {Array<number>}
+ */
+function parseNumbers(text) {
+    const normalized = normalizeParseText(text).replace(/(\d),(\d{3})(?!\d)/g, '$1$2');
+    const numbers = [];
+    const pattern = /(\d+(?:\.\d+)?)(?:\s*(k|الف|الاف)(?![\p{L}]))?/gu;
+    let match;
+    while ((match = pattern.exec(normalized)) !== null) {
+        numbers.push(parseFloat(match[1]) * (match[2] ? 1000 : 1));
+    }
+    return numbers;
+}
+
+// --- Durations & Relative Times ---
+
+/**
+ * Finds the first "<quantity> <unit>" in a text: "5 أيام", "أسبوعين",
+ * "شهر", "يوم واحد", "ثلاثة أسابيع".
+ * @param {string} text - Raw text
+ * @returns {Object|null} - { value, unit, ms }
+ */
+function parseTimeSpan(text) {
+    const tokens = normalizeParseText(text).split(' ');
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const unit = TIME_UNITS.find(u => [...u.singular, ...u.dual, ...u.plural].includes(token));
+        if (!unit) continue;
+
+        const before = tokens[i - 1];
+        const after = tokens[i + 1];
+        let value = null;
+        if (unit.dual.includes(token)) value = 2;
+        else if (before && /^\d+(\.\d+)?$/.test(before)) value = parseFloat(before);
+        else if (before && NUMBER_WORDS[before]) value = NUMBER_WORDS[before];
+        else if (after && NUMBER_WORDS[after]) value = NUMBER_WORDS[after];
+        else if (unit.singular.includes(token)) value = 1;
+        if (value === null) continue;
+
+        return { value, unit: unit.unit, ms: value * unit.ms };
+    }
+    return null;
+}
+
+/**
+ * Parses a project duration into days ("10 أيام", "أسبوعين" → 14, "شهر" → 30).
+ * A bare number is read as days.
+ * @param {string} durationText - Duration text
+ * @returns {number} - Days, 0 when unknown
+ */
+function parseDurationDays(durationText) {
+    if (!durationText) return 0;
+    const span = parseTimeSpan(durationText);
+    if (span) return Math.max(1, Math.ceil(span.ms / MS_PER_DAY));
+    const [number] = parseNumbers(durationText);
+    return number > 0 ? Math.round(number) : 0;
+}
+
+/**
+ * Parses a relative time phrase: "منذ 3 ساعات", "قبل يومين", "الآن", "أمس".
+ * @param {string} text - Relative time text
+ * @param {Date} [now] - Reference time
+ * @returns {Date|null}
+ */
+function parseRelativeTime(text, now = new Date()) {
+    const normalized = normalizeParseText(text);
+    if (!normalized) return null;
+    if (/^(الان|للتو|حالا)/.test(normalized)) return new Date(now.getTime());
+    if (/(^|\s)(امس|البارحه)(\s|$)/.test(normalized)) return new Date(now.getTime() - MS_PER_DAY);
+
+    const span = /(منذ|قبل|مضي)/.test(normalized) ? parseTimeSpan(normalized) : null;
+    return span ? new Date(now.getTime() - span.ms) : null;
+}
+
+// --- Dates ---
+
+/**
+ * Parses a timestamp. Naive "YYYY-MM-DD[ HH:mm[:ss]]" values are UTC; ISO
+ * strings with an offset, epoch milliseconds and Date objects pass through.
+ * @param {*} value - Timestamp
+ * @returns {Date|null}
+ */
+function parseDatetime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? new Date(value) : null;
+    if (typeof value !== 'string') return null;
+
+    const str = normalizeDigits(value).trim();
+    const match = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+    if (match) {
+        const date = new Date(Date.UTC(
+            Number(match[1]),
+            Number(match[2]) - 1,
+            Number(match[3]),
+            Number(match[4] ?? 0),
+            Number(match[5] ?? 0),
+            Number(match[6] ?? 0)
+        ));
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    const fallback = new Date(str);
+    return Number.isNaN(fallback.getTime()) ? null : fallback;
+}
+
+/**
+ * Parses a calendar date ("14 فبراير 2026", "١٤ شباط ٢٠٢٦", "14 كانون الثاني 2026",
+ * "14/02/2026", "2026-02-14") or a relative phrase into a local date.
+ * @param {string} text - Date text
+ * @param {Date} [now] - Reference time for relative phrases
+ * @returns {Date|null}
+ */
+function parseArabicDate(text, now = new Date()) {
+    const normalized = normalizeParseText(text);
+    if (!normalized) return null;
+
+    for (const [name, month] of Object.entries(ARABIC_MONTHS)) {
+        const match = normalized.match(new RegExp(`(\\d{1,2}) (?:${name}) (\\d{4})`));
+        if (match) return new Date(Number(match[2]), month, Number(match[1]));
+    }
+
+    const numeric = normalized.match(/(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})/);
+    if (numeric) {
+        const [day, year] = numeric[1].length === 4
+            ? [Number(numeric[3]), Number(numeric[1])]
+            : [Number(numeric[1]), Number(numeric[3])];
+        const date = new Date(year, Number(numeric[2]) - 1, day);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    return parseRelativeTime(normalized, now);
+}
+
+/**
+ * Days since a client's registration date.
+ * @param {string} dateText - Registration date text
+ * @returns {number} - Days, or -1 when the date cannot be parsed
+ */
+function calculateClientAgeDays(dateText) {
+    const regDate = parseArabicDate(dateText);
+    if (!regDate) return -1;
+    return Math.ceil(Math.abs(Date.now() - regDate.getTime()) / MS_PER_DAY);
+}
+
+// --- Budgets & Rates ---
+
+/**
+ * Parses a budget or budget range: "$25.00 - $50.00", "من ١٠٠ إلى ٢٥٠ دولار",
+ * "1,000 ر.س", "2k". Pegged currencies are converted to dollars.
+ * @param {string} budgetText - Budget text
+ * @returns {Object|null} - { min, max, currency } or null when no amount is present
+ */
+function parseBudget(budgetText) {
+    const numbers = parseNumbers(budgetText);
+    if (numbers.length === 0) return null;
+
+    const currency = BUDGET_CURRENCIES.find(c => c.pattern.test(normalizeParseText(budgetText))) || BUDGET_CURRENCIES[0];
+    const rate = currency.usdRate || 1;
+    const round = (v) => Math.round((v / rate) * 100) / 100;
+
+    return {
+        min: round(Math.min(...numbers)),
+        max: round(Math.max(...numbers)),
+        currency: currency.usdRate ? 'USD' : currency.code
+    };
+}
+
+/**
+ * Highest amount of a budget range (used to check user minimums).
+ * @param {string} budgetText - Budget text
+ * @returns {number} - Amount, 0 when unknown
+ */
+function parseBudgetValue(budgetText) {
+    const budget = parseBudget(budgetText);
+    return budget ? budget.max : 0;
+}
+
+/**
+ * Lowest amount of a budget range (used for the autofilled offer).
+ * @param {string} budgetText - Budget text
+ * @returns {number} - Amount, 0 when unknown
+ */
+function parseMinBudgetValue(budgetText) {
+    const budget = parseBudget(budgetText);
+    return budget ? budget.min : 0;
+}
+
+/**
+ * Parses a client hiring rate ("46.67%", "٥٠٪"). "لم يحسب بعد" yields 0.
+ * @param {string} rateText - Hiring rate text
+ * @returns {number} - Percentage
+ */
+function parseHiringRate(rateText) {
+    if (!rateText || rateText.includes('بعد')) return 0;
+    const [rate] = parseNumbers(rateText);
+    return rate || 0;
+}
@@ -0,0 +1,240 @@
+// ==========================================
+// Frelancia - Arabic-Aware Text Matching
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+//
+// Words are compared through their variants: the normalized word plus the
+// forms left after stripping attached clitics (و، ف، ب، ل، ك), the article
+// (ال) and common suffixes (ات، ين، ون، ة...). Two words match when their
+// variants overlap, so "تطبيق" finds "والتطبيقات" while "js" never
+// matches inside "json".
+
+/** Tashkeel (harakat, tanween, shadda, sukun, superscript alef) and tatweel. */
+const ARABIC_DIACRITICS = /[\u064B-\u065F\u0670\u0640]/g;
+
+/** Leading clitics and articles, longest first (normalized spelling). */
+const ARABIC_PREFIXES = ['وبال', 'وال', 'فال', 'بال', 'كال', 'لل', 'ال', 'وب', 'ول', 'و', 'ف', 'ب', 'ل', 'ك'];
+
+/** Trailing plural, dual and pronoun suffixes, longest first (normalized spelling). */
+const ARABIC_SUFFIXES = ['يات', 'ات', 'ون', 'ين', 'ان', 'يه', 'ها', 'هم', 'ه'];
+
+/** Shortest stem left after stripping affixes. */
+const ARABIC_MIN_STEM = 3;
+
+/**
+ * Normalizes Arabic spelling variants so they compare equal:
+ * hamza/alef forms → ا, ؤ → و, ئ/ى → ي, ة → ه, diacritics and tatweel removed.
+ * Latin text is lower-cased.
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+function normalizeArabic(text) {
+    return (text || '')
+        .replace(ARABIC_DIACRITICS, '')
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ؤ/g, 'و')
+        .replace(/[ئى]/g, 'ي')
+        .replace(/ة/g, 'ه')
+        .toLowerCase();
+}
+
+/**
+ * Light English stemmer (plural, -ing, -ed, -ly, -er suffixes), enough for
+ * "developing"/"developer"/"develops" to meet "develop".
+ * @param {string} word - Lower-case latin word
+ * @returns {string} - Stem
+ */
+function stemEnglish(word) {
+    if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+    let stem = word;
+    if (stem.endsWith('ies') && stem.length > 4) stem = stem.slice(0, -3) + 'y';
+    else if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+    else if (stem.endsWith('s') && !stem.endsWith('ss') && !stem.endsWith('us')) stem = stem.slice(0, -1);
+
+    for (const suffix of ['ing', 'ers', 'er', 'ed', 'ly', 'ment']) {
+        if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+            stem = stem.slice(0, -suffix.length);
+            break;
+        }
+    }
+
+    // "running" → "runn" → "run"
+    if (/([^aeiouls])\1$/.test(stem)) stem = stem.slice(0, -1);
+    return stem;
+}
+
+/**
+ * Lists the comparable forms of a normalized word.
+ * @param {string} word - Normalized token
+ * @returns {Array<string>} - The word and its affix-stripped forms
+ */
+function getWordVariants(word) {
+    if (!/[\u0600-\u06FF]/.test(word)) {
+        const stem = stemEnglish(word);
+        return stem === word ? [word] : [word, stem];
+    }
+
+    const bases = [word];
+    ARABIC_PREFIXES.forEach(prefix => {
+        if (word.startsWith(prefix) && word.length - prefix.length >= ARABIC_MIN_STEM) {
+            bases.push(word.slice(prefix.length));
+        }
+    });
+
+    const variants = new Set(bases);
+    bases.forEach(base => {
+        const suffix = ARABIC_SUFFIXES.find(s => base.endsWith(s) && base.length - s.length >= ARABIC_MIN_STEM);
+        if (suffix) variants.add(base.slice(0, -suffix.length));
+    });
+    return [...variants];
+}
+
+/**
+ * Splits text into normalized tokens. "#", "+" and inner dots are kept so
+ * "c#", "c++" and "node.js" stay whole.
+ * @param {string} text - Raw text
+ * @returns {Array<string>} - Tokens
+ */
+function tokenizeText(text) {
+    return normalizeArabic(text)
+        .split(/[^\p{L}\p{N}#+.]+/u)
+        .map(token => token.replace(/^[.]+|[.]+$/g, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Tokenizes text and expands every token into its variants.
+ * @param {string} text - Raw text
+ * @returns {Array<Set<string>>} - One variant set per token, in order
+ */
+function analyzeText(text) {
+    return tokenizeText(text).map(token => new Set(getWordVariants(token)));
+}
+
+/**
+ * Checks whether analyzed text contains a word or phrase as whole words.
+ * @param {Array<Set<string>>} analyzed - Result of analyzeText
+ * @param {string} phrase - Word or multi-word phrase
+ * @returns {boolean}
+ */
+function analyzedTextContains(analyzed, phrase) {
+    const words = tokenizeText(phrase).map(getWordVariants);
+    if (words.length === 0) return false;
+
+    for (let i = 0; i + words.length <= analyzed.length; i++) {
+        if (words.every((variants, j) => variants.some(v => analyzed[i + j].has(v)))) return true;
+    }
+    return false;
+}
+
+// --- Keywords & Synonyms ---
+
+/**
+ * Parses synonym groups, one group per line: "تطبيق، app، mobile".
+ * @param {string} text - Editable text
+ * @returns {Array<Array<string>>} - Groups of two or more terms
+ */
+function parseSynonymGroups(text) {
+    return (text || '').split('\n')
+        .map(line => line.split(/[,،]/).map(term => term.trim()).filter(Boolean))
+        .filter(group => group.length > 1);
+}
+
+/**
+ * Formats synonym groups back into editable lines.
+ * @param {Array<Array<string>>} groups - Synonym groups
+ * @returns {string}
+ */
+function formatSynonymGroups(groups) {
+    return (groups || []).map(group => group.join('، ')).join('\n');
+}
+
+/**
+ * Expands a keyword with the members of every synonym group it belongs to.
+ * @param {string} keyword - Keyword or phrase
+ * @param {Array<Array<string>>} synonyms - Synonym groups
+ * @returns {Array<string>} - The keyword followed by its synonyms
+ */
+function expandKeyword(keyword, synonyms = []) {
+    const key = tokenizeText(keyword).join(' ');
+    const terms = [keyword];
+    synonyms.forEach(group => {
+        if (group.some(term => tokenizeText(term).join(' ') === key)) {
+            terms.push(...group.filter(term => !terms.includes(term)));
+        }
+    });
+    return terms;
+}
+
+/**
+ * Matches a keyword against text as whole words, including its synonyms.
+ * A keyword written as /pattern/flags is a regular expression, tested
+ * against both the raw and the normalized text.
+ * @param {string} text - Raw text
+ * @param {string} keyword - Keyword, phrase or /regex/
+ * @param {Array<Array<string>>} [synonyms] - Synonym groups
+ * @returns {boolean|null} - null when the regex is invalid
+ */
+function matchKeyword(text, keyword, synonyms = []) {
+    const regex = String(keyword).trim().match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        try {
+            const pattern = new RegExp(regex[1], regex[2].includes('i') ? regex[2] : regex[2] + 'i');
+            return pattern.test(text) || pattern.test(normalizeArabic(text));
+        } catch (e) {
+            console.warn(`Invalid keyword regex: ${keyword}`);
+            return null;
+        }
+    }
+
+    const analyzed = analyzeText(text);
+    return expandKeyword(keyword, synonyms).some(term => analyzedTextContains(analyzed, term));
+}
+
+// --- Search Queries ---
+
+/**
+ * Parses a search query: "quoted phrases", -excluded words and plain words.
+ * @param {string} query - User query
+ * @returns {Object} - { terms, phrases, excluded }
+ */
+function parseSearchQuery(query) {
+    const phrases = [];
+    const rest = (query || '').replace(/"([^"]+)"/g, (match, phrase) => {
+        if (tokenizeText(phrase).length > 0) phrases.push(phrase);
+        return ' ';
+    });
+
+    const terms = [];
+    const excluded = [];
+    rest.split(/\s+/).filter(Boolean).forEach(word => {
+        const target = word.startsWith('-') ? excluded : terms;
+        target.push(...tokenizeText(word.replace(/^-/, '')));
+    });
+
+    return { terms, phrases, excluded };
+}
+
+/**
+ * Scores how well text fields match a parsed query.
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @param {Array<Object>} fields - [{ text, weight }]
+ * @returns {number} - 0 when the query does not match, otherwise a relevance score
+ */
+function matchSearchQuery(parsed, fields) {
+    const docs = fields.map(field => ({ analyzed: analyzeText(field.text), weight: field.weight }));
+
+    if (parsed.excluded.some(term => docs.some(doc => analyzedTextContains(doc.analyzed, term)))) return 0;
+
+    let score = 0;
+    for (const [terms, boost] of [[parsed.terms, 1], [parsed.phrases, 2]]) {
+        for (const term of terms) {
+            const hits = docs.filter(doc => analyzedTextContains(doc.analyzed, term));
+            if (hits.length === 0) return 0;
+            score += hits.reduce((sum, doc) => sum + doc.weight * boost, 0);
+        }
+    }
+
+    return score;
+}
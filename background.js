@@ -24,13 +24,8 @@ try {
 // Import SignalR client library (loaded via importScripts)
 /* global signalR, signalRClient */
 
-// URLs to monitor
-const MOSTAQL_URLS = {
-  development: 'https://mostaql.com/projects?category=development&sort=latest',
-  ai: 'https://mostaql.com/projects?category=ai-machine-learning&sort=latest',
-  all: 'https://mostaql.com/projects?sort=latest'
-};
-
+// Load shared modules
+importScripts('html-escape.js', 'arabic-parse.js', 'arabic-text.js', 'mostaql-search.js', 'filter-rules.js', 'quiet-schedule.js', 'polling-schedule.js', 'watch-profiles.js', 'job-scoring.js', 'job-archive.js', 'report-styles.js', 'digest-report.js', 'webhooks.js', 'chat-channels.js', 'signalr-hubs.js', 'project-history.js', 'tracked-projects.js', 'request-scheduler.js', 'project-cache.js', 'parser-health.js', 'mostaql-selectors.js');
 
 
 const DEFAULT_PROMPTS = [
@@ -62,21 +57,20 @@ const DEFAULT_PROMPTS = [
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Extension installed');
 
-  chrome.storage.local.get(['settings', 'seenJobs', 'stats', 'trackedProjects', 'prompts', 'recentJobs', 'proposalTemplate'], (data) => {
+  chrome.storage.local.get(['settings', 'seenJobs', 'stats', 'trackedProjects', 'prompts', 'recentJobs', 'proposalTemplate', 'savedSearches', 'profiles'], (data) => {
     const changes = {};
 
     if (!data.settings) {
       changes.settings = {
-        development: true,
-        ai: true,
-        all: true,
         sound: true,
         interval: 1
       };
     }
 
-    if (!data.seenJobs) changes.seenJobs = [];
-    if (!data.recentJobs) changes.recentJobs = [];
+    // Move the capped seenJobs/recentJobs arrays into the IndexedDB archive
+    if (data.seenJobs || data.recentJobs) {
+      migrateToJobArchive(data.seenJobs || [], data.recentJobs || []);
+    }
 
     if (!data.stats) {
       changes.stats = {
@@ -88,6 +82,16 @@ chrome.runtime.onInstalled.addListener(() => {
 
     if (!data.trackedProjects) changes.trackedProjects = {};
 
+    // Convert the old development/ai/all toggles into saved searches
+    if (!data.savedSearches) {
+      changes.savedSearches = migrateLegacySearches(data.settings || {});
+    }
+
+    // Bundle the old flat filters, sound and quiet hours into a default watch profile
+    if (!data.profiles) {
+      changes.profiles = [migrateLegacyProfile(data.settings || {})];
+    }
+
     // Only seed prompts if strictly missing or empty array (optional, maybe user deleted all?)
     // Let's safe-guard: if undefined, seed.
     if (!data.prompts) {
@@ -105,8 +109,17 @@ chrome.runtime.onInstalled.addListener(() => {
     }
   });
 
-  // Create alarm for checking jobs (still used for tracked projects and fallback)
-  chrome.alarms.create('checkJobs', { periodInMinutes: 1 });
+  // Create alarm for checking jobs (polling and SignalR fallback)
+  schedulePollingAlarm();
+
+  // Tracked projects are checked on their own alarm
+  scheduleTrackedAlarm();
+
+  // Apply the archive retention once a day
+  chrome.alarms.create('pruneArchive', { periodInMinutes: 24 * 60 });
+
+  // Scheduled digest report (if enabled in settings)
+  scheduleDigestAlarm();
 
   // Note: SignalR will be initialized by initOnStartup() below
 });
@@ -114,11 +127,18 @@ chrome.runtime.onInstalled.addListener(() => {
 // Listen for alarm
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'checkJobs') {
-    const data = await chrome.storage.local.get(['settings']);
+    const data = await chrome.storage.local.get(['settings', 'pollingBackoff']);
     const notificationMode = (data.settings || {}).notificationMode || 'auto';
 
-    // Always check tracked projects regardless of mode
-    checkTrackedProjects();
+    // Always deliver pending quiet-time digests regardless of mode
+    deliverQuietDigests();
+
+    // Leave Mostaql alone while it is refusing our fetches
+    if (isPollingBackedOff(data.pollingBackoff)) {
+      console.log(`Polling backed off until ${new Date(data.pollingBackoff.nextAttemptAt).toLocaleTimeString()}`);
+      if (notificationMode !== 'polling') await initializeSignalR();
+      return;
+    }
 
     if (notificationMode === 'polling') {
       // User chose polling only — skip SignalR entirely
@@ -144,6 +164,38 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     }
   }
 
+  // A polling band started or ended
+  if (alarm.name === 'pollingBand') {
+    await schedulePollingAlarm();
+  }
+
+  if (alarm.name === 'pruneArchive') {
+    const data = await chrome.storage.local.get(['settings']);
+    const retentionDays = (data.settings || {}).archiveRetentionDays ?? DEFAULT_ARCHIVE_RETENTION_DAYS;
+    const deleted = await pruneJobArchive(retentionDays);
+    console.log(`Archive retention (${retentionDays} days): removed ${deleted} jobs`);
+
+    // Catches snapshots recorded by a check that raced with an untrack
+    const { trackedProjects = {} } = await chrome.storage.local.get(['trackedProjects']);
+    await pruneProjectSnapshots(Object.keys(trackedProjects)).catch(e => console.error('Error pruning project snapshots:', e));
+  }
+
+  if (alarm.name === 'trackedProjects') {
+    // Tracked checks fetch Mostaql too, so they wait out a backoff as well
+    const { pollingBackoff } = await chrome.storage.local.get(['pollingBackoff']);
+    if (!isPollingBackedOff(pollingBackoff)) await checkTrackedProjects();
+    await scheduleTrackedAlarm();
+  }
+
+  if (alarm.name === 'webhookRetry') {
+    await runWebhookTask(retryWebhookDeliveries);
+  }
+
+  if (alarm.name === 'digestReport') {
+    await generateScheduledDigest();
+    scheduleDigestAlarm();
+  }
+
   // Handle SignalR reconnection alarm (created by signalr-client.js)
   if (alarm.name === 'signalRReconnect') {
     console.log('SignalR: Reconnect alarm fired, attempting to reconnect...');
@@ -156,6 +208,9 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 // Initialize SignalR on service worker startup (respects user mode)
 (async function initOnStartup() {
   console.log('Service worker started');
+  // The browser may have been closed across a band boundary
+  await schedulePollingAlarm();
+  await scheduleTrackedAlarm();
   const data = await chrome.storage.local.get(['settings']);
   const mode = (data.settings || {}).notificationMode || 'auto';
 
@@ -203,13 +258,59 @@ async function initializeSignalR() {
   }
 }
 
-// Check for new jobs
-async function checkForNewJobs() {
+// Run `checkJobs` at the shortest interval an enabled search needs right now,
+// and come back at the next band boundary to pick the new one
+async function schedulePollingAlarm() {
+  const data = await chrome.storage.local.get(['settings', 'savedSearches']);
+  const settings = data.settings || {};
+  const now = new Date();
+  const searches = (data.savedSearches || migrateLegacySearches(settings))
+    .map(createSavedSearch)
+    .filter(search => search.enabled);
+
+  const period = getPollingAlarmPeriod(searches, settings, now);
+  const current = await chrome.alarms.get('checkJobs');
+  if (!current || current.periodInMinutes !== period) {
+    await chrome.alarms.create('checkJobs', { periodInMinutes: period });
+    console.log(`Alarm 'checkJobs' set to every ${period} minutes.`);
+  }
+
+  const boundary = getNextPollingBoundary(settings, now);
+  if (boundary) {
+    await chrome.alarms.create('pollingBand', { when: boundary.getTime() });
+  } else {
+    await chrome.alarms.clear('pollingBand');
+  }
+}
+
+// Saved searches may override the polling interval
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.savedSearches) schedulePollingAlarm();
+});
+
+// Resend the hub subscription when the profiles or their searches change
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !SIGNALR_AVAILABLE || typeof signalRClient === 'undefined') return;
+  if (changes.profiles || changes.savedSearches || changes.keywordSynonyms || changes.settings) {
+    signalRClient.sendSubscription();
+  }
+});
+
+// Check for new jobs. Searches whose interval has not elapsed yet are skipped
+// unless `force` is set (a manual check).
+async function checkForNewJobs(force = false) {
   try {
-    const data = await chrome.storage.local.get(['settings', 'seenJobs', 'stats', 'recentJobs', 'notificationsEnabled']);
+    const data = await chrome.storage.local.get(['settings', 'stats', 'notificationsEnabled', 'savedSearches', 'profiles', 'scoring', 'keywordSynonyms', 'quietVacations', 'listingCursors', 'searchPolledAt']);
     const settings = data.settings || {};
-    let seenJobs = data.seenJobs || [];
-    let recentJobs = data.recentJobs || [];
+    const savedSearches = data.savedSearches || migrateLegacySearches(settings);
+    const listingCursors = {};
+    const searchPolledAt = {};
+    savedSearches.forEach(search => {
+      if ((data.listingCursors || {})[search.id]) listingCursors[search.id] = data.listingCursors[search.id];
+      if ((data.searchPolledAt || {})[search.id]) searchPolledAt[search.id] = data.searchPolledAt[search.id];
+    });
+    const profiles = getWatchProfiles(data);
+    const synonyms = data.keywordSynonyms || [];
     let stats = data.stats || {};
     // Ensure stats has default values (migration safety)
     if (typeof stats.todayCount !== 'number') stats.todayCount = 0;
@@ -222,173 +323,145 @@ async function checkForNewJobs() {
       stats.todayDate = new Date().toDateString();
     }
 
-    let allNewJobs = [];
-
-    // Check each enabled category
-    for (const [category, url] of Object.entries(MOSTAQL_URLS)) {
-      // Default to true if setting is missing (undefined/null)
-      if (settings[category] !== false) {
-        console.log(`Checking category: ${category}`);
+    // Check each enabled saved search, remembering which searches found each job.
+    // When page 1 no longer reaches the newest job seen on a listing (after sleep
+    // or network loss), later pages are read until the gap is closed; the jobs
+    // recovered that way are marked late.
+    const fetchedJobs = new Map();
+    for (const search of savedSearches) {
+      if (search.enabled !== false) {
+        if (!force && !isSearchPollDue(search, settings, searchPolledAt[search.id])) continue;
+        console.log(`Checking saved search: ${search.name}`);
+        const url = getPollingSearchUrl(search);
+        searchPolledAt[search.id] = Date.now();
         const jobs = await fetchJobs(url);
-        console.log(`Found ${jobs.length} total jobs in ${category}`);
+        console.log(`Found ${jobs.length} total jobs in ${search.name}`);
+        if (jobs.length === 0) {
+          // Stop hitting Mostaql for the other searches once it refused a fetch
+          const { pollingBackoff } = await chrome.storage.local.get(['pollingBackoff']);
+          if (isPollingBackedOff(pollingBackoff)) break;
+          continue;
+        }
 
-        // Update Recent Jobs (Visible in dashboard, regardless if seen or not)
-        jobs.forEach(job => {
-          if (applyFilters(job, settings)) {
-            const existingIdx = recentJobs.findIndex(rj => rj.id === job.id);
-            if (existingIdx !== -1) {
-              // Update existing entry with potentially newer metadata (budget/time from list)
-              recentJobs[existingIdx] = { ...recentJobs[existingIdx], ...job };
-            } else {
-              // Add as new recent job at the top
-              recentJobs.unshift(job);
-            }
+        const lastJobId = listingCursors[search.id];
+        const ids = jobs.map(job => Number(job.id));
+        if (lastJobId && Math.min(...ids) > Number(lastJobId)) {
+          console.log(`Gap in ${search.name} after job ${lastJobId}, reading more pages`);
+          const gap = await fetchListingSince(url, lastJobId, LISTING_GAP_MAX_PAGES, 2);
+          if (!gap.complete) {
+            console.warn(`Gap in ${search.name} not closed after ${LISTING_GAP_MAX_PAGES} pages, older jobs are skipped`);
           }
-        });
-
-        const newJobs = jobs.filter(job => {
-          // 1. Check if already seen
-          if (seenJobs.includes(job.id)) return false;
-
-          // 2. Apply Filters
-          return applyFilters(job, settings);
-        });
-        console.log(`Found ${newJobs.length} NEW jobs in ${category}`);
-
-        allNewJobs = allNewJobs.concat(newJobs);
+          gap.jobs
+            .filter(job => !ids.includes(Number(job.id)))
+            .forEach(job => jobs.push({ ...job, late: true }));
+        }
+        listingCursors[search.id] = String(Math.max(Number(lastJobId) || 0, ...ids));
 
-        // Add new job IDs to seen list
-        newJobs.forEach(job => {
-          if (!seenJobs.includes(job.id)) {
-            seenJobs.push(job.id);
+        jobs.forEach(job => {
+          const existing = fetchedJobs.get(job.id);
+          if (existing) {
+            existing.searchIds.push(search.id);
+            existing.late = existing.late && job.late;
+          } else {
+            fetchedJobs.set(job.id, { ...job, searchIds: [search.id] });
           }
         });
       }
     }
 
-    // --- PHASE 1: Immediate Commit ---
-    // Update basic stats and store shallow results so the dashboard updates immediately.
-    stats.lastCheck = new Date().toISOString();
-    stats.todayCount += allNewJobs.length;
+    // Dedup against the archive; known jobs keep their enriched details
+    const archived = await getArchivedJobs(Array.from(fetchedJobs.keys()));
+    const jobs = Array.from(fetchedJobs.values()).map(job => mergeJobRecord(archived.get(job.id), job));
 
-    // Keep only last 500 job IDs to prevent storage overflow
-    if (seenJobs.length > 500) {
-      seenJobs = seenJobs.slice(-500);
-    }
-
-    // Keep only last 50 recent jobs for dashboard, ensuring they are sorted by recency
-    recentJobs.sort((a, b) => {
-      const idA = parseInt(a.id) || 0;
-      const idB = parseInt(b.id) || 0;
-      return idB - idA;
+    const allNewJobs = [];
+    jobs.forEach(job => {
+      // Tags the job with the profiles it matched (archived either way)
+      if (!applyFilters(job, profiles, synonyms)) return;
+      Object.assign(job, scoreJob(job, data.scoring, synonyms));
+      if (!archived.has(job.id)) allNewJobs.push(job);
     });
-    recentJobs = recentJobs.slice(0, 50);
+    console.log(`Found ${allNewJobs.length} NEW jobs across ${fetchedJobs.size} fetched`);
 
-    // Save Basic state immediately so dashboard shows projects right away
-    await chrome.storage.local.set({ seenJobs, stats, recentJobs });
-    console.log(`Phase 1 Commit: Saved ${allNewJobs.length} new jobs to dashboard.`);
+    // --- PHASE 1: Immediate Commit ---
+    // Archive every fetched job and update basic stats so the dashboard updates immediately.
+    await archiveJobs(jobs);
+    stats.lastCheck = new Date().toISOString();
+    stats.todayCount += allNewJobs.length;
+    stats.totalSeen = await countArchivedJobs();
+    await chrome.storage.local.set({ stats, listingCursors, searchPolledAt });
+    console.log(`Phase 1 Commit: Archived ${jobs.length} jobs (${allNewJobs.length} new).`);
 
     // --- PHASE 2: Deep Filtering & Notifications ---
 
     // 2.1 Enrichment: Ensure top 10 projects have full details
-    // This helps if they were seen previously but details were never fetched
-    const top10 = recentJobs.slice(0, 10);
-    for (const job of top10) {
-      if (!job.description || !job.hiringRate || job.hiringRate === 'غير محدد') {
-        console.log(`Enriching top project ${job.id} for dashboard...`);
-        try {
-          const projectDetails = await fetchProjectDetails(job.url);
-          if (projectDetails) {
-            job.description = projectDetails.description;
-            job.hiringRate = projectDetails.hiringRate;
-            job.status = projectDetails.status;
-            job.communications = projectDetails.communications;
-            job.duration = projectDetails.duration;
-            job.registrationDate = projectDetails.registrationDate;
-            if ((!job.budget || job.budget === 'غير محدد') && projectDetails.budget) job.budget = projectDetails.budget;
-
-            // Commit change to storage
-            const rjIdx = recentJobs.findIndex(rj => rj.id === job.id);
-            if (rjIdx !== -1) {
-              recentJobs[rjIdx] = { ...recentJobs[rjIdx], ...job };
-              chrome.storage.local.set({ recentJobs });
-            }
-          }
-        } catch (e) {
-          console.error(`Error enriching job ${job.id}:`, e);
+    // This helps if they were seen previously but details were never fetched.
+    // It runs alongside the deep check below, whose requests the scheduler sends first.
+    const top10 = (await getRecentArchivedJobs(10))
+      .filter(job => !job.description || !job.hiringRate || job.hiringRate === 'غير محدد');
+    const enrichment = runWithConcurrency(top10, PROJECT_DETAILS_CONCURRENCY, async (job) => {
+      console.log(`Enriching top project ${job.id} for dashboard...`);
+      try {
+        const projectDetails = await fetchProjectDetails(job.url, 'enrichment');
+        if (projectDetails) {
+          applyProjectDetails(job, projectDetails);
+          Object.assign(job, scoreJob(job, data.scoring, synonyms));
+
+          // Commit change to the archive
+          await archiveJobs([job]);
         }
+      } catch (e) {
+        console.error(`Error enriching job ${job.id}:`, e);
       }
-    }
+    });
 
     // If no new jobs for notification, we are done
     if (allNewJobs.length === 0) {
+      await enrichment;
       console.log(`✓ Check completed at ${new Date().toLocaleTimeString()}, found 0 new jobs`);
-      return { success: true, newJobs: 0, totalChecked: seenJobs.length };
-    }
-
-    // 3. Quiet Hours Check
-    if (settings.quietHoursEnabled && isQuietHour(settings)) {
-      console.log('Quiet Hours active, suppressing notifications/sounds');
-      return { success: true, newJobs: 0, suppressed: allNewJobs.length };
+      return { success: true, newJobs: 0, totalChecked: stats.totalSeen };
     }
 
-    // Deeper filtering and details extraction for jobs that passed basic list filters
-    const qualityJobs = [];
-    for (const job of allNewJobs) {
+    // Deeper filtering (also during quiet time: queued jobs must pass the same checks) and details extraction for jobs that passed basic list filters
+    const deepChecked = await runWithConcurrency(allNewJobs, PROJECT_DETAILS_CONCURRENCY, async (job) => {
       console.log(`Deep checking job ${job.id} for details...`);
       try {
-        const projectDetails = await fetchProjectDetails(job.url);
+        // Part of the scan: the details decide whether the job is announced
+        const projectDetails = await fetchProjectDetails(job.url, 'scan');
 
         if (projectDetails) {
-          // Enrich job object with details
-          job.description = projectDetails.description;
-          job.hiringRate = projectDetails.hiringRate;
-          job.status = projectDetails.status;
-          job.communications = projectDetails.communications;
-          job.duration = projectDetails.duration;
-          job.registrationDate = projectDetails.registrationDate;
-
-          if ((!job.budget || job.budget === 'غير محدد') && projectDetails.budget) {
-            job.budget = projectDetails.budget;
-          }
+          applyProjectDetails(job, projectDetails);
 
           // 2nd Pass: Re-check filters
-          if (!applyFilters(job, settings)) {
+          if (!applyFilters(job, profiles, synonyms)) {
             console.log(`Filtering out job ${job.id} after deep check`);
-            continue;
+            return false;
           }
+          Object.assign(job, scoreJob(job, data.scoring, synonyms));
         }
       } catch (e) {
         console.error(`Error deep checking job ${job.id}:`, e);
       }
+      return true;
+    });
+    const qualityJobs = allNewJobs.filter((job, index) => deepChecked[index]);
 
-      qualityJobs.push(job);
-
-      // Incremental Update: Add enriched details back to recentJobs as we get them
-      const rjIdx = recentJobs.findIndex(rj => rj.id === job.id);
-      if (rjIdx !== -1) {
-        recentJobs[rjIdx] = { ...recentJobs[rjIdx], ...job };
-        chrome.storage.local.set({ recentJobs });
-      }
-    }
+    // Store the enriched details (including jobs dropped by the deep check)
+    await archiveJobs(allNewJobs);
 
     if (qualityJobs.length > 0) {
       // Check if notifications are globally enabled
       const isEnabled = data.notificationsEnabled !== false;
       
       if (isEnabled) {
-        showNotification(qualityJobs);
-
-        if (settings.sound) {
-          playSound();
-        }
+        await alertWatchProfiles(qualityJobs, profiles, data.quietVacations || []);
       } else {
         console.log('Notifications are toggled off. Skipping alert for new jobs.');
       }
     }
 
+    await enrichment;
     console.log(`✓ Check completed at ${new Date().toLocaleTimeString()}, found ${allNewJobs.length} new jobs`);
-    return { success: true, newJobs: allNewJobs.length, totalChecked: seenJobs.length };
+    return { success: true, newJobs: allNewJobs.length, totalChecked: stats.totalSeen };
 
   } catch (error) {
     console.error('Error checking jobs:', error);
@@ -396,144 +469,416 @@ async function checkForNewJobs() {
   }
 }
 
-// Filter logic
-function applyFilters(job, settings) {
-  // Budget Filter
-  if (settings.minBudget > 0 && job.budget) {
-    const budgetValue = parseBudgetValue(job.budget);
-    if (budgetValue > 0 && budgetValue < settings.minBudget) {
-      console.log(`Filtering out job ${job.id} due to low budget: ${job.budget} -> ${budgetValue} < ${settings.minBudget}`);
-      return false;
-    }
+// One-time move of the legacy storage arrays into the archive
+async function migrateToJobArchive(seenJobs, recentJobs) {
+  try {
+    await archiveJobs([...seenJobs.map(id => ({ id })), ...recentJobs]);
+    await chrome.storage.local.remove(['seenJobs', 'recentJobs']);
+    const data = await chrome.storage.local.get(['stats']);
+    await chrome.storage.local.set({ stats: { ...(data.stats || {}), totalSeen: await countArchivedJobs() } });
+    console.log(`Migrated ${seenJobs.length} seen and ${recentJobs.length} recent jobs to the archive`);
+  } catch (error) {
+    console.error('Error migrating jobs to the archive:', error);
   }
+}
 
-  // Hiring Rate Filter
-  if (settings.minHiringRate > 0 && job.hiringRate) {
-    const hiringRateValue = parseHiringRate(job.hiringRate);
-    if (hiringRateValue < settings.minHiringRate) {
-      console.log(`Filtering out job ${job.id} due to low hiring rate: ${job.hiringRate} -> ${hiringRateValue}% < ${settings.minHiringRate}%`);
-      return false;
-    }
-  }
+// Filter logic (shared by polling and SignalR): tags the job with the watch profiles it matched
+function applyFilters(job, profiles, synonyms) {
+  job.profileIds = matchWatchProfiles(job, profiles, synonyms).map(p => p.id);
 
-  // Keyword Filter (Include)
-  if (settings.keywordsInclude && settings.keywordsInclude.trim() !== '') {
-    const includes = settings.keywordsInclude.toLowerCase().split(',').map(k => k.trim());
-    const jobContent = (job.title + ' ' + (job.description || '')).toLowerCase();
-    const matchesMatch = includes.some(k => jobContent.includes(k));
-    if (!matchesMatch) {
-      console.log(`Filtering out job ${job.id} because it doesn't match include keywords`);
-      return false;
-    }
+  if (job.profileIds.length === 0) {
+    console.log(`Filtering out job ${job.id}: no watch profile matched`);
+    return false;
   }
+  return true;
+}
 
-  // Keyword Filter (Exclude)
-  if (settings.keywordsExclude && settings.keywordsExclude.trim() !== '') {
-    const excludes = settings.keywordsExclude.toLowerCase().split(',').map(k => k.trim());
-    const jobContent = (job.title + ' ' + (job.description || '')).toLowerCase();
-    const matchesExclude = excludes.some(k => jobContent.includes(k));
-    if (matchesExclude) {
-      console.log(`Filtering out job ${job.id} because it matches exclude keywords`);
-      return false;
+// Alert each profile about its jobs. A job is announced once, by the first
+// profile it matched that is not in quiet time and whose score threshold it
+// meets. Jobs whose eligible profiles are all quiet wait for the digest.
+async function alertWatchProfiles(jobs, profiles, vacations = []) {
+  const groups = new Map();
+  const queued = [];
+
+  jobs.forEach(job => {
+    const eligible = profiles.filter(p => (job.profileIds || []).includes(p.id)
+      && (job.score === undefined || job.score >= p.minScore));
+    const profile = eligible.find(p => !isQuietTime(p, vacations));
+    if (!profile) {
+      if (eligible.length > 0) {
+        console.log(`Quiet time for every profile of job ${job.id}, queueing it for the digest`);
+        queued.push({ jobId: job.id, profileId: eligible[0].id, queuedAt: Date.now() });
+      } else {
+        console.log(`No profile may alert about job ${job.id} (score ${job.score}), suppressing alert`);
+      }
+      return;
     }
+    if (!groups.has(profile.id)) groups.set(profile.id, { profile, jobs: [] });
+    groups.get(profile.id).jobs.push(job);
+  });
+
+  groups.forEach(({ profile, jobs: profileJobs }) => {
+    showNotification(profileJobs, profile);
+    playSound(profile.sound);
+    profileJobs.forEach(job => dispatchWebhookEvent('job', { job: getWebhookJobData(job, profile) }));
+    runWebhookTask(() => sendChatChannelAlerts(profileJobs, profile));
+  });
+
+  if (queued.length > 0) await queueQuietJobs(queued);
+}
+
+// --- Quiet Time Digest ---
+
+async function queueQuietJobs(entries) {
+  const { quietQueue = [] } = await chrome.storage.local.get(['quietQueue']);
+  const queuedIds = new Set(quietQueue.map(entry => entry.jobId));
+  const updated = [...quietQueue, ...entries.filter(entry => !queuedIds.has(entry.jobId))];
+  await chrome.storage.local.set({ quietQueue: updated.slice(-MAX_QUIET_QUEUE) });
+}
+
+// Deliver the jobs of every profile whose quiet time is over as one digest
+// notification. The delivered jobs stay listed in the dashboard (`quietDigest`)
+// until the user clears them.
+async function deliverQuietDigests() {
+  try {
+    const data = await chrome.storage.local.get(['quietQueue', 'quietDigest', 'quietVacations', 'profiles', 'settings']);
+    const queue = data.quietQueue || [];
+    if (queue.length === 0) return;
+
+    const profiles = getWatchProfiles(data);
+    const vacations = data.quietVacations || [];
+    const isReady = (entry) => {
+      const profile = profiles.find(p => p.id === entry.profileId);
+      return !profile || !isQuietTime(profile, vacations);
+    };
+
+    const ready = queue.filter(isReady);
+    if (ready.length === 0) return;
+
+    // Re-read so jobs queued while this ran are kept
+    const { quietQueue: latest = [] } = await chrome.storage.local.get(['quietQueue']);
+    const readyIds = new Set(ready.map(entry => entry.jobId));
+    const previous = data.quietDigest ? data.quietDigest.entries : [];
+    const quietDigest = {
+      deliveredAt: Date.now(),
+      entries: [...ready, ...previous.filter(entry => !readyIds.has(entry.jobId))].slice(0, MAX_QUIET_QUEUE)
+    };
+    await chrome.storage.local.set({
+      quietQueue: latest.filter(entry => !readyIds.has(entry.jobId)),
+      quietDigest
+    });
+
+    const archived = await getArchivedJobs(ready.map(entry => entry.jobId));
+    const jobs = ready.map(entry => archived.get(entry.jobId)).filter(Boolean);
+    if (jobs.length === 0) return;
+
+    console.log(`Quiet time over: delivering a digest of ${jobs.length} jobs`);
+    showDigestNotification(jobs);
+    dispatchWebhookEvent('digest', {
+      type: 'quiet',
+      jobs: jobs.map(job => getWebhookJobData(job, profiles.find(p => (job.profileIds || []).includes(p.id))))
+    });
+    const profile = profiles.find(p => p.id === ready[0].profileId);
+    playSound(profile ? profile.sound : 'default');
+  } catch (error) {
+    console.error('Error delivering quiet time digest:', error);
   }
+}
 
-  // Duration Filter
-  if (settings.maxDuration > 0 && job.duration) {
-    const days = parseDurationDays(job.duration);
-    if (days > 0 && days > settings.maxDuration) {
-      console.log(`Filtering out job ${job.id} due to long duration: ${job.duration} -> ${days} days > ${settings.maxDuration}`);
-      return false;
-    }
+// --- Digest Reports ---
+
+// (Re)creates the one-shot alarm of the next scheduled digest; the alarm
+// handler schedules the following one, so the hour survives DST changes.
+async function scheduleDigestAlarm() {
+  const { settings = {} } = await chrome.storage.local.get(['settings']);
+  await chrome.alarms.clear('digestReport');
+
+  const when = getNextDigestTime(settings);
+  if (when) {
+    chrome.alarms.create('digestReport', { when });
+    console.log(`Next ${settings.digestSchedule} digest at ${new Date(when).toLocaleString()}`);
   }
+}
+
+async function generateScheduledDigest() {
+  try {
+    const data = await chrome.storage.local.get(['settings', 'savedSearches']);
+    const settings = data.settings || {};
+    if (!DIGEST_PERIODS[settings.digestSchedule]) return;
+
+    const searches = data.savedSearches || migrateLegacySearches(settings);
+    const digest = await buildDigest(settings.digestSchedule, Date.now(), searches);
+    console.log(`${digest.label}: ${digest.matchedCount} matches of ${digest.total} jobs`);
 
-  // Client Age Filter
-  if (settings.minClientAge > 0 && job.registrationDate) {
-    const ageDays = calculateClientAgeDays(job.registrationDate);
-    if (ageDays >= 0 && ageDays < settings.minClientAge) {
-      console.log(`Filtering out job ${job.id} due to young account: ${job.registrationDate} -> ${ageDays} days < ${settings.minClientAge}`);
-      return false;
+    const format = settings.digestDownload || DEFAULT_DIGEST_SETTINGS.digestDownload;
+    if (format === 'html' || format === 'markdown') {
+      const content = format === 'markdown' ? renderDigestMarkdown(digest) : renderDigestHtml(digest);
+      const type = format === 'markdown' ? 'text/markdown' : 'text/html';
+      chrome.downloads.download({
+        url: `data:${type};charset=utf-8,` + encodeURIComponent(content),
+        filename: `Frelancia/${getDigestFileName(digest, format)}`,
+        saveAs: false
+      });
     }
-  }
 
-  return true;
+    showDigestReportNotification(digest);
+    dispatchWebhookEvent('digest', {
+      type: 'report',
+      period: digest.period,
+      label: digest.label,
+      from: new Date(digest.from).toISOString(),
+      until: new Date(digest.until).toISOString(),
+      total: digest.total,
+      matched: digest.matchedCount,
+      top: digest.top.map(job => getWebhookJobData(job)),
+      openedNotBid: digest.openedNotBid.map(job => getWebhookJobData(job)),
+      categories: digest.categories.map(({ label, count, matched }) => ({ label, count, matched }))
+    });
+  } catch (error) {
+    console.error('Error generating digest report:', error);
+  }
 }
 
-function parseHiringRate(rateText) {
-  if (!rateText) return 0;
-  if (rateText.includes('بعد')) return 0; // "لم يحسب بعد"
+// --- Webhooks ---
+
+// Webhook and chat channel work runs one task at a time: the log, the retry
+// queue and the rate limit counters are read-modify-write and alerts dispatch
+// events without awaiting them.
+let webhookTaskChain = Promise.resolve();
+
+// Job sent by the test buttons of the dashboard
+const SAMPLE_WEBHOOK_JOB = {
+  id: 'test',
+  title: 'هذا إرسال تجريبي - مشروع تطوير موقع إلكتروني',
+  url: 'https://mostaql.com/projects',
+  budget: '$250.00 - $500.00',
+  hiringRate: '50%',
+  description: 'نحتاج إلى مطور لبناء موقع إلكتروني متجاوب مع لوحة تحكم لإدارة المحتوى.',
+  score: 75
+};
 
-  // Extract number, including potential decimals (e.g., 46.67%)
-  const match = rateText.replace(/,/g, '').match(/\d+(\.\d+)?/);
-  if (match) {
-    return parseFloat(match[0]);
-  }
-  return 0;
+function runWebhookTask(task) {
+  const result = webhookTaskChain.then(task);
+  webhookTaskChain = result.catch(() => {});
+  return result;
 }
 
-function parseDurationDays(durationText) {
-  // Typical formats: "5 أيام", "يوم واحد", "10 أيام"
-  const match = durationText.match(/\d+/);
-  if (match) return parseInt(match[0]);
-  if (durationText.includes("يوم واحد")) return 1;
-  return 0;
+// Send an event to every enabled webhook subscribed to it
+function dispatchWebhookEvent(event, data) {
+  return runWebhookTask(() => deliverWebhookEvent(event, data));
 }
 
-function calculateClientAgeDays(dateText) {
-  // Format: "14 فبراير 2026"
-  const arabicMonths = {
-    'يناير': 0, 'فبراير': 1, 'مارس': 2, 'أبريل': 3, 'مايو': 4, 'يونيو': 5,
-    'يوليو': 6, 'أغسطس': 7, 'سبتمبر': 8, 'أكتوبر': 9, 'نوفمبر': 10, 'ديسمبر': 11
+async function deliverWebhookEvent(event, data) {
+  try {
+    const { webhooks = [] } = await chrome.storage.local.get(['webhooks']);
+    const targets = webhooks.map(createWebhook).filter(w => w.enabled && w.url && w.events.includes(event));
+    if (targets.length === 0) return;
+
+    const payload = buildWebhookPayload(event, data);
+    for (const webhook of targets) {
+      await attemptWebhookDelivery({
+        id: `delivery_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        webhookId: webhook.id,
+        event,
+        payload,
+        attempts: 0
+      }, webhook);
+    }
+  } catch (error) {
+    console.error(`Error dispatching webhook event ${event}:`, error);
+  }
+}
+
+// POST one delivery. Failures are queued for a retry until WEBHOOK_RETRY_DELAYS
+// runs out; `retry: false` (test sends) only logs the result.
+async function attemptWebhookDelivery(delivery, webhook, { retry = true } = {}) {
+  const attempts = delivery.attempts + 1;
+  const entry = {
+    id: delivery.id,
+    webhookId: webhook.id,
+    webhookName: webhook.name,
+    event: delivery.event,
+    attempts,
+    at: Date.now()
   };
 
-  const parts = dateText.split(' ');
-  if (parts.length < 3) return -1;
+  let body = null;
+  try {
+    body = renderWebhookTemplate(webhook.template, delivery.payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Frelancia-Event': delivery.event,
+      'X-Frelancia-Delivery': delivery.id
+    };
+    if (webhook.secret) headers[WEBHOOK_SIGNATURE_HEADER] = await signWebhookBody(webhook.secret, body);
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers,
+      body,
+      credentials: 'omit',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    entry.httpStatus = response.status;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-  const day = parseInt(parts[0]);
-  const monthName = parts[1];
-  const year = parseInt(parts[2]);
-  const month = arabicMonths[monthName];
+    entry.status = 'delivered';
+  } catch (error) {
+    entry.error = error.message;
+    // A template that does not render will not render on a retry either
+    const retryAt = retry && body !== null ? getWebhookRetryAt(attempts) : null;
+    if (retryAt) {
+      entry.status = 'retrying';
+      entry.retryAt = retryAt;
+      await queueWebhookRetry({ ...delivery, attempts, retryAt });
+    } else {
+      entry.status = 'failed';
+    }
+  }
 
-  if (isNaN(day) || month === undefined || isNaN(year)) return -1;
+  await logWebhookDelivery(entry);
+  return entry;
+}
 
-  const regDate = new Date(year, month, day);
-  const now = new Date();
-  const diffTime = Math.abs(now - regDate);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+async function queueWebhookRetry(delivery) {
+  const { webhookQueue = [] } = await chrome.storage.local.get(['webhookQueue']);
+  const queue = [...webhookQueue.filter(d => d.id !== delivery.id), delivery];
+  await chrome.storage.local.set({ webhookQueue: queue });
+  scheduleWebhookRetryAlarm(queue);
+}
 
-  return diffDays;
+function scheduleWebhookRetryAlarm(queue) {
+  if (queue.length === 0) {
+    chrome.alarms.clear('webhookRetry');
+    return;
+  }
+  const when = Math.min(...queue.map(d => d.retryAt));
+  chrome.alarms.create('webhookRetry', { when: Math.max(when, Date.now() + 1000) });
 }
 
-function parseBudgetValue(budgetText) {
-  if (!budgetText) return 0;
-  // Mostaql budgets are usually like "$500.00 - $1000.00", "$25.00 - $50.00", or "$1,000 - $2,500"
-  // We extract all numbers (including decimals) and take the HIGHEST to see if it meets the user's minimum
-  const matches = budgetText.replace(/,/g, '').match(/\d+(\.\d+)?/g);
-  if (!matches) return 0;
+async function retryWebhookDeliveries() {
+  const data = await chrome.storage.local.get(['webhookQueue', 'webhooks']);
+  const now = Date.now();
+  const queue = data.webhookQueue || [];
+  const due = queue.filter(d => d.retryAt <= now);
+  const webhooks = (data.webhooks || []).map(createWebhook);
+
+  // Due deliveries leave the queue; failures are queued again by attemptWebhookDelivery
+  const remaining = queue.filter(d => d.retryAt > now);
+  await chrome.storage.local.set({ webhookQueue: remaining });
+  scheduleWebhookRetryAlarm(remaining);
+
+  for (const delivery of due) {
+    const webhook = webhooks.find(w => w.id === delivery.webhookId);
+    if (!webhook || !webhook.enabled) continue; // deleted or disabled since
+    console.log(`Retrying webhook delivery ${delivery.id} (attempt ${delivery.attempts + 1})`);
+    await attemptWebhookDelivery(delivery, webhook);
+  }
+}
 
-  // Return the maximum value found in the range
-  const values = matches.map(m => parseFloat(m));
-  return Math.max(...values);
+async function logWebhookDelivery(entry) {
+  const { webhookLog = [] } = await chrome.storage.local.get(['webhookLog']);
+  await chrome.storage.local.set({ webhookLog: [entry, ...webhookLog].slice(0, MAX_WEBHOOK_LOG) });
 }
 
-function isQuietHour(settings) {
-  if (!settings.quietHoursStart || !settings.quietHoursEnd) return false;
+// --- Chat Channels ---
 
-  const now = new Date();
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
+// Send a profile's jobs to every enabled chat channel whose filters they pass.
+// Jobs over a channel's hourly limit are dropped with one log entry; only
+// delivered messages count against the limit. Chat alerts are not retried
+// since a late message is of little use.
+async function sendChatChannelAlerts(jobs, profile) {
+  try {
+    const data = await chrome.storage.local.get(['chatChannels', 'chatChannelSent']);
+    const channels = (data.chatChannels || []).map(createChatChannel).filter(c => c.enabled && c.token);
+    if (channels.length === 0) return;
+
+    const sent = data.chatChannelSent || {};
+    for (const channel of channels) {
+      const matching = jobs.filter(job => matchesChatChannel(channel, job, profile));
+      if (matching.length === 0) continue;
+
+      const { recent, remaining } = getChatChannelAllowance(channel, sent[channel.id]);
+      for (const job of matching.slice(0, remaining)) {
+        const entry = await postChatMessage(channel, getWebhookJobData(job, profile));
+        if (entry.status === 'delivered') recent.push(Date.now());
+      }
+      sent[channel.id] = recent;
+
+      const skipped = matching.length - remaining;
+      if (skipped > 0) {
+        console.log(`Chat channel ${channel.name} reached ${channel.maxPerHour} messages per hour, skipping ${skipped} jobs`);
+        await logWebhookDelivery({
+          id: `chat_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+          webhookId: channel.id,
+          webhookName: channel.name,
+          channel: channel.type,
+          event: 'job',
+          attempts: 0,
+          at: Date.now(),
+          status: 'skipped',
+          error: `تم تجاوز حد ${channel.maxPerHour} رسائل في الساعة، لم يُرسل ${skipped} مشروع`
+        });
+      }
+    }
+    await chrome.storage.local.set({ chatChannelSent: sent });
+  } catch (error) {
+    console.error('Error sending chat channel alerts:', error);
+  }
+}
 
-  const [startH, startM] = settings.quietHoursStart.split(':').map(Number);
-  const [endH, endM] = settings.quietHoursEnd.split(':').map(Number);
+// POST one job to a chat channel and log the result
+async function postChatMessage(channel, job) {
+  const entry = {
+    id: `chat_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    webhookId: channel.id,
+    webhookName: channel.name,
+    channel: channel.type,
+    event: 'job',
+    attempts: 1,
+    at: Date.now()
+  };
 
-  const startMinutes = startH * 60 + startM;
-  const endMinutes = endH * 60 + endM;
+  try {
+    const response = await fetch(getChatChannelUrl(channel), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(formatChatMessage(channel, job)),
+      credentials: 'omit',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    entry.httpStatus = response.status;
+    if (!response.ok) {
+      // Telegram explains failures in `description`, Discord in `message`
+      const text = await response.text().catch(() => '');
+      let reason = text;
+      try {
+        const json = JSON.parse(text);
+        reason = json.description || json.message || text;
+      } catch (e) { /* plain text (Slack) */ }
+      throw new Error(`HTTP ${response.status}${reason ? `: ${reason.slice(0, 200)}` : ''}`);
+    }
+    entry.status = 'delivered';
+  } catch (error) {
+    entry.error = error.message;
+    entry.status = 'failed';
+  }
 
-  if (startMinutes < endMinutes) {
-    // Range within same day (e.g. 09:00 - 17:00)
-    return currentMinutes >= startMinutes && currentMinutes <= endMinutes;
-  } else {
-    // Range wraps around midnight (e.g. 23:00 - 07:00)
-    return currentMinutes >= startMinutes || currentMinutes <= endMinutes;
+  await logWebhookDelivery(entry);
+  return entry;
+}
+
+// Copy the fields of a project page onto a listed job
+function applyProjectDetails(job, projectDetails) {
+  job.description = projectDetails.description;
+  job.hiringRate = projectDetails.hiringRate;
+  job.status = projectDetails.status;
+  job.communications = projectDetails.communications;
+  job.duration = projectDetails.duration;
+  job.registrationDate = projectDetails.registrationDate;
+
+  if ((!job.budget || job.budget === 'غير محدد') && projectDetails.budget) {
+    job.budget = projectDetails.budget;
   }
 }
 
@@ -544,7 +889,7 @@ async function fetchJobs(url) {
     const fetchUrl = url + (url.includes('?') ? '&' : '?') + '_cb=' + Date.now();
     console.log(`Fetching: ${fetchUrl}`);
 
-    const response = await fetch(fetchUrl, {
+    const response = await mostaqlScheduler.request(fetchUrl, {
       method: 'GET',
       // Ensure we do NOT send cookies or credentials so we receive the signed-out/public HTML
       credentials: 'omit',
@@ -556,21 +901,22 @@ async function fetchJobs(url) {
         'Pragma': 'no-cache',
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
       }
-    });
+    }, 'scan');
 
-    if (!response.ok) {
-      console.error(`HTTP Error: ${response.status}`);
+    const html = response.text;
+    const blockReason = getPollingBlockReason(response.status, html, response.mitigated);
+    if (blockReason) {
+      console.error(`Mostaql refused the fetch (${blockReason}, HTTP ${response.status}). Please open Mostaql.com in a tab first.`);
+      await reportMostaqlFetch(blockReason);
       return [];
     }
 
-    const html = await response.text();
-    console.log(`Received HTML length: ${html.length}`);
-
-    // Check for Cloudflare
-    if (html.includes('Cloudflare') || html.includes('challenge-platform')) {
-      console.error('Cloudflare challenge detected. Please open Mostaql.com in a tab first.');
+    if (!response.ok) {
+      console.error(`HTTP Error: ${response.status}`);
       return [];
     }
+    console.log(`Received HTML length: ${html.length}`);
+    await reportMostaqlFetch(null);
 
     // Use Offscreen Document for DOM Parsing (SAFE & ROBUST)
     const jobs = await parseJobsOffscreen(html);
@@ -584,10 +930,65 @@ async function fetchJobs(url) {
   }
 }
 
-// Fetch project details for deep filtering
-async function fetchProjectDetails(url) {
+// Back off after Mostaql refused a fetch (429, 5xx or a Cloudflare challenge);
+// the first fetch that goes through again resumes the normal cadence.
+async function reportMostaqlFetch(blockReason) {
+  const { pollingBackoff, settings } = await chrome.storage.local.get(['pollingBackoff', 'settings']);
+  if (!blockReason) {
+    if (pollingBackoff) {
+      console.log('Mostaql reachable again, resuming normal polling');
+      await chrome.storage.local.remove('pollingBackoff');
+    }
+    return;
+  }
+
+  const next = recordPollingFailure(pollingBackoff, blockReason, getPollingInterval(settings));
+  console.warn(`Polling backed off (${next.failures} failures) until ${new Date(next.nextAttemptAt).toLocaleTimeString()}`);
+  await chrome.storage.local.set({ pollingBackoff: next });
+}
+
+// Keep the strategy and missing fields of every parse so a Mostaql markup
+// change shows up as a warning instead of silently missing jobs. Reports are
+// written one at a time since the enrichment pool parses pages concurrently.
+let parserHealthChain = Promise.resolve();
+
+function recordParserHealth(kind, report) {
+  if (!report) return parserHealthChain;
+  parserHealthChain = parserHealthChain.then(async () => {
+    const { parserHealth } = await chrome.storage.local.get(['parserHealth']);
+    const next = recordParseReport(parserHealth, kind, report);
+    const wasHealthy = getParserHealthIssues(parserHealth).length === 0;
+    const issues = getParserHealthIssues(next);
+    if (wasHealthy && issues.length > 0) {
+      console.warn(`Parser health degraded: ${getParserHealthText(issues)}`);
+    }
+    await chrome.storage.local.set({ parserHealth: next });
+  }).catch(error => console.error('Error recording parser health:', error));
+  return parserHealthChain;
+}
+
+// Read a listing page by page, from `firstPage`, until it reaches `lastJobId`
+// (project ids grow with time) or page `maxPages` was read. `complete` is
+// false when the cap was hit.
+async function fetchListingSince(url, lastJobId, maxPages, firstPage = 1) {
+  const newer = new Map();
+  for (let page = firstPage; page <= maxPages; page++) {
+    const jobs = await fetchJobs(getListingPageUrl(url, page));
+    if (jobs.length === 0) break;
+
+    jobs.filter(job => Number(job.id) > Number(lastJobId)).forEach(job => newer.set(job.id, job));
+    if (Math.min(...jobs.map(job => Number(job.id))) <= Number(lastJobId)) {
+      return { jobs: Array.from(newer.values()), complete: true };
+    }
+  }
+  return { jobs: Array.from(newer.values()), complete: false };
+}
+
+// Fetch project details for deep filtering. `priority` orders the request in
+// the Mostaql request scheduler; a page fetched or parsed moments ago is reused.
+async function fetchProjectDetails(url, priority = 'enrichment') {
   try {
-    const response = await fetch(url, {
+    return await projectPageCache.getParsed(url, 'details', {
       method: 'GET',
       // Request without credentials to get the public (signed-out) version of the project page
       credentials: 'omit',
@@ -597,44 +998,67 @@ async function fetchProjectDetails(url) {
         'Accept-Language': 'ar,en;q=0.9',
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
       }
-    });
-
-    if (!response.ok) return null;
-
-    const html = await response.text();
-    // Re-use offscreen parser for project details
-    await setupOffscreenDocument();
-    return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ action: 'parseProjectDetails', html: html }, (response) => {
-        if (response && response.success) {
-          resolve(response.data);
-        } else {
-          resolve(null);
-        }
-      });
-      setTimeout(() => resolve(null), 3000);
-    });
+    }, priority, parseProjectDetailsOffscreen);
   } catch (error) {
     console.error('Error fetching project details:', error);
     return null;
   }
 }
 
+async function parseProjectDetailsOffscreen(response) {
+  // A challenge page parses as an empty project; null keeps it out of the cache
+  const blockReason = getPollingBlockReason(response.status, response.text, response.mitigated);
+  if (blockReason) {
+    await reportMostaqlFetch(blockReason);
+    return null;
+  }
+  if (!response.ok) return null;
+
+  // Re-use offscreen parser for project details
+  await setupOffscreenDocument();
+  const selectors = await getMostaqlSelectors();
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'parseProjectDetails', html: response.text, selectors }, (response) => {
+      if (response && response.success) {
+        recordParserHealth('details', response.report);
+        resolve(response.data);
+      } else {
+        resolve(null);
+      }
+    });
+    setTimeout(() => resolve(null), 3000);
+  });
+}
+
 // Track specific projects for changes
 async function checkTrackedProjects() {
   const data = await chrome.storage.local.get(['trackedProjects', 'settings', 'notificationsEnabled']);
   const trackedProjects = data.trackedProjects || {};
   const settings = data.settings || {};
+  const now = Date.now();
 
   const projectIds = Object.keys(trackedProjects);
   if (projectIds.length === 0) return;
 
-  console.log(`Checking ${projectIds.length} tracked projects...`);
-
+  // Archive projects that stayed closed past the grace period
+  const graceDays = settings.trackedGraceDays ?? DEFAULT_TRACKED_GRACE_DAYS;
   for (const id of projectIds) {
+    if (isTrackedProjectExpired(trackedProjects[id], graceDays, now)) {
+      console.log(`Archiving tracked project ${id}: closed for ${graceDays} days`);
+      await updateTrackedProject(id, { archivedAt: now });
+    }
+  }
+
+  // Only the most overdue projects are fetched; the rest wait for the next ticks
+  const dueIds = selectDueTrackedProjects(trackedProjects, now);
+  if (dueIds.length === 0) return;
+
+  console.log(`Checking ${dueIds.length} of ${projectIds.length} tracked projects...`);
+
+  for (const id of dueIds) {
     const project = trackedProjects[id];
     try {
-      const response = await fetch(project.url, {
+      const response = await projectPageCache.getPage(project.url, {
         cache: 'no-store',
         method: 'GET',
         // Do not include cookies so tracked checks see the public state
@@ -645,27 +1069,43 @@ async function checkTrackedProjects() {
           'Accept-Language': 'ar,en;q=0.9',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
         }
-      });
-      if (!response.ok) continue;
+      }, 'tracked');
+      const blockReason = getPollingBlockReason(response.status, response.text, response.mitigated);
+      if (blockReason) {
+        // Stop here: the remaining due projects would be refused as well
+        await reportMostaqlFetch(blockReason);
+        await updateTrackedProject(id, { nextCheckAt: getNextTrackedCheckAt(project) });
+        break;
+      }
+      if (!response.ok) {
+        await updateTrackedProject(id, { nextCheckAt: getNextTrackedCheckAt(project) });
+        continue;
+      }
 
-      const html = await response.text();
+      const html = response.text;
       const currentData = await parseTrackedDataOffscreen(html);
 
       if (currentData) {
-        let changed = false;
-        let changeMsg = '';
-
-        if (currentData.status !== project.status) {
-          changed = true;
-          changeMsg += `الحالة: ${project.status} -> ${currentData.status}\n`;
-        }
-
-        if (currentData.communications !== project.communications) {
-          changed = true;
-          changeMsg += `التواصلات: ${project.communications} -> ${currentData.communications}`;
-        }
+        // Compare against the last snapshot. Before the first one, only the status and
+        // communications captured by the content script are reliable enough to compare.
+        const snapshots = await getProjectSnapshots(id);
+        const previous = snapshots[snapshots.length - 1]
+          || { status: project.status, communications: project.communications };
+        const changes = detectProjectChanges(previous, currentData);
+        await recordProjectSnapshot(id, currentData, changes);
+
+        const { description, ...fields } = getProjectSnapshotFields(currentData); // description lives in the snapshots
+        const updated = { ...project, ...fields };
+        const closed = getTrackedProjectPhase(updated) === 'closed';
+        await updateTrackedProject(id, {
+          ...fields,
+          lastChecked: new Date().toISOString(),
+          nextCheckAt: getNextTrackedCheckAt(updated),
+          closedAt: closed ? (project.closedAt || Date.now()) : null
+        });
 
-        if (changed) {
+        if (changes.length > 0) {
+          const changeMsg = formatProjectChanges(changes);
           console.log(`Update for project ${id}: ${changeMsg}`);
           
           // Check if notifications are globally enabled
@@ -673,32 +1113,73 @@ async function checkTrackedProjects() {
           
           if (isEnabled) {
             showTrackedNotification(project, changeMsg);
+            dispatchWebhookEvent('tracked', {
+              project: { id, title: project.title, url: project.url, status: currentData.status || project.status },
+              changes: changes.map(({ field, label, from, to }) => ({ field, label, from, to })),
+              message: changeMsg
+            });
             if (settings.sound) {
               playTrackedSound();
             }
           } else {
             console.log('Notifications are toggled off. Skipping alert for tracked project update.');
           }
-
-          // Update stored data
-          trackedProjects[id].status = currentData.status;
-          trackedProjects[id].communications = currentData.communications;
-          trackedProjects[id].lastChecked = new Date().toISOString();
-          await chrome.storage.local.set({ trackedProjects });
         }
       }
     } catch (error) {
       console.error(`Error checking tracked project ${id}:`, error);
+      await updateTrackedProject(id, { nextCheckAt: getNextTrackedCheckAt(project) });
     }
   }
 }
 
+// Set the tracked alarm at the earliest nextCheckAt, so each project is checked on
+// its own interval whatever the checkJobs period is. An earlier pending alarm is
+// kept: the frequent list writes would otherwise keep pushing it back.
+async function scheduleTrackedAlarm() {
+  const { trackedProjects = {}, pollingBackoff } = await chrome.storage.local.get(['trackedProjects', 'pollingBackoff']);
+  const next = getNextTrackedTickAt(trackedProjects);
+  if (next === null) {
+    await chrome.alarms.clear('trackedProjects');
+    return;
+  }
+
+  const when = isPollingBackedOff(pollingBackoff) ? Math.max(next, pollingBackoff.nextAttemptAt) : next;
+  const current = await chrome.alarms.get('trackedProjects');
+  if (current && current.scheduledTime <= when) return;
+  await chrome.alarms.create('trackedProjects', { when });
+}
+
+// Reschedule tracked checks when the list changes, and drop the history of
+// projects that are no longer tracked
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes.trackedProjects) return;
+  scheduleTrackedAlarm();
+
+  const trackedIds = Object.keys(changes.trackedProjects.newValue || {});
+  const untracked = Object.keys(changes.trackedProjects.oldValue || {}).some(id => !trackedIds.includes(id));
+  if (untracked) {
+    pruneProjectSnapshots(trackedIds).catch(e => console.error('Error pruning project snapshots:', e));
+  }
+});
+
+// Merge fields into a tracked project. Re-reads storage so projects untracked
+// (or edited from the dashboard) while a check was running are not overwritten.
+async function updateTrackedProject(id, fields) {
+  const { trackedProjects = {} } = await chrome.storage.local.get(['trackedProjects']);
+  if (!trackedProjects[id]) return;
+  trackedProjects[id] = { ...trackedProjects[id], ...fields };
+  await chrome.storage.local.set({ trackedProjects });
+}
+
 async function parseTrackedDataOffscreen(html) {
   try {
     await setupOffscreenDocument();
+    const selectors = await getMostaqlSelectors();
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ action: 'parseTrackedData', html: html }, (response) => {
+      chrome.runtime.sendMessage({ action: 'parseTrackedData', html: html, selectors }, (response) => {
         if (response && response.success) {
+          recordParserHealth('details', response.report);
           resolve(response.data);
         } else {
           resolve(null);
@@ -719,12 +1200,14 @@ async function parseJobsOffscreen(html) {
     // Wait a bit for listener
     await new Promise(r => setTimeout(r, 100));
 
+    const selectors = await getMostaqlSelectors();
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ action: 'parseJobs', html: html }, (response) => {
+      chrome.runtime.sendMessage({ action: 'parseJobs', html: html, selectors }, (response) => {
         if (chrome.runtime.lastError) {
           console.error('Parse Error:', chrome.runtime.lastError);
           resolve([]);
         } else if (response && response.success) {
+          recordParserHealth('listing', response.report);
           resolve(response.jobs);
         } else {
           resolve([]);
@@ -741,17 +1224,32 @@ async function parseJobsOffscreen(html) {
 }
 
 // Helper: Setup Offscreen (Generic)
+// The offscreen document cannot read storage, so the selector map (defaults
+// plus the overrides edited in the dashboard) is sent with every parse
+async function getMostaqlSelectors() {
+  const { mostaqlSelectors } = await chrome.storage.local.get(['mostaqlSelectors']);
+  return resolveMostaqlSelectors(mostaqlSelectors);
+}
+
+// Parallel callers (the enrichment pool) wait for the same document creation
+let offscreenCreating = null;
+
 async function setupOffscreenDocument() {
   const existing = await chrome.runtime.getContexts({
     contextTypes: ['OFFSCREEN_DOCUMENT']
   });
 
   if (existing.length === 0) {
-    await chrome.offscreen.createDocument({
-      url: 'offscreen.html',
-      reasons: ['AUDIO_PLAYBACK', 'DOM_PARSER'],
-      justification: 'Parsing HTML and Playing Audio'
-    });
+    if (!offscreenCreating) {
+      offscreenCreating = chrome.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: ['AUDIO_PLAYBACK', 'DOM_PARSER'],
+        justification: 'Parsing HTML and Playing Audio'
+      }).finally(() => {
+        offscreenCreating = null;
+      });
+    }
+    await offscreenCreating;
   }
 }
 
@@ -771,18 +1269,26 @@ function cleanTitle(text) {
     .trim();
 }
 
-// Show notification
-function showNotification(jobs) {
+// Show notification (profile is optional, e.g. for test notifications)
+function showNotification(jobs, profile = null) {
   const job = jobs[0];
-  const title = jobs.length === 1
+  const compact = profile && profile.notificationStyle === 'compact';
+  // Late jobs were recovered after sleep or a lost connection
+  const lateCount = jobs.filter(j => j.late).length;
+  let title = jobs.length === 1
     ? 'مشروع جديد على مستقل'
     : `${jobs.length} مشاريع جديدة على مستقل`;
+  if (lateCount === jobs.length) {
+    title += ' (متأخر)';
+  } else if (lateCount > 0) {
+    title += ` (${lateCount} متأخرة)`;
+  }
 
   let message = '';
   if (jobs.length === 1) {
     // Single job: Rich message with description
     const budget = job.budget ? `[ ${job.budget} ]` : '';
-    const desc = job.description ? `\n\n${job.description.substring(0, 150)}${job.description.length > 150 ? '...' : ''}` : '';
+    const desc = !compact && job.description ? `\n\n${job.description.substring(0, 150)}${job.description.length > 150 ? '...' : ''}` : '';
     message = `${job.title} ${budget}${desc}`;
   } else {
     // Multiple jobs
@@ -794,15 +1300,53 @@ function showNotification(jobs) {
     iconUrl: 'icons/icon128.png',
     title: title,
     message: message,
+    contextMessage: profile ? `ملف المراقبة: ${profile.name}` : '',
     priority: 2,
-    requireInteraction: true,
+    requireInteraction: !compact,
     buttons: [
       { title: 'قدّم الآن' },
       { title: 'فتح المشروع' }
     ]
   }, (notificationId) => {
-    // Store job data for both click and button handlers
-    chrome.storage.local.set({ [`notification_${notificationId}`]: job });
+    // Store job data (and the alerting profile) for both click and button handlers
+    const stored = profile ? { ...job, notifyProfileId: profile.id } : job;
+    chrome.storage.local.set({ [`notification_${notificationId}`]: stored });
+  });
+}
+
+function showDigestNotification(jobs) {
+  const lines = jobs.slice(0, 3).map(job => `• ${job.title}`);
+  if (jobs.length > 3) lines.push(`و ${jobs.length - 3} مشاريع أخرى`);
+
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `${jobs.length} مشاريع وصلت خلال فترة الهدوء`,
+    message: lines.join('\n'),
+    contextMessage: 'اضغط لعرض القائمة كاملة في لوحة التحكم',
+    priority: 2,
+    requireInteraction: true
+  }, (notificationId) => {
+    chrome.storage.local.set({ [`notification_${notificationId}`]: { url: chrome.runtime.getURL('dashboard.html') } });
+  });
+}
+
+function showDigestReportNotification(digest) {
+  const best = digest.top[0];
+  const lines = [`${digest.matchedCount} مشروع مطابق من ${digest.total} مشروع جديد`];
+  if (best) lines.push(`الأفضل: ${best.title}`);
+  if (digest.openedNotBid.length > 0) lines.push(`${digest.openedNotBid.length} مشروع فتحته ولم تقدم عليه`);
+
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `${digest.label} جاهز`,
+    message: lines.join('\n'),
+    contextMessage: 'اضغط لعرض التقرير',
+    priority: 1
+  }, (notificationId) => {
+    const url = chrome.runtime.getURL(`digest.html?period=${digest.period}&until=${digest.until}`);
+    chrome.storage.local.set({ [`notification_${notificationId}`]: { url } });
   });
 }
 
@@ -815,7 +1359,7 @@ function showTrackedNotification(project, changeMsg) {
     priority: 2,
     requireInteraction: true
   }, (notificationId) => {
-    chrome.storage.local.set({ [`notification_${notificationId}`]: project.url });
+    chrome.storage.local.set({ [`notification_${notificationId}`]: { url: project.url } });
   });
 }
 
@@ -840,7 +1384,10 @@ chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) =
       console.log(`Apply Now clicked for job ${job.id}`);
 
       // Get all necessary data from storage
-      chrome.storage.local.get(['proposalTemplate'], (settingsData) => {
+      chrome.storage.local.get(['proposalTemplate', 'profiles', 'settings'], (settingsData) => {
+        // The profile that alerted about the job overrides the global template
+        const profile = getWatchProfiles(settingsData).find(p => p.id === job.notifyProfileId);
+
         // Prepare autofill data
         const minBudget = parseMinBudgetValue(job.budget);
         const durationDays = parseDurationDays(job.duration || "");
@@ -849,7 +1396,8 @@ chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) =
           projectId: job.id,
           amount: minBudget,
           duration: durationDays,
-          proposal: settingsData.proposalTemplate || '',
+          proposal: (profile && profile.proposalTemplate) || settingsData.proposalTemplate || '',
+          promptId: profile ? profile.promptId : '',
           timestamp: Date.now()
         };
 
@@ -867,20 +1415,10 @@ chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) =
   });
 });
 
-function parseMinBudgetValue(budgetText) {
-  if (!budgetText) return 0;
-  // Extract all numbers (including decimals)
-  const matches = budgetText.replace(/,/g, '').match(/\d+(\.\d+)?/g);
-  if (!matches) return 0;
-
-  // Return the MINIMUM value for autofill (user requested lowest offer)
-  const values = matches.map(m => parseFloat(m));
-  return Math.min(...values);
-}
-
-// Play notification sound
-async function playSound() {
-  await triggerOffscreenAction('playSound');
+// Play notification sound (key of PROFILE_SOUNDS)
+async function playSound(sound = 'default') {
+  const action = (PROFILE_SOUNDS[sound] || PROFILE_SOUNDS.default).action;
+  if (action) await triggerOffscreenAction(action);
 }
 
 async function playTrackedSound() {
@@ -912,7 +1450,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   // Check now
   if (message.action === 'checkNow') {
-    checkForNewJobs()
+    checkForNewJobs(true)
       .then((result) => {
         sendResponse(result);
       })
@@ -944,36 +1482,44 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
 
-  // Update alarm interval
+  // Reschedule polling after the interval or the bands changed
   if (message.action === 'updateAlarm') {
-    const interval = parseInt(message.interval) || 1;
-    chrome.alarms.clear('checkJobs');
-    chrome.alarms.create('checkJobs', { periodInMinutes: interval });
-    console.log(`Alarm 'checkJobs' updated to ${interval} minutes.`);
-    sendResponse({ success: true, interval: interval });
+    schedulePollingAlarm().then(() => sendResponse({ success: true }));
     return true;
   }
 
   // Clear history
   if (message.action === 'clearHistory') {
-    chrome.storage.local.set({
-      seenJobs: [],
+    clearJobArchive().then(() => chrome.storage.local.set({
       stats: {
         lastCheck: null,
         todayCount: 0,
-        todayDate: new Date().toDateString()
+        todayDate: new Date().toDateString(),
+        totalSeen: 0
       }
-    }).then(() => {
+    })).then(() => {
       sendResponse({ success: true });
     });
     return true;
   }
 
+  // Mostaql requests of the dashboard and the content script share the
+  // background scheduler and project page cache; only mostaql.com URLs are accepted
+  if (message.action === 'fetchMostaql') {
+    if (!/^https:\/\/mostaql\.com\//.test(message.url || '')) {
+      sendResponse({ success: false, error: 'Only mostaql.com requests are scheduled' });
+      return true;
+    }
+    projectPageCache.getPage(message.url, message.options || {}, message.priority || 'interactive')
+      .then(response => sendResponse({ success: true, response }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // Debug: Get HTML
   if (message.action === 'debugFetch') {
-    fetch(MOSTAQL_URLS.all)
-      .then(r => r.text())
-      .then(html => {
+    mostaqlScheduler.request(buildSearchUrl(createSavedSearch()), {}, 'interactive')
+      .then(({ text: html }) => {
         console.log('HTML Preview (first 2000 chars):');
         console.log(html.substring(0, 2000));
         sendResponse({ success: true, length: html.length });
@@ -984,6 +1530,82 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // Open Mostaql so the user can pass its check, and retry on the next alarm
+  if (message.action === 'openMostaql') {
+    chrome.tabs.create({ url: 'https://mostaql.com/projects' });
+    chrome.storage.local.get(['pollingBackoff']).then(async ({ pollingBackoff }) => {
+      if (pollingBackoff) {
+        await chrome.storage.local.set({ pollingBackoff: { ...pollingBackoff, nextAttemptAt: Date.now() } });
+      }
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  // Check a hub's URL and token from the dashboard
+  if (message.action === 'testSignalRHub') {
+    if (!SIGNALR_AVAILABLE || typeof signalRClient === 'undefined') {
+      sendResponse({ success: false, error: 'مكتبة SignalR غير متوفرة' });
+      return true;
+    }
+    signalRClient.testHub(createSignalRHub(message.hub)).then(sendResponse);
+    return true;
+  }
+
+  // Switch to the selected hub after the settings changed
+  if (message.action === 'applySignalRHub') {
+    chrome.storage.local.get(['settings']).then(async (data) => {
+      const mode = (data.settings || {}).notificationMode || 'auto';
+      if (mode !== 'polling' && SIGNALR_AVAILABLE && typeof signalRClient !== 'undefined') {
+        await signalRClient.applyHub();
+      }
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  // Send a sample payload to a webhook from the dashboard (no retries)
+  if (message.action === 'testWebhook') {
+    const webhook = createWebhook(message.webhook);
+    const payload = buildWebhookPayload('job', { test: true, job: getWebhookJobData(SAMPLE_WEBHOOK_JOB) });
+    runWebhookTask(() => attemptWebhookDelivery({ id: `test_${Date.now()}`, event: 'job', payload, attempts: 0 }, webhook, { retry: false }))
+      .then(entry => sendResponse({ success: entry.status === 'delivered', entry }));
+    return true;
+  }
+
+  // Send a sample job to a chat channel from the dashboard (ignores filters and rate limit)
+  if (message.action === 'testChatChannel') {
+    const channel = createChatChannel(message.channel);
+    runWebhookTask(() => postChatMessage(channel, getWebhookJobData(SAMPLE_WEBHOOK_JOB)))
+      .then(entry => sendResponse({ success: entry.status === 'delivered', entry }));
+    return true;
+  }
+
+  // Reschedule the digest after its settings changed
+  if (message.action === 'scheduleDigest') {
+    scheduleDigestAlarm().then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  // A project page was opened on Mostaql (or a bid was submitted from it)
+  if (message.action === 'projectOpened' || message.action === 'projectBid') {
+    const { id, title, url } = message.project;
+    const fields = message.action === 'projectBid' ? { biddedAt: Date.now() } : { openedAt: Date.now() };
+    archiveJobs([{ id, title, url, ...fields }])
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Re-score recent jobs after the scoring model changed
+  if (message.action === 'rescoreRecentJobs') {
+    Promise.all([chrome.storage.local.get(['scoring', 'keywordSynonyms']), getRecentArchivedJobs(100)])
+      .then(([data, jobs]) => archiveJobs(jobs.map(job => ({ ...job, ...scoreJob(job, data.scoring, data.keywordSynonyms) }))))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // Get Default Prompts (for reset/fallback)
   if (message.action === 'getDefaultPrompts') {
     sendResponse({ success: true, prompts: DEFAULT_PROMPTS });
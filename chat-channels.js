@@ -0,0 +1,249 @@
+// ==========================================
+// Frelancia - Chat Channels
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard,
+// both loading html-escape.js first.
+//
+// Built-in adapters that send job alerts to Telegram (Bot API), Discord
+// (webhooks) and Slack (incoming webhooks) in the message format each one
+// expects. Every channel has its own filters and hourly rate limit, and its
+// base API URL can point at a local stand-in server for testing. Deliveries
+// are recorded in the webhook delivery log.
+
+/** Maximum length of the description excerpt. */
+const CHAT_EXCERPT_LENGTH = 280;
+
+/** Default hourly rate limit of a channel. */
+const DEFAULT_CHAT_RATE_LIMIT = 10;
+
+/**
+ * Supported channel types.
+ * - tokenLabel: what the user enters as the token
+ * - tokenPrefix: path before the token in a pasted full URL (the token is taken after it)
+ */
+const CHAT_CHANNEL_TYPES = {
+    telegram: {
+        label: 'Telegram',
+        defaultApiUrl: 'https://api.telegram.org',
+        tokenLabel: 'رمز البوت (Bot Token)',
+        tokenPrefix: '/bot',
+        getPath: (channel) => `/bot${channel.token}/sendMessage`,
+        format: formatTelegramMessage
+    },
+    discord: {
+        label: 'Discord',
+        defaultApiUrl: 'https://discord.com',
+        tokenLabel: 'رابط Webhook أو الجزء id/token منه',
+        tokenPrefix: '/api/webhooks/',
+        getPath: (channel) => `/api/webhooks/${channel.token}`,
+        format: formatDiscordMessage
+    },
+    slack: {
+        label: 'Slack',
+        defaultApiUrl: 'https://hooks.slack.com',
+        tokenLabel: 'رابط Incoming Webhook أو الجزء T…/B…/… منه',
+        tokenPrefix: '/services/',
+        getPath: (channel) => `/services/${channel.token}`,
+        format: formatSlackMessage
+    }
+};
+
+/**
+ * Creates a chat channel with default values for any missing field.
+ * @param {Object} fields - Partial channel definition
+ * @returns {Object} - { id, type, name, enabled, apiUrl, token, chatId, profileIds, minScore, minBudget, maxPerHour }
+ */
+function createChatChannel(fields = {}) {
+    const type = CHAT_CHANNEL_TYPES[fields.type] ? fields.type : 'telegram';
+    return {
+        id: fields.id || `channel_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        name: fields.name || CHAT_CHANNEL_TYPES[type].label,
+        enabled: fields.enabled !== false,
+        apiUrl: fields.apiUrl || '',
+        token: parseChatChannelToken(type, fields.token || ''),
+        chatId: fields.chatId || '',
+        profileIds: fields.profileIds || [],
+        minScore: parseInt(fields.minScore) || 0,
+        minBudget: parseFloat(fields.minBudget) || 0,
+        maxPerHour: parseInt(fields.maxPerHour) || DEFAULT_CHAT_RATE_LIMIT
+    };
+}
+
+/**
+ * Extracts the token from a pasted full URL ("https://discord.com/api/webhooks/1/abc" → "1/abc").
+ * @param {string} type - CHAT_CHANNEL_TYPES key
+ * @param {string} value - Token or URL
+ * @returns {string}
+ */
+function parseChatChannelToken(type, value) {
+    const token = value.trim();
+    const { tokenPrefix } = CHAT_CHANNEL_TYPES[type];
+    const index = /^https?:\/\//i.test(token) ? token.indexOf(tokenPrefix) : -1;
+    return index === -1 ? token : token.slice(index + tokenPrefix.length).split(/[?#]/)[0].replace(/\/sendMessage$/, '');
+}
+
+/**
+ * Builds the request URL of a channel from its base API URL.
+ * @param {Object} channel - Chat channel
+ * @returns {string}
+ */
+function getChatChannelUrl(channel) {
+    const type = CHAT_CHANNEL_TYPES[channel.type];
+    const base = (channel.apiUrl || type.defaultApiUrl).replace(/\/+$/, '');
+    return base + type.getPath(channel);
+}
+
+/**
+ * Checks a job against the filters of a channel.
+ * @param {Object} channel - Chat channel
+ * @param {Object} job - Job object
+ * @param {Object} [profile] - Watch profile that alerted about the job
+ * @returns {boolean}
+ */
+function matchesChatChannel(channel, job, profile = null) {
+    if (channel.profileIds.length > 0 && (!profile || !channel.profileIds.includes(profile.id))) return false;
+    if (channel.minScore > 0 && typeof job.score === 'number' && job.score < channel.minScore) return false;
+    if (channel.minBudget > 0 && parseBudgetValue(job.budget) < channel.minBudget) return false;
+    return true;
+}
+
+/**
+ * Returns the send times of the last hour and how many sends are left.
+ * Only delivered messages are recorded, so failed posts do not use up the limit.
+ * @param {Object} channel - Chat channel
+ * @param {Array<number>} sentTimes - Previous delivery times (epoch ms)
+ * @param {number} [now] - Epoch ms
+ * @returns {Object} - { recent, remaining }
+ */
+function getChatChannelAllowance(channel, sentTimes, now = Date.now()) {
+    const recent = (sentTimes || []).filter(time => now - time < 60 * 60 * 1000);
+    return { recent, remaining: Math.max(0, channel.maxPerHour - recent.length) };
+}
+
+// --- Message Formats ---
+
+/**
+ * Picks the texts shared by every format.
+ * @param {Object} job - Result of getWebhookJobData
+ * @returns {Object} - { title, url, applyUrl, budget, hiringRate, excerpt, score, profile }
+ */
+function getChatJobTexts(job) {
+    const description = String(job.description || '').replace(/\s+/g, ' ').trim();
+    return {
+        title: job.title || 'مشروع جديد',
+        url: job.url,
+        applyUrl: `${job.url.split('#')[0]}#add-proposal-form`,
+        budget: job.budget || 'غير محددة',
+        hiringRate: job.hiringRate || 'غير معروف',
+        excerpt: description.length > CHAT_EXCERPT_LENGTH ? description.slice(0, CHAT_EXCERPT_LENGTH) + '…' : description,
+        score: typeof job.score === 'number' ? job.score : null,
+        profile: job.profile
+    };
+}
+
+/**
+ * Escapes text for Slack mrkdwn, which only reserves &, < and >.
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeSlackText(text) {
+    return String(text).replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+}
+
+/**
+ * Formats a job for the Telegram Bot API sendMessage method (HTML parse mode).
+ * @param {Object} job - Result of getWebhookJobData
+ * @param {Object} channel - Chat channel
+ * @returns {Object} - Request body
+ */
+function formatTelegramMessage(job, channel) {
+    const t = getChatJobTexts(job);
+    const lines = [
+        `<b>${escapeHtml(t.title)}</b>`,
+        '',
+        `💰 الميزانية: ${escapeHtml(t.budget)}`,
+        `🤝 معدل التوظيف: ${escapeHtml(t.hiringRate)}`
+    ];
+    if (t.score !== null) lines.push(`⭐ التقييم: ${t.score}`);
+    if (t.excerpt) lines.push('', escapeHtml(t.excerpt));
+    if (t.profile) lines.push('', `<i>${escapeHtml(t.profile)}</i>`);
+
+    return {
+        chat_id: channel.chatId,
+        text: lines.join('\n'),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_markup: {
+            inline_keyboard: [[
+                { text: 'فتح المشروع', url: t.url },
+                { text: 'تقديم عرض', url: t.applyUrl }
+            ]]
+        }
+    };
+}
+
+/**
+ * Formats a job as a Discord webhook embed.
+ * @param {Object} job - Result of getWebhookJobData
+ * @returns {Object} - Request body
+ */
+function formatDiscordMessage(job) {
+    const t = getChatJobTexts(job);
+    const fields = [
+        { name: 'الميزانية', value: t.budget, inline: true },
+        { name: 'معدل التوظيف', value: t.hiringRate, inline: true }
+    ];
+    if (t.score !== null) fields.push({ name: 'التقييم', value: String(t.score), inline: true });
+
+    const embed = {
+        title: t.title.slice(0, 256),
+        url: t.url,
+        description: [t.excerpt, `[فتح المشروع](${t.url}) · [تقديم عرض](${t.applyUrl})`].filter(Boolean).join('\n\n'),
+        color: 0x2563eb,
+        fields
+    };
+    if (t.profile) embed.footer = { text: t.profile };
+
+    return { username: 'Frelancia', embeds: [embed] };
+}
+
+/**
+ * Formats a job as Slack incoming webhook blocks.
+ * @param {Object} job - Result of getWebhookJobData
+ * @returns {Object} - Request body
+ */
+function formatSlackMessage(job) {
+    const t = getChatJobTexts(job);
+    const fields = [
+        { type: 'mrkdwn', text: `*الميزانية*\n${escapeSlackText(t.budget)}` },
+        { type: 'mrkdwn', text: `*معدل التوظيف*\n${escapeSlackText(t.hiringRate)}` }
+    ];
+    if (t.score !== null) fields.push({ type: 'mrkdwn', text: `*التقييم*\n${t.score}` });
+
+    const blocks = [
+        { type: 'section', text: { type: 'mrkdwn', text: `*<${t.url}|${escapeSlackText(t.title).replace(/\|/g, '¦')}>*` } },
+        { type: 'section', fields }
+    ];
+    if (t.excerpt) blocks.push({ type: 'section', text: { type: 'plain_text', text: t.excerpt } });
+    if (t.profile) blocks.push({ type: 'context', elements: [{ type: 'plain_text', text: t.profile }] });
+    blocks.push({
+        type: 'actions',
+        elements: [
+            { type: 'button', text: { type: 'plain_text', text: 'فتح المشروع' }, url: t.url },
+            { type: 'button', text: { type: 'plain_text', text: 'تقديم عرض' }, url: t.applyUrl, style: 'primary' }
+        ]
+    });
+
+    return { text: t.title, blocks };
+}
+
+/**
+ * Formats a job for a channel.
+ * @param {Object} channel - Chat channel
+ * @param {Object} job - Result of getWebhookJobData
+ * @returns {Object} - Request body
+ */
+function formatChatMessage(channel, job) {
+    return CHAT_CHANNEL_TYPES[channel.type].format(job, channel);
+}
@@ -15,6 +15,21 @@ function isContextValid() {
     }
 }
 
+// Mostaql requests go through the background request scheduler, which keeps
+// the whole extension under one request budget
+function fetchMostaql(url, options = {}) {
+    return new Promise((resolve, reject) => {
+        if (!isContextValid()) {
+            reject(new Error('Extension context invalidated'));
+            return;
+        }
+        chrome.runtime.sendMessage({ action: 'fetchMostaql', url, options, priority: 'interactive' }, (result) => {
+            if (result && result.success) resolve(result.response);
+            else reject(new Error(result ? result.error : 'No response from background'));
+        });
+    });
+}
+
 function checkForAutofill() {
     console.log('Mostaql Ext: Checking for pending autofill...');
     handleAutofillSequence();
@@ -57,22 +72,20 @@ function handleAutofillSequence() {
 
         console.log('Found pending autofill data:', autofill);
 
+        // Preselect the AI prompt of the watch profile that alerted about this project
+        const aiBtn = document.getElementById('chatgpt-main-btn');
+        if (autofill.promptId && aiBtn) {
+            aiBtn.dataset.promptId = autofill.promptId;
+        }
+
         // Wait for form elements
         let attempts = 0;
         const maxAttempts = 20; // 10 seconds total
 
         const interval = setInterval(() => {
-            // Flexible selectors for Amount - Prioritize name attribute
-            const amountInput = document.querySelector('input[name="cost"]') ||
-                document.querySelector('input[name="amount"]') ||
-                document.querySelector('#bid__cost') ||
-                document.querySelector('#amount');
-
-            // Flexible selectors for Duration - Prioritize name attribute
-            const durationInput = document.querySelector('input[name="period"]') ||
-                document.querySelector('input[name="duration"]') ||
-                document.querySelector('#bid__period') ||
-                document.querySelector('#duration');
+            // Flexible selectors for Amount and Duration - earlier entries (name attribute) first
+            const amountInput = queryFirstSelector(document, mostaqlSelectors.bidForm.cost);
+            const durationInput = queryFirstSelector(document, mostaqlSelectors.bidForm.period);
 
             if (amountInput && durationInput) {
                 clearInterval(interval);
@@ -139,11 +152,7 @@ function fillForm(amountInput, durationInput, data) {
 
         // Fill Proposal content
         if (data.proposal) {
-            const proposalTextarea = document.querySelector('#bid__details') ||
-                document.querySelector('#description') ||
-                document.querySelector('textarea[name="details"]') ||
-                document.querySelector('textarea[name="description"]') ||
-                document.querySelector('#proposal-description');
+            const proposalTextarea = queryFirstSelector(document, mostaqlSelectors.bidForm.details);
             if (proposalTextarea) {
                 proposalTextarea.focus();
                 proposalTextarea.value = data.proposal;
@@ -154,7 +163,7 @@ function fillForm(amountInput, durationInput, data) {
     }, 100);
 
     // Scroll to the form
-    const form = document.querySelector('#add-proposal-form') || amountInput.closest('form') || amountInput.parentElement;
+    const form = document.querySelector(mostaqlSelectors.bidForm.form) || amountInput.closest('form') || amountInput.parentElement;
     if (form) {
         form.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
@@ -178,7 +187,7 @@ function fillForm(amountInput, durationInput, data) {
 
 function injectTrackButton() {
     // Target: Bottom of Project Card section (بطاقة المشروع) in the sidebar
-    const metaCardBody = document.querySelector('#project-meta-panel');
+    const metaCardBody = document.querySelector(mostaqlSelectors.project.metaPanel);
     if (!metaCardBody) return;
 
     // --- Container for Extension Buttons ---
@@ -570,13 +579,7 @@ function handleQuickBidClick() {
         const minBudget = getBudgetFromPage();
         const projectData = extractProjectData();
 
-        // Duration: Extract number if possible
-        let durationDays = 0;
-        if (projectData.duration) {
-            const match = projectData.duration.match(/\d+/);
-            if (match) durationDays = parseInt(match[0]);
-            else if (projectData.duration.includes("يوم واحد")) durationDays = 1;
-        }
+        const durationDays = parseDurationDays(projectData.duration);
 
         const autofillData = {
             projectId: projectId,
@@ -598,9 +601,37 @@ function getProjectId() {
     return match ? match[1] : '';
 }
 
+let reportedProjectId = '';
+
+// Tell the background this project was opened, and when a bid is submitted
+// from it, so the digest can list projects opened without a bid.
+function reportProjectActivity() {
+    const projectId = getProjectId();
+    if (!projectId || !isContextValid()) return;
+
+    const project = {
+        id: projectId,
+        title: (queryFirstSelector(document, mostaqlSelectors.project.title) || document.querySelector('h1'))?.innerText.trim() || '',
+        url: location.origin + location.pathname
+    };
+
+    if (reportedProjectId !== projectId) {
+        reportedProjectId = projectId;
+        chrome.runtime.sendMessage({ action: 'projectOpened', project });
+    }
+
+    const form = document.querySelector(mostaqlSelectors.bidForm.form);
+    if (form && !form.dataset.frelanciaReported) {
+        form.dataset.frelanciaReported = 'true';
+        form.addEventListener('submit', () => {
+            if (isContextValid()) chrome.runtime.sendMessage({ action: 'projectBid', project });
+        });
+    }
+}
+
 function extractProjectData() {
     // Extract Status
-    const statusLabel = document.querySelector('.label-prj-open, .label-prj-closed, .label-prj-completed, .label-prj-cancelled, .label-prj-underway, .label-prj-processing');
+    const statusLabel = document.querySelector(mostaqlSelectors.project.status);
     const status = statusLabel ? statusLabel.textContent.trim().replace(/\s+/g, ' ') : 'غير معروف';
 
     // Extract Meta Data (Communications, Duration, Budget, Publish Date)
@@ -613,10 +644,11 @@ function extractProjectData() {
     let openProjects = '0';
     let underwayProjects = '0';
 
-    const metaRows = document.querySelectorAll('.meta-row, .table-meta tr, .card .table tr, li.meta-item');
+    const project = mostaqlSelectors.project;
+    const metaRows = document.querySelectorAll(`${project.metaRows}, ${project.metaTableRows}, ${project.metaExtraRows}`);
     metaRows.forEach(row => {
-        const label = row.querySelector('.meta-label, td:first-child, .meta-item-label')?.textContent.trim().replace(/\s+/g, ' ') || row.innerText.split(/[:\n]/)[0]?.trim().replace(/\s+/g, ' ');
-        const value = row.querySelector('.meta-value, td:last-child, .meta-item-value')?.textContent.trim().replace(/\s+/g, ' ') || row.innerText.split(/[:\n]/).pop()?.trim().replace(/\s+/g, ' ');
+        const label = row.querySelector(project.metaLabel)?.textContent.trim().replace(/\s+/g, ' ') || row.innerText.split(/[:\n]/)[0]?.trim().replace(/\s+/g, ' ');
+        const value = row.querySelector(project.metaValue)?.textContent.trim().replace(/\s+/g, ' ') || row.innerText.split(/[:\n]/).pop()?.trim().replace(/\s+/g, ' ');
 
         if (label && value) {
             if (label.includes('التواصلات') || label.includes('Communications')) {
@@ -640,28 +672,29 @@ function extractProjectData() {
     });
 
     // Fallback/Specific selectors
-    const budgetEl = document.querySelector('[data-type="project-budget_range"], #project-meta-panel .meta-value[data-type="project-budget_range"]');
+    const budgetEl = document.querySelector(project.budget);
     if (budgetEl) budget = budgetEl.textContent.trim().replace(/\s+/g, ' ');
 
-    const timeEl = document.querySelector('time[itemprop="datePublished"], #project-meta-panel time');
+    const metaPanel = document.querySelector(project.metaPanel);
+    const timeEl = document.querySelector(project.publishTime) || metaPanel?.querySelector('time');
     if (timeEl) publishDate = timeEl.textContent.trim().replace(/\s+/g, ' ');
 
     // Specific check for sidebar tags
-    const sideTags = document.querySelectorAll('#project-meta-panel .tag');
+    const sideTags = document.querySelectorAll(project.panelTags);
     let tagsStr = '';
     if (sideTags.length > 0) {
         tagsStr = Array.from(sideTags).map(t => t.innerText.trim()).join(', ');
     }
 
     // Client Name
-    const clientNameEl = document.querySelector('.profile__name bdi');
+    const clientNameEl = document.querySelector(project.clientName);
     const clientName = clientNameEl ? clientNameEl.textContent.trim().replace(/\s+/g, ' ') : 'غير معروف';
 
     // Project ID
     const projectId = getProjectId();
 
     // Category
-    const categoryEl = document.querySelector('.breadcrumb-item[data-index="2"]');
+    const categoryEl = queryFirstSelector(document, project.category);
     const category = categoryEl ? categoryEl.textContent.trim() : 'غير معروف';
 
     // Client Metrics & Info
@@ -671,10 +704,10 @@ function extractProjectData() {
     hiringRate = 'غير معروف';
     let clientType = 'صاحب عمل';
 
-    const clientCard = document.querySelector('.profile_card');
+    const clientCard = document.querySelector(project.clientCard);
     if (clientCard) {
         // Table info
-        const clientRows = clientCard.querySelectorAll('.table-meta tr');
+        const clientRows = clientCard.querySelectorAll(project.clientRows);
         clientRows.forEach(row => {
             const label = row.querySelector('td:first-child')?.textContent.trim();
             const value = row.querySelector('td:last-child')?.textContent.trim();
@@ -687,18 +720,16 @@ function extractProjectData() {
         });
 
         // Client Type (from meta items list)
-        const typeEl = clientCard.querySelector('.meta_items li');
+        const typeEl = clientCard.querySelector(project.clientType);
         if (typeEl) clientType = typeEl.textContent.trim();
     }
 
     // Tags
-    const tags = Array.from(document.querySelectorAll('.skills .tag, .tags .tag, .project-tags .tag'))
-        .map(tag => tag.textContent.trim())
+    const tags = [...new Set(Array.from(document.querySelectorAll(project.tags))
+        .map(tag => tag.textContent.trim()))]
         .join(', ');
 
-    const titleEl = document.querySelector('.heada__title span[data-type="page-header-title"]') || 
-                    document.querySelector('.page-title h1') ||
-                    document.querySelector('.project-title');
+    const titleEl = queryFirstSelector(document, project.title);
     const title = titleEl?.textContent.trim() || document.title || 'مشروع غير معنون';
 
     return {
@@ -719,7 +750,7 @@ function extractProjectData() {
         underwayProjects: underwayProjects || '0',
         clientJoined: clientJoined || 'غير معروف',
         clientType: clientType || 'صاحب عمل',
-        attachments: Array.from(document.querySelectorAll('#projectDetailsTab #project-files-panel .attachment a[href]'))
+        attachments: Array.from(document.querySelectorAll(project.attachments))
             .map(a => ({
                 url: a.href,
                 name: a.getAttribute('title') || a.innerText.trim()
@@ -729,18 +760,19 @@ function extractProjectData() {
 
 function getProjectDescription() {
     let description = '';
+    const project = mostaqlSelectors.project;
 
     // 1. Main brief/description paragraph
-    const briefElement = document.querySelector('#project-brief .text-wrapper-div, #projectDetailsTab > .pdn--am > .text-wrapper-div');
+    const briefElement = queryFirstSelector(document, project.brief);
     if (briefElement) {
         description += briefElement.innerText.trim() + '\n\n';
     }
 
     // 2. Extract structured fields (Channels, Required delivery, etc.)
-    const detailRows = document.querySelectorAll('#projectDetailsTab .row > div');
+    const detailRows = document.querySelectorAll(project.detailFields);
     detailRows.forEach(row => {
-        const label = row.querySelector('.field-label')?.textContent.trim();
-        const value = row.querySelector('.text-wrapper-div:not(.field-label)')?.textContent.trim();
+        const label = row.querySelector(project.detailLabel)?.textContent.trim();
+        const value = row.querySelector(project.detailValue)?.textContent.trim();
 
         if (label && value) {
             description += `${label}: ${value}\n`;
@@ -759,22 +791,11 @@ function getProjectDescription() {
 }
 
 function getBudgetFromPage() {
-    const budgetEl = document.querySelector('[data-type="project-budget_range"]');
+    const budgetEl = document.querySelector(mostaqlSelectors.project.budget);
     if (!budgetEl) return 0;
 
-    // e.g. "$25.00 - $50.00"
-    const text = budgetEl.textContent.trim();
-    if (!text) return 0;
-
-    // Extract logical numbers (handling commas)
-    const matches = text.replace(/,/g, '').match(/\d+(\.\d+)?/g);
-    if (!matches || matches.length === 0) return 0;
-
-    // Parse floats
-    const values = matches.map(m => parseFloat(m));
-
-    // Return Minimum
-    return Math.min(...values);
+    // e.g. "$25.00 - $50.00" — autofill offers the lowest amount
+    return parseMinBudgetValue(budgetEl.textContent.trim());
 }
 
 // --- Prompt Management ---
@@ -953,6 +974,7 @@ function runInjectors() {
 
 
     if (page === 'project') {
+        reportProjectActivity();
         injectTrackButton();
         injectProjectExporter();
         checkForAutofill();
@@ -1034,13 +1056,14 @@ function injectDashboardStats() {
         }
         const tpl = document.createElement("template");
         tpl.innerHTML = renderedHtml.trim();
-        const row = tpl.content.querySelector("tr.bid-row");
+        const myBids = mostaqlSelectors.myBids;
+        const row = tpl.content.querySelector(myBids.row);
         if (!row) return null;
 
-        const titleLink = row.querySelector("h2 a");
-        const statusEl = row.querySelector(".label-prj-pending, .label"); // fallback
-        const timeEl = row.querySelector("time[datetime]");
-        const priceEl = row.querySelector(".project__meta li .fa-money")?.closest("li")?.querySelector("span");
+        const titleLink = row.querySelector(myBids.title);
+        const statusEl = row.querySelector(myBids.status); // fallback
+        const timeEl = row.querySelector(myBids.time);
+        const priceEl = row.querySelector(myBids.priceIcon)?.closest("li")?.querySelector("span");
         const url = (titleLink?.getAttribute("href") || null).split("-")[0];
 
         let publishedText = null;
@@ -1066,36 +1089,6 @@ function injectDashboardStats() {
         const safeArray = Array.isArray(items) ? items : [];
         const normalizeStatus = (s) => (typeof s === "string" && s.trim() ? s.trim() : "UNKNOWN");
 
-        // Parse "YYYY-MM-DD HH:mm:ss" safely (treat as local time).
-        // Also supports ISO strings and Date.
-        const parsePublished = (v) => {
-            if (!v) return null;
-            if (v instanceof Date && !Number.isNaN(v.getTime())) return v;
-
-            if (typeof v !== "string") return null;
-            const str = v.trim();
-            if (!str) return null;
-
-            // If it's already ISO-like, Date can parse it.
-            // But "YYYY-MM-DD HH:mm:ss" is not reliably parsed across browsers -> custom parse.
-            const m = str.match(
-                /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/
-            );
-            if (m) {
-                const year = Number(m[1]);
-                const month = Number(m[2]) - 1; // 0-based
-                const day = Number(m[3]);
-                const hour = Number(m[4] ?? 0);
-                const min = Number(m[5] ?? 0);
-                const sec = Number(m[6] ?? 0);
-                const d = new Date(Date.UTC(year, month, day, hour, min, sec));
-                return Number.isNaN(d.getTime()) ? null : d;
-            }
-
-            const d = new Date(str);
-            return Number.isNaN(d.getTime()) ? null : d;
-        };
-
         const makeEmptyBucket = () => ({
             total: 0,
             byStatus: {},
@@ -1120,7 +1113,7 @@ function injectDashboardStats() {
             addToBucket(overall, status);
 
             // windowed stats need date
-            const published = parsePublished(item?.publishedDatetime);
+            const published = parseDatetime(item?.publishedDatetime);
             if (!published) {
                 last30Days.invalidDateCount += 1;
                 last1Day.invalidDateCount += 1;
@@ -1159,7 +1152,7 @@ function injectDashboardStats() {
     async function fetchBidPage(pageNumber) {
         const url = `https://mostaql.com/dashboard/bids?page=${pageNumber}&sort=latest`;
 
-        const response = await fetch(url, {
+        const response = await fetchMostaql(url, {
             method: "GET",
             headers: {
                 "Accept": "application/json",
@@ -1172,7 +1165,7 @@ function injectDashboardStats() {
             throw new Error(`Page ${pageNumber} request failed`);
         }
 
-        return await response.json();
+        return JSON.parse(response.text);
     }
 
     function processBidsFromPage(data) {
@@ -1865,198 +1858,7 @@ async function executeExportAll() {
 
     const html = `
     <html dir="rtl" lang="ar">
-    <head>
-        <meta charset="UTF-8">
-        <title>تقرير مشروع مستقل - ${discussionId}</title>
-        <link rel="preconnect" href="https://fonts.googleapis.com">
-        <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-        <link href="https://fonts.googleapis.com/css2?family=Cairo:wght@300;400;600;700&display=swap" rel="stylesheet">
-        <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/4.7.0/css/font-awesome.min.css">
-        <style>
-            :root {
-                --primary: #2386c8;
-                --primary-light: #e3f2fd;
-                --text-main: #2c3e50;
-                --text-muted: #7f8c8d;
-                --bg-body: #f8fafc;
-                --bg-card: #ffffff;
-                --border-color: #e2e8f0;
-                --radius: 12px;
-                --shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
-            }
-
-            * { box-sizing: border-box; }
-            body { 
-                font-family: 'Cairo', sans-serif; 
-                background: var(--bg-body); 
-                padding: 40px 20px; 
-                line-height: 1.6; 
-                color: var(--text-main); 
-                margin: 0;
-                font-size: 14px;
-            }
-            
-            .container { 
-                max-width: 950px; 
-                margin: auto; 
-                background: var(--bg-card); 
-                padding: 40px; 
-                border-radius: var(--radius); 
-                box-shadow: var(--shadow); 
-            }
-            
-            header { 
-                text-align: center; 
-                margin-bottom: 50px; 
-                padding-bottom: 25px; 
-                border-bottom: 2px solid var(--primary-light); 
-            }
-            h1 { 
-                margin: 0; 
-                color: var(--primary); 
-                font-size: 28px; 
-                font-weight: 700;
-            }
-            .date-stamp { color: var(--text-muted); font-size: 14px; margin-top: 8px; font-weight: 400; }
-
-            section { 
-                margin-bottom: 20px; 
-            }
-            h2 { 
-                color: var(--text-main); 
-                font-size: 19px; 
-                font-weight: 700;
-                display: flex;
-                align-items: center;
-                gap: 10px;
-                margin-bottom: 12px;
-            }
-            h2::before {
-                content: '';
-                display: none;
-            }
-
-            h3 { font-size: 15px; color: var(--primary); margin: 15px 0 8px; font-weight: 600; }
-            
-            .info-card { 
-                background: #fbfcfd; 
-                border: 1px solid var(--border-color); 
-                border-radius: var(--radius); 
-                padding: 12px 16px;
-                margin-bottom: 12px;
-            }
-
-            .info-grid { 
-                display: grid; 
-                grid-template-columns: repeat(2, 1fr); 
-                gap: 8px 12px; 
-            }
-            .info-grid.col-3 { 
-                grid-template-columns: repeat(3, 1fr); 
-            }
-            .info-item { 
-                display: flex; 
-                flex-direction: column; 
-                padding: 3px 5px;
-                border-bottom: 1px solid #f8fafc;
-            }
-            .info-item.full-width {
-                grid-column: 1 / -1;
-            }
-            .info-label { font-size: 11px; color: var(--text-muted); font-weight: 600; margin-bottom: 1px; }
-            .info-value { font-size: 13.5px; color: var(--text-main); font-weight: 700; }
-
-            .content-box { 
-                background: #fff; 
-                border: 1px solid var(--border-color); 
-                padding: 15px; 
-                border-radius: var(--radius); 
-                white-space: pre-wrap; 
-                font-size: 13.5px; 
-                line-height: 1.5;
-                color: #334155;
-            }
-            
-            .tags-cloud { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 15px; }
-            .tag-pill { 
-                background: var(--primary-light); 
-                color: var(--primary); 
-                padding: 5px 14px; 
-                border-radius: 50px; 
-                font-size: 13px; 
-                font-weight: 600; 
-                border: 1px solid #bbdefb;
-                transition: all 0.2s;
-            }
-
-            .chat-container { display: flex; flex-direction: column; gap: 20px; margin-top: 30px; }
-            .msg-row { display: flex; width: 100%; align-items: flex-start; }
-            .msg-row.us { flex-direction: row-reverse; }
-            
-            .avatar-col { width: 60px; flex-shrink: 0; padding: 0 10px; text-align: center; }
-            .avatar-col img { 
-                width: 45px; 
-                height: 45px; 
-                border-radius: 50%; 
-                border: 3px solid #fff; 
-                box-shadow: 0 4px 10px rgba(0,0,0,0.1); 
-            }
-            
-            .bubble { 
-                max-width: 80%; 
-                padding: 12px 18px; 
-                border-radius: 18px; 
-                box-shadow: 0 2px 10px rgba(0,0,0,0.02); 
-                font-size: 13px; 
-            }
-            .msg-row { page-break-inside: avoid; margin-bottom: 15px; }
-            .us .bubble { background: #e3f2fd; color: #1e293b; border-top-right-radius: 4px; }
-            .other .bubble { background: #fff; border: 1px solid var(--border-color); border-top-left-radius: 4px; }
-            
-            .sender-name { font-weight: 700; font-size: 12.5px; display: block; margin-bottom: 8px; color: var(--primary); }
-            .time { font-size: 11px; color: var(--text-muted); display: block; margin-top: 10px; }
-            
-            .attachment-preview { margin-top: 20px; }
-            .attachment-preview img { 
-                max-width: 100%; 
-                max-height: 500px; 
-                border-radius: var(--radius); 
-                border: 1px solid var(--border-color); 
-                object-fit: contain;
-                box-shadow: var(--shadow);
-            }
-            .attach-link { 
-                display: inline-flex; 
-                align-items: center; 
-                gap: 8px;
-                color: var(--primary); 
-                text-decoration: none; 
-                font-size: 12.5px; 
-                margin-top: 12px; 
-                font-weight: 600;
-                padding: 8px 15px;
-                background: var(--primary-light);
-                border-radius: 8px;
-            }
-
-            .container { counter-reset: section; }
-            section h2::before {
-                counter-increment: section;
-                content: counter(section) ". ";
-            }
-
-            .page-break { page-break-before: always; }
-            
-            @media print {
-                body { background: #fff !important; padding: 0 !important; }
-                .container { box-shadow: none !important; border: none !important; width: 100% !important; max-width: none !important; padding: 0 !important; }
-                .no-print { display: none !important; }
-                .info-card, .content-box, .bubble { border: 1px solid #e2e8f0 !important; page-break-inside: auto !important; }
-                h1, h2, h3 { color: #000 !important; page-break-after: avoid !important; }
-                .msg-row { page-break-inside: avoid !important; }
-            }
-        </style>
-    </head>
+    ${renderReportHead(`تقرير مشروع مستقل - ${discussionId}`)}
     <body>
         <div class="container">
             <header>
@@ -2293,14 +2095,14 @@ async function extractProjectDetailsFull() {
         // Special: If we are on the project page, extract bids from the page itself if not fetched externally
         if (!data.bids) {
             data.bids = [];
-            const bidElements = document.querySelectorAll('#project-bids .bid');
+            const bidElements = document.querySelectorAll(mostaqlSelectors.project.bids);
             if (bidElements.length > 0) {
                 bidElements.forEach(bid => {
-                    const bidderNameEl = bid.querySelector('.profile__name bdi');
-                    const bidderLinkEl = bid.querySelector('.profile__name a');
-                    const bidderTitleEl = bid.querySelector('.bid__meta .title');
-                    const bidTimeEl = bid.querySelector('.bid__meta .time time');
-                    const bidContentEl = bid.querySelector('.bid__details .text-wrapper-div');
+                    const bidderNameEl = bid.querySelector(mostaqlSelectors.project.bidderName);
+                    const bidderLinkEl = bid.querySelector(mostaqlSelectors.project.bidderLink);
+                    const bidderTitleEl = bid.querySelector(mostaqlSelectors.project.bidderTitle);
+                    const bidTimeEl = bid.querySelector(mostaqlSelectors.project.bidTime);
+                    const bidContentEl = bid.querySelector(mostaqlSelectors.project.bidContent);
                     const bidTime = bidTimeEl ? bidTimeEl.getAttribute('datetime') : null;
                     data.bids.push({
                         name: bidderNameEl ? bidderNameEl.innerText.trim() : "مجهول",
@@ -2347,26 +2149,28 @@ async function extractProjectDetailsFull() {
 
 async function fetchDeepProjectData(url) {
     try {
-        const response = await fetch(url);
+        // Only public fields are read, so the page is shared with the background's fetches
+        const response = await fetchMostaql(url, { credentials: 'omit' });
         if (!response.ok) return null;
-        const html = await response.text();
+        const html = response.text;
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, "text/html");
         
         const res = {};
+        const project = mostaqlSelectors.project;
         
         // 1. Tags
-        const tags = Array.from(doc.querySelectorAll('.tag, .skills__item bdi'));
+        const tags = Array.from(doc.querySelectorAll(`${project.tags}, ${project.panelTags}`));
         if (tags.length > 0) {
             res.tags = Array.from(new Set(tags.map(t => t.innerText.trim()))).join(', ');
         }
 
         // Helper for specific meta-row structure
         const getMetaValue = (label) => {
-            const rows = doc.querySelectorAll('.meta-row');
+            const rows = doc.querySelectorAll(project.metaRows);
             for (const row of rows) {
-                if (row.querySelector('.meta-label')?.innerText.includes(label)) {
-                    return row.querySelector('.meta-value')?.innerText.trim().replace(/\s+/g, ' ');
+                if (row.querySelector(project.metaLabel)?.innerText.includes(label)) {
+                    return row.querySelector(project.metaValue)?.innerText.trim().replace(/\s+/g, ' ');
                 }
             }
             // Fallback for tables
@@ -2379,25 +2183,23 @@ async function fetchDeepProjectData(url) {
             return null;
         };
 
-        res.title = doc.querySelector('.heada__title span[data-type="page-header-title"]')?.innerText.trim() || 
-                    doc.querySelector('.page-title h1')?.innerText.trim() || 
+        res.title = queryFirstSelector(doc, project.title)?.innerText.trim() || 
                     doc.title.split('-')[0].trim();
                     
-        res.category = doc.querySelector('.breadcrumb li:nth-last-child(2) a')?.innerText.trim() || 
-                       doc.querySelector('.project-header__meta a')?.innerText.trim();
+        res.category = queryFirstSelector(doc, project.category)?.innerText.trim();
 
         res.status = getMetaValue('حالة المشروع') || doc.querySelector('.project-header .label')?.innerText.trim().replace(/\s+/g, ' ');
         res.budget = getMetaValue('الميزانية');
         res.duration = getMetaValue('مدة التنفيذ');
-        res.publishDate = getMetaValue('تاريخ النشر') || doc.querySelector('time[itemprop="datePublished"]')?.innerText.trim().replace(/\s+/g, ' ');
-        const publishTimeEl = doc.querySelector('time[itemprop="datePublished"]');
+        const publishTimeEl = doc.querySelector(project.publishTime);
+        res.publishDate = getMetaValue('تاريخ النشر') || publishTimeEl?.innerText.trim().replace(/\s+/g, ' ');
         res.publishDatetime = publishTimeEl ? publishTimeEl.getAttribute('datetime') : null;
         
         // Client data
-        const clientCard = doc.querySelector('.profile_card');
+        const clientCard = doc.querySelector(project.clientCard);
         if (clientCard) {
             const getClientVal = (label) => {
-                const trs = clientCard.querySelectorAll('tr');
+                const trs = clientCard.querySelectorAll(project.clientRows);
                 for (const tr of trs) {
                     if (tr.innerText.includes(label)) {
                         return tr.querySelector('td:last-child')?.innerText.trim().replace(/\s+/g, ' ');
@@ -2415,22 +2217,17 @@ async function fetchDeepProjectData(url) {
             res.ongoingCommunications = getClientVal('التواصلات الجارية');
             
             // Client specialization/title
-            const specEl = clientCard.querySelector('.meta_items li');
+            const specEl = clientCard.querySelector(project.clientType);
             if (specEl) {
                 res.clientTitle = specEl.innerText.trim();
             }
         }
 
-        const briefSelectors = ["#project-brief .text-wrapper-div", ".project-description .text-wrapper-div", "#project-brief", ".pdn--am .text-wrapper-div"];
-        let briefElFinal = null;
-        for (const s of briefSelectors) {
-            briefElFinal = doc.querySelector(s);
-            if (briefElFinal) break;
-        }
+        const briefElFinal = queryFirstSelector(doc, project.brief);
         res.description = briefElFinal ? briefElFinal.innerText.trim() : "";
 
         // 3. Attachments (Only from project details section)
-        res.attachments = Array.from(doc.querySelectorAll('#projectDetailsTab #project-files-panel .attachment a[href]'))
+        res.attachments = Array.from(doc.querySelectorAll(project.attachments))
             .map(a => ({
                 url: a.href,
                 name: a.getAttribute('title') || a.innerText.trim()
@@ -2438,12 +2235,13 @@ async function fetchDeepProjectData(url) {
 
         // 4. Bids Extraction
         res.bids = [];
-        const bidElements = doc.querySelectorAll('#project-bids .bid');
+        const bidElements = doc.querySelectorAll(mostaqlSelectors.project.bids);
         
         const formatDiff = (start, end) => {
             if (!start || !end) return null;
-            const d1 = new Date(start.replace(' ', 'T'));
-            const d2 = new Date(end.replace(' ', 'T'));
+            const d1 = parseDatetime(start);
+            const d2 = parseDatetime(end);
+            if (!d1 || !d2) return null;
             const diffMs = d2 - d1;
             if (diffMs < 0) return "مباشرة";
             
@@ -2456,11 +2254,11 @@ async function fetchDeepProjectData(url) {
         };
 
         bidElements.forEach(bid => {
-            const bidderNameEl = bid.querySelector('.profile__name bdi');
-            const bidderLinkEl = bid.querySelector('.profile__name a');
-            const bidderTitleEl = bid.querySelector('.bid__meta .title');
-            const bidTimeEl = bid.querySelector('.bid__meta .time time');
-            const bidContentEl = bid.querySelector('.bid__details .text-wrapper-div');
+            const bidderNameEl = bid.querySelector(mostaqlSelectors.project.bidderName);
+            const bidderLinkEl = bid.querySelector(mostaqlSelectors.project.bidderLink);
+            const bidderTitleEl = bid.querySelector(mostaqlSelectors.project.bidderTitle);
+            const bidTimeEl = bid.querySelector(mostaqlSelectors.project.bidTime);
+            const bidContentEl = bid.querySelector(mostaqlSelectors.project.bidContent);
             
             const bidTime = bidTimeEl ? bidTimeEl.getAttribute('datetime') : null;
             
@@ -2570,11 +2368,30 @@ function extractMyProposalFull(externalProjectData = null) {
 
 
 
+// Selectors used to read Mostaql pages: the defaults until storage answers,
+// then the map edited in the dashboard (see mostaql-selectors.js)
+let mostaqlSelectors = resolveMostaqlSelectors(null);
+
+function loadMostaqlSelectors(callback) {
+    if (!isContextValid()) return callback();
+    chrome.storage.local.get(['mostaqlSelectors'], (data) => {
+        mostaqlSelectors = resolveMostaqlSelectors(data.mostaqlSelectors);
+        callback();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.mostaqlSelectors) {
+            mostaqlSelectors = resolveMostaqlSelectors(changes.mostaqlSelectors.newValue);
+        }
+    });
+}
+
 // Initial injection
 function initExtension() {
-    lastPath = location.pathname;
-    runInjectors();
-    startObserverOnce();
+    loadMostaqlSelectors(() => {
+        lastPath = location.pathname;
+        runInjectors();
+        startObserverOnce();
+    });
 }
 
 if (document.readyState === 'loading') {
@@ -33,6 +33,21 @@ function refreshBidTracker() {
 
 // --- API Layer ---
 
+/**
+ * Fetches a Mostaql URL through the background request scheduler.
+ * @param {string} url - mostaql.com URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - { ok, status, url, text }
+ */
+function fetchMostaql(url, options) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ action: 'fetchMostaql', url, options, priority: 'interactive' }, (result) => {
+            if (result && result.success) resolve(result.response);
+            else reject(new Error(result ? result.error : 'No response from background'));
+        });
+    });
+}
+
 /**
  * Fetches a single page of bids from Mostaql API.
  * @param {number} pageNumber - The page to fetch
@@ -41,7 +56,7 @@ function refreshBidTracker() {
 async function fetchBidTrackerPage(pageNumber) {
     const url = `https://mostaql.com/dashboard/bids?page=${pageNumber}&sort=latest`;
 
-    const response = await fetch(url, {
+    const response = await fetchMostaql(url, {
         method: 'GET',
         headers: {
             'Accept': 'application/json',
@@ -54,7 +69,7 @@ async function fetchBidTrackerPage(pageNumber) {
         throw new Error(`Bid page ${pageNumber} request failed: ${response.status}`);
     }
 
-    return response.json();
+    return JSON.parse(response.text);
 }
 
 /**
@@ -67,13 +82,14 @@ function extractBidTrackerRow(renderedHtml) {
 
     const template = document.createElement('template');
     template.innerHTML = renderedHtml.trim();
-    const row = template.content.querySelector('tr.bid-row');
+    const myBids = mostaqlSelectors.myBids;
+    const row = template.content.querySelector(myBids.row);
     if (!row) return null;
 
-    const titleLink = row.querySelector('h2 a');
-    const statusEl = row.querySelector('.label-prj-pending, .label');
-    const timeEl = row.querySelector('time[datetime]');
-    const priceEl = row.querySelector('.project__meta li .fa-money')
+    const titleLink = row.querySelector(myBids.title);
+    const statusEl = row.querySelector(myBids.status);
+    const timeEl = row.querySelector(myBids.time);
+    const priceEl = row.querySelector(myBids.priceIcon)
         ?.closest('li')?.querySelector('span');
     const rawUrl = titleLink?.getAttribute('href') || '';
     const url = rawUrl.split('-')[0];
@@ -110,40 +126,6 @@ function processBidTrackerPage(pageData) {
 
 // --- Data Processing ---
 
-/**
- * Parses a datetime string into a Date object.
- * Handles "YYYY-MM-DD HH:mm:ss" and ISO formats.
- * @param {*} value - The datetime value to parse
- * @returns {Date|null} - Parsed Date or null
- */
-function parseBidDatetime(value) {
-    if (!value) return null;
-    if (value instanceof Date && !Number.isNaN(value.getTime())) return value;
-    if (typeof value !== 'string') return null;
-
-    const str = value.trim();
-    if (!str) return null;
-
-    const match = str.match(
-        /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/
-    );
-
-    if (match) {
-        const date = new Date(Date.UTC(
-            Number(match[1]),
-            Number(match[2]) - 1,
-            Number(match[3]),
-            Number(match[4] ?? 0),
-            Number(match[5] ?? 0),
-            Number(match[6] ?? 0)
-        ));
-        return Number.isNaN(date.getTime()) ? null : date;
-    }
-
-    const fallback = new Date(str);
-    return Number.isNaN(fallback.getTime()) ? null : fallback;
-}
-
 /**
  * Filters bids to the last 30 days and computes statistics.
  * @param {Array<Object>} allBids - All fetched bids
@@ -156,7 +138,7 @@ function computeBidTrackerStats(allBids) {
     const byStatus = {};
 
     for (const bid of allBids) {
-        const published = parseBidDatetime(bid.publishedDatetime);
+        const published = parseDatetime(bid.publishedDatetime);
         if (!published) continue;
 
         const ageMs = now.getTime() - published.getTime();
@@ -266,13 +248,13 @@ async function fetchMostaqlHomepageStats() {
     const defaults = { available: '-', planUsed: '-', planTotal: '-', additional: '-' };
 
     try {
-        const response = await fetch('https://mostaql.com/', {
+        const response = await fetchMostaql('https://mostaql.com/', {
             credentials: 'include',
             headers: { 'Accept': 'text/html' },
         });
         if (!response.ok) return defaults;
 
-        const html = await response.text();
+        const html = response.text;
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
 
@@ -295,7 +277,7 @@ function parseHomepageBidStats(doc, defaults) {
     // Available bids: the <span class="text-alpha"> inside the "عروض متاحة" section
     const availableLink = doc.querySelector('a[href*="dashboard/bids"] .text-alpha');
     if (availableLink) {
-        result.available = parseInt(availableLink.textContent.trim(), 10) || 0;
+        result.available = parseNumbers(availableLink.textContent)[0] || 0;
     }
 
     // Plan and additional: find progress bars
@@ -308,10 +290,10 @@ function parseHomepageBidStats(doc, defaults) {
         if (label.includes('عروض من الخطة')) {
             const valueEl = bar.querySelector('.pull-left span, .pull-left');
             if (valueEl) {
-                const parts = valueEl.textContent.trim().split('/');
+                const parts = parseNumbers(valueEl.textContent);
                 if (parts.length === 2) {
-                    result.planTotal = parseInt(parts[0].trim(), 10) || 0;
-                    result.planUsed = parseInt(parts[1].trim(), 10) || 0;
+                    result.planTotal = parts[0];
+                    result.planUsed = parts[1];
                 }
             }
         }
@@ -319,7 +301,7 @@ function parseHomepageBidStats(doc, defaults) {
         if (label.includes('عروض') && label.includes('إضافية')) {
             const valueEl = bar.querySelector('.pull-left');
             if (valueEl) {
-                result.additional = parseInt(valueEl.textContent.trim(), 10) || 0;
+                result.additional = parseNumbers(valueEl.textContent)[0] || 0;
             }
         }
     });
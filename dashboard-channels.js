@@ -0,0 +1,262 @@
+// ==========================================
+// Frelancia Pro - Chat Channels Module
+// ==========================================
+
+// --- Loading & Rendering ---
+
+/**
+ * Loads the chat channels and renders them.
+ */
+function loadChatChannels() {
+    chrome.storage.local.get(['chatChannels'], (data) => {
+        renderChatChannels((data.chatChannels || []).map(createChatChannel));
+    });
+}
+
+/**
+ * Renders the chat channels list.
+ * @param {Array<Object>} channels - Chat channels
+ */
+function renderChatChannels(channels) {
+    const list = document.getElementById('chatChannelsList');
+    if (!list) return;
+
+    if (channels.length === 0) {
+        list.innerHTML = '<p class="help-text" style="text-align: center; padding: 20px;">لا توجد قنوات. أضف Telegram أو Discord أو Slack لتصلك المشاريع على هاتفك.</p>';
+        return;
+    }
+
+    list.innerHTML = channels.map(channel => {
+        const chips = [CHAT_CHANNEL_TYPES[channel.type].label, `${channel.maxPerHour} رسائل/ساعة`];
+        if (channel.profileIds.length > 0) chips.push(`${channel.profileIds.length} ملفات مراقبة`);
+        if (channel.minScore > 0) chips.push(`تقييم ${channel.minScore}+`);
+        if (channel.minBudget > 0) chips.push(`ميزانية $${channel.minBudget}+`);
+        if (channel.apiUrl) chips.push('خادم مخصص');
+
+        return `
+            <div class="saved-search-item" data-id="${channel.id}">
+                <div class="saved-search-info">
+                    <h4><i class="fab fa-${channel.type} chat-channel-icon"></i> ${channel.name}</h4>
+                    <div class="saved-search-chips">
+                        ${chips.map(c => `<span class="saved-search-chip">${c}</span>`).join('')}
+                    </div>
+                </div>
+                <div class="saved-search-actions">
+                    <label class="switch">
+                        <input type="checkbox" class="chat-channel-toggle" ${channel.enabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <button class="btn-icon btn-edit-channel" title="تعديل"><i class="fas fa-edit"></i></button>
+                    <button class="btn-icon btn-delete-search btn-delete-channel" title="حذف"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// --- Channel Editor ---
+
+/**
+ * Opens the channel editor, optionally pre-filled with an existing channel.
+ * @param {Object|null} channel - Channel to edit, or null to create a new one
+ */
+function openChatChannelEditor(channel = null) {
+    const editor = document.getElementById('chatChannelEditor');
+    if (!editor) return;
+
+    chrome.storage.local.get(['profiles', 'settings'], (data) => {
+        const c = channel || createChatChannel();
+        const profiles = getWatchProfiles(data);
+
+        document.getElementById('chatChannelId').value = channel ? channel.id : '';
+        document.getElementById('chatChannelName').value = channel ? channel.name : '';
+        document.getElementById('chatChannelToken').value = c.token;
+        document.getElementById('chatChannelChatId').value = c.chatId;
+        document.getElementById('chatChannelApiUrl').value = c.apiUrl;
+        document.getElementById('chatChannelMinScore').value = c.minScore || '';
+        document.getElementById('chatChannelMinBudget').value = c.minBudget || '';
+        document.getElementById('chatChannelMaxPerHour').value = c.maxPerHour;
+        document.getElementById('chatChannelTestResult').textContent = '';
+
+        fillSelect('chatChannelType', Object.entries(CHAT_CHANNEL_TYPES).map(([type, t]) => [type, t.label]), c.type);
+        document.getElementById('chatChannelProfiles').innerHTML = profiles.map(profile => `
+            <label class="search-option">
+                <input type="checkbox" class="chat-channel-profile-input" value="${profile.id}" ${c.profileIds.includes(profile.id) ? 'checked' : ''}>
+                <span>${profile.name}</span>
+            </label>
+        `).join('');
+
+        updateChatChannelTypeFields();
+        editor.classList.remove('hidden');
+        editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+}
+
+/**
+ * Adapts the token label, the chat id field and the API URL placeholder to the selected type.
+ */
+function updateChatChannelTypeFields() {
+    const type = CHAT_CHANNEL_TYPES[document.getElementById('chatChannelType').value];
+    document.getElementById('chatChannelTokenLabel').textContent = type.tokenLabel;
+    document.getElementById('chatChannelApiUrl').placeholder = type.defaultApiUrl;
+    document.getElementById('chatChannelChatIdGroup').classList.toggle('hidden', type !== CHAT_CHANNEL_TYPES.telegram);
+}
+
+/**
+ * Closes the channel editor without saving.
+ */
+function closeChatChannelEditor() {
+    const editor = document.getElementById('chatChannelEditor');
+    if (editor) editor.classList.add('hidden');
+}
+
+/**
+ * Reads the editor form into a chat channel object.
+ * @returns {Object} - Chat channel
+ */
+function readChatChannelEditor() {
+    return createChatChannel({
+        id: document.getElementById('chatChannelId').value || undefined,
+        type: document.getElementById('chatChannelType').value,
+        name: document.getElementById('chatChannelName').value.trim(),
+        token: document.getElementById('chatChannelToken').value,
+        chatId: document.getElementById('chatChannelChatId').value.trim(),
+        apiUrl: document.getElementById('chatChannelApiUrl').value.trim(),
+        profileIds: Array.from(document.querySelectorAll('.chat-channel-profile-input:checked')).map(input => input.value),
+        minScore: document.getElementById('chatChannelMinScore').value,
+        minBudget: document.getElementById('chatChannelMinBudget').value,
+        maxPerHour: document.getElementById('chatChannelMaxPerHour').value
+    });
+}
+
+/**
+ * Validates the channel in the editor.
+ * @param {Object} channel - Channel read from the editor
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateChatChannel(channel) {
+    if (!channel.token) return 'يرجى إدخال ' + CHAT_CHANNEL_TYPES[channel.type].tokenLabel;
+    if (channel.type === 'telegram' && !channel.chatId) return 'يرجى إدخال معرف المحادثة (Chat ID)';
+    if (channel.apiUrl && !getWebhookOriginPattern(channel.apiUrl)) return 'يرجى إدخال رابط خادم http أو https صحيح';
+    return null;
+}
+
+/**
+ * Validates and persists the channel currently in the editor.
+ */
+function saveChatChannelFromEditor() {
+    const channel = readChatChannelEditor();
+    const error = validateChatChannel(channel);
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    requestWebhookPermission(getChatChannelUrl(channel), (granted) => {
+        if (!granted) return;
+        updateChatChannels((channels) => {
+            const index = channels.findIndex(c => c.id === channel.id);
+            if (index !== -1) {
+                channel.enabled = channels[index].enabled;
+                channels[index] = channel;
+            } else {
+                channels.push(channel);
+            }
+            return channels;
+        }, closeChatChannelEditor);
+    });
+}
+
+/**
+ * Sends a sample job to the channel in the editor and shows the result.
+ */
+function testChatChannelFromEditor() {
+    const channel = readChatChannelEditor();
+    const result = document.getElementById('chatChannelTestResult');
+    const error = validateChatChannel(channel);
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    requestWebhookPermission(getChatChannelUrl(channel), (granted) => {
+        if (!granted) return;
+        result.textContent = 'جارٍ الإرسال...';
+        chrome.runtime.sendMessage({ action: 'testChatChannel', channel }, (response) => {
+            const entry = response && response.entry;
+            if (!entry) {
+                result.textContent = 'تعذر الإرسال';
+            } else if (response.success) {
+                result.textContent = `تم التسليم (HTTP ${entry.httpStatus})`;
+            } else {
+                result.textContent = `فشل الإرسال: ${entry.error}`;
+            }
+        });
+    });
+}
+
+// --- Persistence ---
+
+/**
+ * Applies a mutation to the stored chat channels, then re-renders.
+ * @param {Function} mutate - Receives the current array and returns the new one
+ * @param {Function} [onSaved] - Called after the write completes
+ */
+function updateChatChannels(mutate, onSaved) {
+    chrome.storage.local.get(['chatChannels'], (data) => {
+        const chatChannels = mutate((data.chatChannels || []).map(createChatChannel));
+        chrome.storage.local.set({ chatChannels }, () => {
+            renderChatChannels(chatChannels);
+            showSaveStatus();
+            if (onSaved) onSaved();
+        });
+    });
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires the chat channels list and the editor.
+ */
+function setupChatChannelListeners() {
+    const addBtn = document.getElementById('addChatChannelBtn');
+    if (addBtn) addBtn.addEventListener('click', () => openChatChannelEditor());
+
+    const typeSelect = document.getElementById('chatChannelType');
+    if (typeSelect) typeSelect.addEventListener('change', updateChatChannelTypeFields);
+
+    const cancelBtn = document.getElementById('cancelChatChannelBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', closeChatChannelEditor);
+
+    const saveBtn = document.getElementById('saveChatChannelBtn');
+    if (saveBtn) saveBtn.addEventListener('click', saveChatChannelFromEditor);
+
+    const testBtn = document.getElementById('testChatChannelBtn');
+    if (testBtn) testBtn.addEventListener('click', testChatChannelFromEditor);
+
+    const list = document.getElementById('chatChannelsList');
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.saved-search-item');
+        if (!item) return;
+        const id = item.dataset.id;
+
+        if (e.target.closest('.btn-edit-channel')) {
+            chrome.storage.local.get(['chatChannels'], (data) => {
+                const channel = (data.chatChannels || []).map(createChatChannel).find(c => c.id === id);
+                if (channel) openChatChannelEditor(channel);
+            });
+        } else if (e.target.closest('.btn-delete-channel')) {
+            if (!confirm('هل أنت متأكد من حذف هذه القناة؟')) return;
+            updateChatChannels(channels => channels.filter(c => c.id !== id));
+        }
+    });
+
+    list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('chat-channel-toggle')) return;
+        const id = e.target.closest('.saved-search-item').dataset.id;
+        const enabled = e.target.checked;
+        updateChatChannels(channels => channels.map(c => c.id === id ? { ...c, enabled } : c));
+    });
+}
@@ -0,0 +1,217 @@
+// ==========================================
+// Frelancia Pro - SignalR Hubs Module
+// ==========================================
+
+// Hubs as last rendered, so list buttons can request permissions without
+// leaving the click gesture for a storage read
+let loadedSignalRHubs = [];
+
+// --- Loading & Rendering ---
+
+/**
+ * Loads the hubs, renders the list and fills the hub select of the settings.
+ */
+function loadSignalRHubs() {
+    chrome.storage.local.get(['signalRHubs', 'settings'], (data) => {
+        const hubs = getSignalRHubs(data);
+        loadedSignalRHubs = hubs;
+        const activeId = getActiveSignalRHub(data).id;
+        renderSignalRHubs(hubs, activeId);
+        fillSelect('signalRHubId', hubs.map(hub => [hub.id, hub.name]), activeId);
+    });
+}
+
+/**
+ * Renders the hubs list.
+ * @param {Array<Object>} hubs - Result of getSignalRHubs
+ * @param {string} activeId - Id of the selected hub
+ */
+function renderSignalRHubs(hubs, activeId) {
+    const list = document.getElementById('signalRHubsList');
+    if (!list) return;
+
+    list.innerHTML = hubs.map(hub => {
+        const builtIn = hub.id === DEFAULT_SIGNALR_HUB.id;
+        const chips = [];
+        if (hub.id === activeId) chips.push('المستخدم حالياً');
+        if (builtIn) chips.push('مدمج');
+        if (hub.accessToken) chips.push('برمز وصول');
+
+        return `
+            <div class="saved-search-item" data-id="${hub.id}">
+                <div class="saved-search-info">
+                    <h4>${escapeHtml(hub.name)}</h4>
+                    <span class="saved-search-url" dir="ltr">${escapeHtml(hub.url)}</span>
+                    <div class="saved-search-chips">
+                        ${chips.map(c => `<span class="saved-search-chip">${c}</span>`).join('')}
+                        <span class="saved-search-chip signalr-hub-test-result hidden"></span>
+                    </div>
+                </div>
+                <div class="saved-search-actions">
+                    <button class="btn-icon btn-test-hub" title="فحص الاتصال"><i class="fas fa-plug"></i></button>
+                    ${builtIn ? '' : `
+                        <button class="btn-icon btn-edit-hub" title="تعديل"><i class="fas fa-edit"></i></button>
+                        <button class="btn-icon btn-delete-search btn-delete-hub" title="حذف"><i class="fas fa-trash"></i></button>
+                    `}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// --- Hub Editor ---
+
+/**
+ * Opens the hub editor, optionally pre-filled with an existing hub.
+ * @param {Object|null} hub - Hub to edit, or null to create a new one
+ */
+function openSignalRHubEditor(hub = null) {
+    const editor = document.getElementById('signalRHubEditor');
+    if (!editor) return;
+
+    document.getElementById('signalRHubEditId').value = hub ? hub.id : '';
+    document.getElementById('signalRHubName').value = hub ? hub.name : '';
+    document.getElementById('signalRHubUrl').value = hub ? hub.url : '';
+    document.getElementById('signalRHubToken').value = hub ? hub.accessToken : '';
+    document.getElementById('signalRHubTestResult').textContent = '';
+
+    editor.classList.remove('hidden');
+    editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Closes the hub editor without saving.
+ */
+function closeSignalRHubEditor() {
+    const editor = document.getElementById('signalRHubEditor');
+    if (editor) editor.classList.add('hidden');
+}
+
+/**
+ * Reads the editor form into a hub object.
+ * @returns {Object} - Hub
+ */
+function readSignalRHubEditor() {
+    return createSignalRHub({
+        id: document.getElementById('signalRHubEditId').value || undefined,
+        name: document.getElementById('signalRHubName').value.trim(),
+        url: document.getElementById('signalRHubUrl').value,
+        accessToken: document.getElementById('signalRHubToken').value
+    });
+}
+
+/**
+ * Validates and persists the hub currently in the editor.
+ */
+function saveSignalRHubFromEditor() {
+    const hub = readSignalRHubEditor();
+    if (!getWebhookOriginPattern(hub.url)) {
+        alert('يرجى إدخال رابط http أو https صحيح للخادم');
+        return;
+    }
+
+    requestWebhookPermission(hub.url, (granted) => {
+        if (!granted) return;
+        updateSignalRHubs((hubs) => {
+            const index = hubs.findIndex(h => h.id === hub.id);
+            if (index !== -1) hubs[index] = hub;
+            else hubs.push(hub);
+            return hubs;
+        }, closeSignalRHubEditor);
+    });
+}
+
+/**
+ * Tests a hub through the background and reports the result.
+ * @param {Object} hub - Hub to test
+ * @param {Function} onResult - Receives the result text and whether it succeeded
+ */
+function testSignalRHub(hub, onResult) {
+    requestWebhookPermission(hub.url, (granted) => {
+        if (!granted) return;
+        onResult('جارٍ الاتصال...', null);
+        chrome.runtime.sendMessage({ action: 'testSignalRHub', hub }, (response) => {
+            if (!response) {
+                onResult('تعذر الفحص', false);
+            } else if (response.success) {
+                onResult(`متصل (${response.elapsedMs} ms)`, true);
+            } else {
+                onResult(`فشل الاتصال: ${response.error}`, false);
+            }
+        });
+    });
+}
+
+// --- Persistence ---
+
+/**
+ * Applies a mutation to the stored hubs, then re-renders and lets the
+ * background reconnect if the hub in use changed.
+ * @param {Function} mutate - Receives the user's hubs and returns the new array
+ * @param {Function} [onSaved] - Called after the write completes
+ */
+function updateSignalRHubs(mutate, onSaved) {
+    chrome.storage.local.get(['signalRHubs'], (data) => {
+        const signalRHubs = mutate((data.signalRHubs || []).map(createSignalRHub));
+        chrome.storage.local.set({ signalRHubs }, () => {
+            loadSignalRHubs();
+            showSaveStatus();
+            chrome.runtime.sendMessage({ action: 'applySignalRHub' });
+            if (onSaved) onSaved();
+        });
+    });
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires the hubs list and the editor.
+ */
+function setupSignalRHubListeners() {
+    const addBtn = document.getElementById('addSignalRHubBtn');
+    if (addBtn) addBtn.addEventListener('click', () => openSignalRHubEditor());
+
+    const cancelBtn = document.getElementById('cancelSignalRHubBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', closeSignalRHubEditor);
+
+    const saveBtn = document.getElementById('saveSignalRHubBtn');
+    if (saveBtn) saveBtn.addEventListener('click', saveSignalRHubFromEditor);
+
+    const testBtn = document.getElementById('testSignalRHubBtn');
+    if (testBtn) {
+        testBtn.addEventListener('click', () => {
+            const hub = readSignalRHubEditor();
+            if (!getWebhookOriginPattern(hub.url)) {
+                alert('يرجى إدخال رابط http أو https صحيح للخادم');
+                return;
+            }
+            const result = document.getElementById('signalRHubTestResult');
+            testSignalRHub(hub, (text) => { result.textContent = text; });
+        });
+    }
+
+    const list = document.getElementById('signalRHubsList');
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.saved-search-item');
+        if (!item) return;
+        const hub = loadedSignalRHubs.find(h => h.id === item.dataset.id);
+        if (!hub) return;
+
+        if (e.target.closest('.btn-test-hub')) {
+            const chip = item.querySelector('.signalr-hub-test-result');
+            testSignalRHub(hub, (text, success) => {
+                chip.textContent = text;
+                chip.classList.remove('hidden');
+                chip.classList.toggle('signalr-hub-ok', success === true);
+                chip.classList.toggle('signalr-hub-error', success === false);
+            });
+        } else if (e.target.closest('.btn-edit-hub')) {
+            openSignalRHubEditor(hub);
+        } else if (e.target.closest('.btn-delete-hub')) {
+            if (!confirm('هل أنت متأكد من حذف هذا الخادم؟')) return;
+            updateSignalRHubs(hubs => hubs.filter(h => h.id !== hub.id));
+        }
+    });
+}
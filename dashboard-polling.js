@@ -0,0 +1,71 @@
+// ==========================================
+// Frelancia Pro - Polling Schedule Module
+// ==========================================
+
+// --- Time Bands Editor ---
+
+/**
+ * Renders the polling bands of the settings.
+ * @param {Array<Object>} bands - Bands ({ start, end, interval })
+ */
+function renderPollingBandsEditor(bands) {
+    const container = document.getElementById('pollingBands');
+    if (!container) return;
+
+    if (bands.length === 0) {
+        container.innerHTML = '<p class="help-text polling-bands-empty">لا توجد فترات. يُستخدم تكرار الفحص أعلاه طوال اليوم.</p>';
+        return;
+    }
+
+    container.innerHTML = bands.map(createPollingBand).map(band => `
+        <div class="polling-band">
+            <input type="time" class="form-control polling-band-start" value="${band.start}">
+            <span class="polling-band-separator">إلى</span>
+            <input type="time" class="form-control polling-band-end" value="${band.end}">
+            <span class="polling-band-separator">كل</span>
+            <input type="number" class="form-control polling-band-interval" min="1" value="${band.interval}">
+            <span class="polling-band-separator">دقيقة</span>
+            <button class="btn-icon btn-delete-search btn-delete-band" title="حذف"><i class="fas fa-trash"></i></button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Reads the polling bands back from the editor.
+ * @returns {Array<Object>} - Bands ({ start, end, interval })
+ */
+function readPollingBandsEditor() {
+    return Array.from(document.querySelectorAll('#pollingBands .polling-band')).map(row => createPollingBand({
+        start: row.querySelector('.polling-band-start').value,
+        end: row.querySelector('.polling-band-end').value,
+        interval: row.querySelector('.polling-band-interval').value
+    }));
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires adding and removing bands. Bands are saved with the other settings.
+ */
+function setupPollingBandListeners() {
+    const addBtn = document.getElementById('addPollingBandBtn');
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            const bands = readPollingBandsEditor();
+            // Suggest the night band once the day band exists
+            const last = bands[bands.length - 1];
+            bands.push(last ? createPollingBand({ start: last.end, end: last.start, interval: 10 }) : createPollingBand());
+            renderPollingBandsEditor(bands);
+        });
+    }
+
+    const container = document.getElementById('pollingBands');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const row = e.target.closest('.polling-band');
+        if (!row || !e.target.closest('.btn-delete-band')) return;
+        row.remove();
+        renderPollingBandsEditor(readPollingBandsEditor());
+    });
+}
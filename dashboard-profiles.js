@@ -0,0 +1,254 @@
+// ==========================================
+// Frelancia Pro - Watch Profiles Module
+// ==========================================
+
+// --- Loading & Rendering ---
+
+/**
+ * Loads watch profiles from storage (migrating legacy settings if needed) and renders them.
+ */
+function loadWatchProfiles() {
+    chrome.storage.local.get(['profiles', 'settings', 'savedSearches'], (data) => {
+        const searches = data.savedSearches || migrateLegacySearches(data.settings || {});
+        renderWatchProfiles(getWatchProfiles(data), searches);
+    });
+}
+
+/**
+ * Renders the watch profiles list.
+ * @param {Array<Object>} profiles - Watch profiles
+ * @param {Array<Object>} searches - Saved searches (for naming the profile scope)
+ */
+function renderWatchProfiles(profiles, searches) {
+    const list = document.getElementById('profilesList');
+    if (!list) return;
+
+    if (profiles.length === 0) {
+        list.innerHTML = '<p class="help-text" style="text-align: center; padding: 20px;">لا توجد ملفات مراقبة. أضف ملفاً لتصلك الإشعارات.</p>';
+        return;
+    }
+
+    list.innerHTML = profiles.map(profile => {
+        const searchNames = profile.searchIds
+            .map(id => searches.find(s => s.id === id))
+            .filter(Boolean)
+            .map(s => s.name);
+        const chips = [
+            ...(searchNames.length > 0 ? searchNames : ['كل عمليات البحث']),
+            PROFILE_SOUNDS[profile.sound].label
+        ];
+        if (profile.minScore > 0) {
+            chips.push(`تقييم ≥ ${profile.minScore}`);
+        }
+        const quiet = profile.quietHoursEnabled ? formatQuietSchedule(profile.quietSchedule) : '';
+        if (quiet) {
+            chips.push(`هدوء ${quiet}`);
+        }
+
+        return `
+            <div class="saved-search-item" data-id="${profile.id}">
+                <div class="saved-search-info">
+                    <h4>${profile.name}</h4>
+                    <div class="saved-search-chips">
+                        ${chips.map(c => `<span class="saved-search-chip">${c}</span>`).join('')}
+                    </div>
+                    <p class="profile-rules-summary">${describeFilterNode(profile.filterRules) || 'كل المشاريع'}</p>
+                </div>
+                <div class="saved-search-actions">
+                    <label class="switch">
+                        <input type="checkbox" class="profile-toggle" ${profile.enabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <button class="btn-icon btn-edit-profile" title="تعديل"><i class="fas fa-edit"></i></button>
+                    <button class="btn-icon btn-delete-search btn-delete-profile" title="حذف"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// --- Profile Editor ---
+
+/**
+ * Opens the profile editor, optionally pre-filled with an existing profile.
+ * @param {Object|null} profile - Profile to edit, or null to create a new one
+ */
+function openProfileEditor(profile = null) {
+    const editor = document.getElementById('profileEditor');
+    if (!editor) return;
+
+    chrome.storage.local.get(['savedSearches', 'settings', 'prompts'], (data) => {
+        const p = profile || createWatchProfile();
+        const searches = data.savedSearches || migrateLegacySearches(data.settings || {});
+
+        document.getElementById('profileId').value = profile ? profile.id : '';
+        document.getElementById('profileName').value = profile ? profile.name : '';
+        document.getElementById('profileMinScore').value = p.minScore || '';
+        document.getElementById('profileQuietHoursEnabled').checked = p.quietHoursEnabled;
+        renderQuietScheduleEditor(p.quietSchedule);
+        document.getElementById('profileProposalTemplate').value = p.proposalTemplate;
+
+        document.getElementById('profileSearches').innerHTML = searches.map(search => `
+            <label class="search-option">
+                <input type="checkbox" class="profile-search-input" value="${search.id}" ${p.searchIds.includes(search.id) ? 'checked' : ''}>
+                <span>${search.name}</span>
+            </label>
+        `).join('');
+
+        fillSelect('profileSound', Object.entries(PROFILE_SOUNDS).map(([key, s]) => [key, s.label]), p.sound);
+        fillSelect('profileNotificationStyle', Object.entries(PROFILE_NOTIFICATION_STYLES), p.notificationStyle);
+        fillSelect('profilePrompt', [
+            ['', 'الأمر الافتراضي'],
+            ...(data.prompts || []).map(prompt => [prompt.id, prompt.title])
+        ], p.promptId);
+
+        loadRuleBuilder(p.filterRules);
+        editor.classList.remove('hidden');
+        editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+}
+
+/**
+ * Replaces a select's options.
+ * @param {string} id - Select element id
+ * @param {Array<Array<string>>} options - [value, label] pairs
+ * @param {string} selected - Value to select
+ */
+function fillSelect(id, options, selected) {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.innerHTML = options.map(([value, label]) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+}
+
+/**
+ * Closes the profile editor without saving.
+ */
+function closeProfileEditor() {
+    const editor = document.getElementById('profileEditor');
+    if (editor) editor.classList.add('hidden');
+}
+
+/**
+ * Reads the editor form into a watch profile object.
+ * @returns {Object} - Watch profile
+ */
+function readProfileEditor() {
+    return createWatchProfile({
+        id: document.getElementById('profileId').value || undefined,
+        name: document.getElementById('profileName').value.trim(),
+        searchIds: Array.from(document.querySelectorAll('.profile-search-input:checked')).map(input => input.value),
+        filterRules: getRuleBuilderTree(),
+        sound: document.getElementById('profileSound').value,
+        minScore: document.getElementById('profileMinScore').value,
+        notificationStyle: document.getElementById('profileNotificationStyle').value,
+        quietHoursEnabled: document.getElementById('profileQuietHoursEnabled').checked,
+        quietSchedule: readQuietScheduleEditor(),
+        proposalTemplate: document.getElementById('profileProposalTemplate').value,
+        promptId: document.getElementById('profilePrompt').value
+    });
+}
+
+/**
+ * Validates and persists the profile currently in the editor.
+ */
+function saveProfileFromEditor() {
+    const profile = readProfileEditor();
+
+    if (!profile.name) {
+        alert('يرجى إدخال اسم للملف');
+        return;
+    }
+    const incompleteDay = profile.quietSchedule.findIndex(rule => rule.mode === 'hours' && (!rule.start || !rule.end));
+    if (profile.quietHoursEnabled && incompleteDay !== -1) {
+        alert(`يرجى تحديد بداية ونهاية ساعات الهدوء ليوم ${QUIET_WEEKDAYS[incompleteDay]}`);
+        return;
+    }
+
+    updateWatchProfiles((profiles) => {
+        const index = profiles.findIndex(p => p.id === profile.id);
+        if (index !== -1) {
+            profile.enabled = profiles[index].enabled;
+            profiles[index] = profile;
+        } else {
+            profiles.push(profile);
+        }
+        return profiles;
+    }, closeProfileEditor);
+}
+
+/**
+ * Drops a deleted saved search from every profile's scope.
+ * @param {string} searchId - Deleted saved search id
+ */
+function removeSearchFromProfiles(searchId) {
+    updateWatchProfiles(profiles => profiles.map(p => ({
+        ...p,
+        searchIds: p.searchIds.filter(id => id !== searchId)
+    })));
+}
+
+// --- Persistence ---
+
+/**
+ * Applies a mutation to the stored watch profiles, then re-renders.
+ * @param {Function} mutate - Receives the current array and returns the new one
+ * @param {Function} [onSaved] - Called after the write completes
+ */
+function updateWatchProfiles(mutate, onSaved) {
+    chrome.storage.local.get(['profiles', 'settings', 'savedSearches'], (data) => {
+        const profiles = mutate(getWatchProfiles(data));
+        const searches = data.savedSearches || migrateLegacySearches(data.settings || {});
+        chrome.storage.local.set({ profiles }, () => {
+            renderWatchProfiles(profiles, searches);
+            showSaveStatus();
+            if (onSaved) onSaved();
+        });
+    });
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires the watch profiles list and the profile editor controls.
+ */
+function setupWatchProfileListeners() {
+    const addBtn = document.getElementById('addProfileBtn');
+    if (addBtn) addBtn.addEventListener('click', () => openProfileEditor());
+
+    const cancelBtn = document.getElementById('cancelProfileBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', closeProfileEditor);
+
+    const saveBtn = document.getElementById('saveProfileBtn');
+    if (saveBtn) saveBtn.addEventListener('click', saveProfileFromEditor);
+
+    const list = document.getElementById('profilesList');
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.saved-search-item');
+        if (!item) return;
+        const id = item.dataset.id;
+
+        if (e.target.closest('.btn-edit-profile')) {
+            chrome.storage.local.get(['profiles', 'settings'], (data) => {
+                const profile = getWatchProfiles(data).find(p => p.id === id);
+                if (profile) openProfileEditor(profile);
+            });
+        } else if (e.target.closest('.btn-delete-profile')) {
+            if (list.querySelectorAll('.saved-search-item').length === 1) {
+                alert('يجب أن يبقى ملف مراقبة واحد على الأقل');
+                return;
+            }
+            if (!confirm('هل أنت متأكد من حذف هذا الملف؟')) return;
+            updateWatchProfiles(profiles => profiles.filter(p => p.id !== id));
+        }
+    });
+
+    list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('profile-toggle')) return;
+        const id = e.target.closest('.saved-search-item').dataset.id;
+        const enabled = e.target.checked;
+        updateWatchProfiles(profiles => profiles.map(p => p.id === id ? { ...p, enabled } : p));
+    });
+}
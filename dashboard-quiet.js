@@ -0,0 +1,217 @@
+// ==========================================
+// Frelancia Pro - Quiet Schedule Module
+// ==========================================
+
+// --- Weekly Schedule Editor ---
+
+/**
+ * Renders the weekly quiet schedule of the profile editor.
+ * @param {Array<Object>} schedule - Result of createQuietSchedule
+ */
+function renderQuietScheduleEditor(schedule) {
+    const container = document.getElementById('profileQuietSchedule');
+    if (!container) return;
+
+    container.innerHTML = schedule.map((rule, day) => `
+        <div class="quiet-day ${rule.mode !== 'hours' ? 'quiet-day-no-hours' : ''}" data-day="${day}">
+            <span class="quiet-day-name">${QUIET_WEEKDAYS[day]}</span>
+            <select class="form-control quiet-day-mode">
+                ${Object.entries(QUIET_DAY_MODES).map(([mode, label]) =>
+                    `<option value="${mode}" ${rule.mode === mode ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            <input type="time" class="form-control quiet-day-start" value="${rule.start}">
+            <span class="quiet-day-separator">إلى</span>
+            <input type="time" class="form-control quiet-day-end" value="${rule.end}">
+        </div>
+    `).join('');
+}
+
+/**
+ * Reads the weekly schedule back from the editor.
+ * @returns {Array<Object>} - Seven { mode, start, end } rules
+ */
+function readQuietScheduleEditor() {
+    return Array.from(document.querySelectorAll('#profileQuietSchedule .quiet-day')).map(row => ({
+        mode: row.querySelector('.quiet-day-mode').value,
+        start: row.querySelector('.quiet-day-start').value,
+        end: row.querySelector('.quiet-day-end').value
+    }));
+}
+
+// --- Vacations ---
+
+/**
+ * Loads the vacation ranges and renders them.
+ */
+function loadQuietVacations() {
+    chrome.storage.local.get(['quietVacations'], (data) => {
+        renderQuietVacations(data.quietVacations || []);
+    });
+}
+
+/**
+ * Renders the vacation ranges, upcoming and active first.
+ * @param {Array<Object>} vacations - [{ id, start, end, label }]
+ */
+function renderQuietVacations(vacations) {
+    const list = document.getElementById('quietVacationsList');
+    if (!list) return;
+
+    if (vacations.length === 0) {
+        list.innerHTML = '<p class="help-text" style="text-align: center; padding: 20px;">لا توجد إجازات مجدولة.</p>';
+        return;
+    }
+
+    const today = getLocalDateKey(new Date());
+    const sorted = [...vacations].sort((a, b) => ((a.end < today) - (b.end < today)) || a.start.localeCompare(b.start));
+
+    list.innerHTML = sorted.map(vacation => {
+        let state = 'قادمة';
+        if (vacation.end < today) state = 'منتهية';
+        else if (vacation.start <= today) state = 'جارية الآن';
+
+        return `
+            <div class="saved-search-item ${vacation.end < today ? 'quiet-vacation-past' : ''}" data-id="${vacation.id}">
+                <div class="saved-search-info">
+                    <h4>${vacation.label || 'إجازة'}</h4>
+                    <div class="saved-search-chips">
+                        <span class="saved-search-chip" dir="ltr">${vacation.start} → ${vacation.end}</span>
+                        <span class="saved-search-chip">${state}</span>
+                    </div>
+                </div>
+                <div class="saved-search-actions">
+                    <button class="btn-icon btn-delete-search btn-delete-vacation" title="حذف"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Adds the vacation entered in the form.
+ */
+function addQuietVacation() {
+    const start = document.getElementById('vacationStart').value;
+    const end = document.getElementById('vacationEnd').value;
+    const label = document.getElementById('vacationLabel').value.trim();
+
+    if (!start || !end) {
+        alert('يرجى تحديد بداية ونهاية الإجازة');
+        return;
+    }
+    if (end < start) {
+        alert('يجب أن تكون نهاية الإجازة بعد بدايتها');
+        return;
+    }
+
+    updateQuietVacations(vacations => [...vacations, { id: `vacation_${Date.now()}`, start, end, label }], () => {
+        ['vacationStart', 'vacationEnd', 'vacationLabel'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    });
+}
+
+/**
+ * Applies a mutation to the stored vacations, then re-renders.
+ * @param {Function} mutate - Receives the current array and returns the new one
+ * @param {Function} [onSaved] - Called after the write completes
+ */
+function updateQuietVacations(mutate, onSaved) {
+    chrome.storage.local.get(['quietVacations'], (data) => {
+        const quietVacations = mutate(data.quietVacations || []);
+        chrome.storage.local.set({ quietVacations }, () => {
+            renderQuietVacations(quietVacations);
+            showSaveStatus();
+            if (onSaved) onSaved();
+        });
+    });
+}
+
+// --- Digest ---
+
+/**
+ * Loads the jobs waiting for quiet time to end and the last delivered digest.
+ */
+function loadQuietDigest() {
+    chrome.storage.local.get(['quietQueue', 'quietDigest'], (data) => {
+        const pending = data.quietQueue || [];
+        const delivered = data.quietDigest ? data.quietDigest.entries : [];
+        const ids = [...pending, ...delivered].map(entry => entry.jobId);
+
+        getArchivedJobs(ids)
+            .then(archived => renderQuietDigest(
+                pending.map(entry => archived.get(entry.jobId)).filter(Boolean),
+                delivered.map(entry => archived.get(entry.jobId)).filter(Boolean),
+                data.quietDigest ? data.quietDigest.deliveredAt : null
+            ))
+            .catch(error => console.error('Error loading quiet time digest:', error));
+    });
+}
+
+/**
+ * Renders the digest section; hidden when nothing is pending or delivered.
+ * @param {Array<Object>} pending - Jobs still waiting for quiet time to end
+ * @param {Array<Object>} delivered - Jobs of the delivered digest
+ * @param {number|null} deliveredAt - Delivery time (epoch ms)
+ */
+function renderQuietDigest(pending, delivered, deliveredAt) {
+    const section = document.getElementById('quietDigestSection');
+    const list = document.getElementById('quietDigestList');
+    const meta = document.getElementById('quietDigestMeta');
+    if (!section || !list) return;
+
+    section.classList.toggle('hidden', pending.length === 0 && delivered.length === 0);
+
+    if (meta) {
+        const parts = [];
+        if (pending.length > 0) parts.push(`${pending.length} في الانتظار حتى انتهاء الهدوء`);
+        if (deliveredAt) parts.push(`آخر ملخص ${new Date(deliveredAt).toLocaleString('ar-EG', { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`);
+        meta.textContent = parts.join(' · ');
+    }
+
+    list.innerHTML = [
+        ...pending.map(job => renderProjectCard(job, { leading: '<span class="quiet-pending-badge"><i class="fas fa-moon"></i></span>' })),
+        ...delivered.map(job => renderProjectCard(job))
+    ].join('');
+
+    setupAutofillListeners('quietDigestList');
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires the schedule editor, the vacations list and the digest section.
+ */
+function setupQuietScheduleListeners() {
+    const schedule = document.getElementById('profileQuietSchedule');
+    if (schedule) {
+        schedule.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('quiet-day-mode')) return;
+            e.target.closest('.quiet-day').classList.toggle('quiet-day-no-hours', e.target.value !== 'hours');
+        });
+    }
+
+    const addVacationBtn = document.getElementById('addVacationBtn');
+    if (addVacationBtn) addVacationBtn.addEventListener('click', addQuietVacation);
+
+    const vacations = document.getElementById('quietVacationsList');
+    if (vacations) {
+        vacations.addEventListener('click', (e) => {
+            if (!e.target.closest('.btn-delete-vacation')) return;
+            const id = e.target.closest('.saved-search-item').dataset.id;
+            updateQuietVacations(list => list.filter(v => v.id !== id));
+        });
+    }
+
+    const clearBtn = document.getElementById('clearQuietDigestBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => chrome.storage.local.remove('quietDigest'));
+    }
+
+    // Follow jobs queued and digests delivered by the background
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && (changes.quietQueue || changes.quietDigest)) {
+            loadQuietDigest();
+        }
+    });
+}
@@ -0,0 +1,179 @@
+// ==========================================
+// Frelancia Pro - Visual Filter Rule Builder
+// ==========================================
+
+let filterRuleTree = null;
+
+// --- State ---
+
+/**
+ * Loads a rule tree into the builder and renders it.
+ * @param {Object} tree - Root group node
+ */
+function loadRuleBuilder(tree) {
+    filterRuleTree = JSON.parse(JSON.stringify(tree || createRuleGroup('and')));
+    renderRuleBuilder();
+}
+
+/**
+ * Returns the rule tree currently shown in the builder.
+ * @returns {Object} - Root group node
+ */
+function getRuleBuilderTree() {
+    return filterRuleTree || createRuleGroup('and');
+}
+
+/**
+ * Resolves a dotted child-index path ("" = root, "0.2" = root.children[0].children[2]).
+ * @param {string} path - Node path
+ * @returns {Object|null} - The node at the path
+ */
+function getRuleNodeAtPath(path) {
+    if (!path) return filterRuleTree;
+    return path.split('.').reduce((node, index) => node && node.children[parseInt(index)], filterRuleTree);
+}
+
+/**
+ * Splits a path into its parent path and child index.
+ * @param {string} path - Node path
+ * @returns {Object} - { parentPath, index }
+ */
+function splitRulePath(path) {
+    const parts = path.split('.');
+    const index = parseInt(parts.pop());
+    return { parentPath: parts.join('.'), index };
+}
+
+// --- Rendering ---
+
+/**
+ * Re-renders the whole builder and the expression preview.
+ */
+function renderRuleBuilder() {
+    const container = document.getElementById('ruleBuilder');
+    if (!container) return;
+    container.innerHTML = renderRuleNode(filterRuleTree, '');
+    updateRulePreview();
+}
+
+/**
+ * Updates the readable expression shown under the builder.
+ */
+function updateRulePreview() {
+    const preview = document.getElementById('rulePreview');
+    if (!preview) return;
+    const text = describeFilterNode(filterRuleTree);
+    preview.textContent = text || 'لا توجد شروط — سيتم قبول كل المشاريع.';
+}
+
+/**
+ * Renders a group or rule node as HTML.
+ * @param {Object} node - Group or rule node
+ * @param {string} path - Node path
+ * @returns {string} - HTML markup
+ */
+function renderRuleNode(node, path) {
+    const childPath = (i) => (path ? `${path}.${i}` : `${i}`);
+
+    if (node.type === 'rule') {
+        const field = FILTER_FIELDS[node.field] || FILTER_FIELDS.text;
+        const operators = FILTER_OPERATORS[field.type];
+
+        return `
+            <div class="rule-row" data-path="${path}">
+                <select class="form-control rule-field">
+                    ${Object.entries(FILTER_FIELDS).map(([key, f]) =>
+                        `<option value="${key}" ${key === node.field ? 'selected' : ''}>${f.label}</option>`).join('')}
+                </select>
+                <select class="form-control rule-operator">
+                    ${Object.entries(operators).map(([key, label]) =>
+                        `<option value="${key}" ${key === node.operator ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="${field.type === 'number' ? 'number' : 'text'}" class="form-control rule-value"
+                       value="${String(node.value ?? '').replace(/"/g, '&quot;')}" dir="auto">
+                <button class="btn-icon rule-remove" title="حذف"><i class="fas fa-times"></i></button>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="rule-group ${node.negate ? 'negated' : ''}" data-path="${path}">
+            <div class="rule-group-header">
+                <select class="form-control rule-group-op">
+                    <option value="and" ${node.op === 'and' ? 'selected' : ''}>كل الشروط (AND)</option>
+                    <option value="or" ${node.op === 'or' ? 'selected' : ''}>أي شرط (OR)</option>
+                </select>
+                <label class="rule-negate">
+                    <input type="checkbox" class="rule-group-negate" ${node.negate ? 'checked' : ''}>
+                    <span>عكس المجموعة (NOT)</span>
+                </label>
+                <div class="rule-group-actions">
+                    <button class="btn-secondary rule-add-rule"><i class="fas fa-plus"></i> شرط</button>
+                    <button class="btn-secondary rule-add-group"><i class="fas fa-folder-plus"></i> مجموعة</button>
+                    ${path ? '<button class="btn-icon rule-remove" title="حذف المجموعة"><i class="fas fa-trash"></i></button>' : ''}
+                </div>
+            </div>
+            <div class="rule-children">
+                ${node.children.length === 0
+                    ? '<p class="help-text">مجموعة فارغة.</p>'
+                    : node.children.map((child, i) => renderRuleNode(child, childPath(i))).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires add/remove/edit interactions on the builder (event delegation).
+ */
+function setupRuleBuilderListeners() {
+    const container = document.getElementById('ruleBuilder');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const path = button.closest('[data-path]').dataset.path;
+        const node = getRuleNodeAtPath(path);
+
+        if (button.classList.contains('rule-add-rule')) {
+            node.children.push(createRule());
+        } else if (button.classList.contains('rule-add-group')) {
+            node.children.push(createRuleGroup(node.op === 'and' ? 'or' : 'and'));
+        } else if (button.classList.contains('rule-remove')) {
+            const { parentPath, index } = splitRulePath(path);
+            getRuleNodeAtPath(parentPath).children.splice(index, 1);
+        } else {
+            return;
+        }
+        renderRuleBuilder();
+    });
+
+    container.addEventListener('change', (e) => {
+        const path = e.target.closest('[data-path]').dataset.path;
+        const node = getRuleNodeAtPath(path);
+
+        if (e.target.classList.contains('rule-field')) {
+            const value = node.value;
+            Object.assign(node, createRule(e.target.value), { value });
+            renderRuleBuilder();
+        } else if (e.target.classList.contains('rule-operator')) {
+            node.operator = e.target.value;
+            updateRulePreview();
+        } else if (e.target.classList.contains('rule-group-op')) {
+            node.op = e.target.value;
+            updateRulePreview();
+        } else if (e.target.classList.contains('rule-group-negate')) {
+            node.negate = e.target.checked;
+            renderRuleBuilder();
+        }
+    });
+
+    container.addEventListener('input', (e) => {
+        if (!e.target.classList.contains('rule-value')) return;
+        const node = getRuleNodeAtPath(e.target.closest('[data-path]').dataset.path);
+        node.value = e.target.value;
+        updateRulePreview();
+    });
+}
@@ -0,0 +1,115 @@
+// ==========================================
+// Frelancia Pro - Relevance Scoring & Ranked Feed
+// ==========================================
+
+// --- Scoring Settings ---
+
+/**
+ * Fills the scoring form from a stored config.
+ * @param {Object} scoring - Stored scoring config (may be undefined)
+ */
+function loadScoringSettings(scoring) {
+    const config = getScoringConfig(scoring);
+    const setVal = (id, val) => {
+        const el = document.getElementById(id);
+        if (el) el.value = val;
+    };
+
+    setVal('scoringKeywords', formatKeywordWeights(config.keywords));
+    Object.keys(SCORING_FACTORS).forEach(key => setVal(`scoringWeight-${key}`, config.weights[key]));
+    setVal('scoringBudgetMin', config.budgetMin);
+    setVal('scoringBudgetTarget', config.budgetTarget);
+    setVal('scoringClientAgeTarget', config.clientAgeTargetDays);
+    setVal('scoringCompetitionMax', config.competitionMaxBids);
+    setVal('scoringFreshnessHalfLife', config.freshnessHalfLifeHours);
+}
+
+/**
+ * Reads the scoring form into a config object.
+ * @returns {Object} - Scoring config
+ */
+function readScoringSettings() {
+    const num = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? fallback : value;
+    };
+    const weights = {};
+    Object.keys(SCORING_FACTORS).forEach(key => {
+        weights[key] = Math.max(0, num(`scoringWeight-${key}`, DEFAULT_SCORING.weights[key]));
+    });
+
+    return {
+        keywords: parseKeywordWeights(document.getElementById('scoringKeywords').value),
+        weights,
+        budgetMin: Math.max(1, num('scoringBudgetMin', DEFAULT_SCORING.budgetMin)),
+        budgetTarget: Math.max(2, num('scoringBudgetTarget', DEFAULT_SCORING.budgetTarget)),
+        clientAgeTargetDays: Math.max(1, num('scoringClientAgeTarget', DEFAULT_SCORING.clientAgeTargetDays)),
+        competitionMaxBids: Math.max(1, num('scoringCompetitionMax', DEFAULT_SCORING.competitionMaxBids)),
+        freshnessHalfLifeHours: Math.max(0.5, num('scoringFreshnessHalfLife', DEFAULT_SCORING.freshnessHalfLifeHours))
+    };
+}
+
+// --- Ranked Feed ---
+
+/**
+ * Loads the most recent matched jobs from the archive and renders them ranked.
+ */
+function loadRankedJobs() {
+    getRecentArchivedJobs(100)
+        .then(renderRankedJobs)
+        .catch(error => console.error('Error loading archived jobs:', error));
+}
+
+/**
+ * Renders recent jobs sorted by relevance score, each with its score breakdown.
+ * @param {Array<Object>} jobs - Archived jobs
+ */
+function renderRankedJobs(jobs) {
+    const list = document.getElementById('rankedJobsList');
+    if (!list) return;
+
+    const ranked = jobs
+        .filter(job => typeof job.score === 'number')
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 10);
+
+    if (ranked.length === 0) {
+        list.innerHTML = '<p class="help-text" style="text-align: center; padding: 40px;">لا توجد مشاريع مقيّمة بعد. سيتم ترتيب المشاريع هنا بعد الفحص القادم.</p>';
+        return;
+    }
+
+    list.innerHTML = ranked.map(job => {
+        const scoreClass = job.score >= 70 ? 'score-high' : (job.score >= 40 ? 'score-mid' : 'score-low');
+
+        return renderProjectCard(job, {
+            leading: `<span class="score-badge ${scoreClass}">${job.score}</span>`,
+            details: `
+                <details class="score-breakdown">
+                    <summary>تفاصيل التقييم</summary>
+                    <table>
+                        ${(job.scoreBreakdown || []).map(row => `
+                            <tr>
+                                <td>${escapeHtml(row.label)}</td>
+                                <td>${escapeHtml(row.detail)}</td>
+                                <td class="${row.points < 0 ? 'score-negative' : ''}">${row.points > 0 ? '+' : ''}${row.points}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </details>
+            `
+        });
+    }).join('');
+
+    setupAutofillListeners('rankedJobsList');
+}
+
+/**
+ * Keeps the ranked feed in sync with background checks (each check updates `stats`).
+ */
+function setupRankedJobsListeners() {
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.stats) {
+            loadRankedJobs();
+        }
+    });
+}
@@ -0,0 +1,205 @@
+// ==========================================
+// Frelancia Pro - Archive Search Module
+// ==========================================
+
+const SEARCH_RESULTS_LIMIT = 50;
+
+/** Budget facet buckets (upper bound exclusive, in USD). */
+const SEARCH_BUDGET_BUCKETS = [
+    { key: 'lt50', label: 'أقل من $50', test: v => v < 50 },
+    { key: '50-250', label: '$50 - $250', test: v => v >= 50 && v < 250 },
+    { key: '250-1000', label: '$250 - $1000', test: v => v >= 250 && v < 1000 },
+    { key: '1000+', label: '$1000 فأكثر', test: v => v >= 1000 },
+    { key: 'unknown', label: 'غير محددة', test: v => v === null }
+];
+
+/** Date facet buckets, by age in days. */
+const SEARCH_DATE_BUCKETS = [
+    { key: 'today', label: 'اليوم', test: days => days < 1 },
+    { key: 'week', label: 'آخر 7 أيام', test: days => days >= 1 && days < 7 },
+    { key: 'month', label: 'آخر 30 يوم', test: days => days >= 7 && days < 30 },
+    { key: 'older', label: 'أقدم', test: days => days >= 30 }
+];
+
+let archiveSearchJobs = [];
+let archiveSearchFacets = { category: [], budget: [], date: [] };
+let archiveSearchCategories = new Map();
+let archiveSearchLoaded = false;
+
+// --- Initialization ---
+
+/**
+ * Loads the archive and saved searches when the tab is first opened.
+ */
+function initArchiveSearch() {
+    if (archiveSearchLoaded) return;
+    archiveSearchLoaded = true;
+
+    chrome.storage.local.get(['savedSearches', 'settings'], (data) => {
+        const searches = data.savedSearches || migrateLegacySearches(data.settings || {});
+        archiveSearchCategories = new Map(searches.map(s => [s.id, s.categories[0] || '']));
+
+        queryJobArchive()
+            .then(jobs => {
+                archiveSearchJobs = jobs.map(job => ({ ...job, facets: getSearchFacetKeys(job) }));
+                runArchiveSearch();
+            })
+            .catch(error => console.error('Error loading job archive:', error));
+    });
+}
+
+// --- Facets ---
+
+/**
+ * Computes the facet bucket keys of a job.
+ * @param {Object} job - Archived job
+ * @returns {Object} - { category, budget, date }
+ */
+function getSearchFacetKeys(job) {
+    const searchCategory = (job.searchIds || [])
+        .map(id => archiveSearchCategories.get(id))
+        .find(Boolean);
+    const budget = parseBudget(job.budget);
+    const seen = job.postedAt || job.firstSeenAt;
+    const days = (Date.now() - (seen || Date.now())) / (24 * 60 * 60 * 1000);
+
+    return {
+        category: job.category || searchCategory || '',
+        budget: SEARCH_BUDGET_BUCKETS.find(b => b.test(budget ? budget.max : null)).key,
+        date: SEARCH_DATE_BUCKETS.find(b => b.test(days)).key
+    };
+}
+
+/**
+ * Renders the facet checkboxes with counts for the current query matches.
+ * @param {Array<Object>} matches - Jobs matching the text query
+ */
+function renderSearchFacets(matches) {
+    const container = document.getElementById('searchFacets');
+    if (!container) return;
+
+    const groups = [
+        { key: 'category', title: 'التصنيف', options: getCategoryFacetOptions(matches) },
+        { key: 'budget', title: 'الميزانية', options: SEARCH_BUDGET_BUCKETS },
+        { key: 'date', title: 'التاريخ', options: SEARCH_DATE_BUCKETS }
+    ];
+
+    container.innerHTML = groups.map(group => `
+        <div class="search-facet-group">
+            <h4>${group.title}</h4>
+            ${group.options.map(option => {
+                const count = matches.filter(job => job.facets[group.key] === option.key).length;
+                const checked = archiveSearchFacets[group.key].includes(option.key);
+                if (count === 0 && !checked) return '';
+                return `
+                    <label class="search-facet-option">
+                        <input type="checkbox" data-facet="${group.key}" value="${option.key}" ${checked ? 'checked' : ''}>
+                        <span>${option.label}</span>
+                        <span class="search-facet-count">${count}</span>
+                    </label>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Lists the categories present in a set of jobs.
+ * @param {Array<Object>} jobs - Jobs
+ * @returns {Array<Object>} - [{ key, label }]
+ */
+function getCategoryFacetOptions(jobs) {
+    const keys = [...new Set(jobs.map(job => job.facets.category))];
+    return keys.map(key => ({ key, label: key ? getCategoryLabel(key) : 'غير مصنف' }));
+}
+
+// --- Search ---
+
+/**
+ * Runs the current query and facets against the loaded archive and renders the results.
+ */
+function runArchiveSearch() {
+    const input = document.getElementById('archiveSearchInput');
+    const parsed = parseSearchQuery(input ? input.value : '');
+    const hasQuery = parsed.terms.length > 0 || parsed.phrases.length > 0 || parsed.excluded.length > 0;
+
+    const matches = archiveSearchJobs
+        .map(job => ({
+            job,
+            relevance: hasQuery ? matchSearchQuery(parsed, [
+                { text: job.title, weight: 3 },
+                { text: job.description, weight: 1 }
+            ]) : 1
+        }))
+        .filter(result => result.relevance > 0);
+
+    // Checked options are OR-ed within a facet and AND-ed across facets
+    const results = matches
+        .filter(({ job }) => Object.entries(archiveSearchFacets)
+            .every(([facet, keys]) => keys.length === 0 || keys.includes(job.facets[facet])))
+        .sort((a, b) => (b.relevance - a.relevance)
+            || ((b.job.postedAt || b.job.firstSeenAt || 0) - (a.job.postedAt || a.job.firstSeenAt || 0)));
+
+    renderSearchFacets(matches.map(result => result.job));
+    renderSearchResults(results.map(result => result.job));
+}
+
+/**
+ * Renders search results as project cards.
+ * @param {Array<Object>} jobs - Matching jobs, best first
+ */
+function renderSearchResults(jobs) {
+    const list = document.getElementById('searchResultsList');
+    const count = document.getElementById('searchResultsCount');
+    if (!list) return;
+
+    if (count) {
+        count.textContent = jobs.length > SEARCH_RESULTS_LIMIT
+            ? `${jobs.length} نتيجة (يتم عرض أول ${SEARCH_RESULTS_LIMIT})`
+            : `${jobs.length} نتيجة`;
+    }
+
+    if (jobs.length === 0) {
+        list.innerHTML = '<p class="help-text" style="text-align: center; padding: 40px;">لا توجد مشاريع مطابقة في الأرشيف.</p>';
+        return;
+    }
+
+    list.innerHTML = jobs.slice(0, SEARCH_RESULTS_LIMIT).map(job => renderProjectCard(job)).join('');
+    setupAutofillListeners('searchResultsList');
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires the search input and facet checkboxes.
+ */
+function setupArchiveSearchListeners() {
+    const input = document.getElementById('archiveSearchInput');
+    if (input) {
+        let debounceTimer = null;
+        input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(runArchiveSearch, 200);
+        });
+    }
+
+    const facets = document.getElementById('searchFacets');
+    if (facets) {
+        facets.addEventListener('change', (e) => {
+            const facet = e.target.dataset.facet;
+            if (!facet) return;
+            const keys = archiveSearchFacets[facet].filter(key => key !== e.target.value);
+            if (e.target.checked) keys.push(e.target.value);
+            archiveSearchFacets[facet] = keys;
+            runArchiveSearch();
+        });
+    }
+
+    // Pick up jobs archived by background checks once the tab has been opened
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.stats && archiveSearchLoaded) {
+            archiveSearchLoaded = false;
+            initArchiveSearch();
+        }
+    });
+}
@@ -0,0 +1,266 @@
+// ==========================================
+// Frelancia Pro - Saved Searches Module
+// ==========================================
+
+// --- Loading & Rendering ---
+
+/**
+ * Loads saved searches from storage (migrating legacy toggles if needed) and renders them.
+ */
+function loadSavedSearches() {
+    chrome.storage.local.get(['savedSearches', 'settings'], (data) => {
+        const searches = data.savedSearches || migrateLegacySearches(data.settings || {});
+        renderSavedSearches(searches);
+    });
+}
+
+/**
+ * Renders the saved searches list.
+ * @param {Array<Object>} searches - Saved searches
+ */
+function renderSavedSearches(searches) {
+    const list = document.getElementById('savedSearchesList');
+    if (!list) return;
+
+    if (searches.length === 0) {
+        list.innerHTML = '<p class="help-text" style="text-align: center; padding: 20px;">لا توجد عمليات بحث محفوظة. أضف بحثاً لبدء المراقبة.</p>';
+        return;
+    }
+
+    list.innerHTML = searches.map(search => {
+        const scope = [
+            ...search.categories.map(getCategoryLabel),
+            ...search.subcategories.map(getCategoryLabel)
+        ];
+        const chips = [
+            ...(scope.length > 0 ? scope : ['كافة الأقسام']),
+            ...search.skills.map(skill => `#${skill}`)
+        ];
+        if (search.budgetMin > 0 || search.budgetMax > 0) {
+            chips.push(`$${search.budgetMin || 0} - ${search.budgetMax ? '$' + search.budgetMax : '∞'}`);
+        }
+
+        const shown = search.customUrl ? ['رابط مخصص'] : chips;
+        if (search.interval > 0) shown.push(`كل ${search.interval} دقيقة`);
+
+        return `
+            <div class="saved-search-item" data-id="${search.id}">
+                <div class="saved-search-info">
+                    <h4>${escapeHtml(search.name)}</h4>
+                    <div class="saved-search-chips">
+                        ${shown.map(c => `<span class="saved-search-chip">${escapeHtml(c)}</span>`).join('')}
+                    </div>
+                    <a href="${escapeHtml(buildSearchUrl(search))}" target="_blank" class="saved-search-url" dir="ltr">${escapeHtml(buildSearchUrl(search))}</a>
+                </div>
+                <div class="saved-search-actions">
+                    <label class="switch">
+                        <input type="checkbox" class="saved-search-toggle" ${search.enabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <button class="btn-icon btn-edit-search" title="تعديل"><i class="fas fa-edit"></i></button>
+                    <button class="btn-icon btn-delete-search" title="حذف"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// --- Query Builder ---
+
+/**
+ * Opens the query builder, optionally pre-filled with an existing search.
+ * @param {Object|null} search - Search to edit, or null to create a new one
+ */
+function openSearchBuilder(search = null) {
+    const builder = document.getElementById('searchBuilder');
+    if (!builder) return;
+
+    const s = search || createSavedSearch();
+    document.getElementById('searchId').value = search ? search.id : '';
+    document.getElementById('searchName').value = search ? search.name : '';
+    document.getElementById('searchSkills').value = s.skills.join(', ');
+    document.getElementById('searchBudgetMin').value = s.budgetMin || '';
+    document.getElementById('searchBudgetMax').value = s.budgetMax || '';
+    document.getElementById('searchSort').value = s.sort;
+    document.getElementById('searchInterval').value = s.interval || '';
+    document.getElementById('searchCustomUrl').value = s.customUrl;
+
+    renderCategoryOptions(s.categories, s.subcategories);
+    builder.classList.remove('hidden');
+    updateSearchPreview();
+
+    builder.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Closes the query builder without saving.
+ */
+function closeSearchBuilder() {
+    const builder = document.getElementById('searchBuilder');
+    if (builder) builder.classList.add('hidden');
+}
+
+/**
+ * Renders category checkboxes, with subcategories for every checked category.
+ * @param {Array<string>} selectedCategories - Checked category slugs
+ * @param {Array<string>} selectedSubcategories - Checked subcategory slugs
+ */
+function renderCategoryOptions(selectedCategories, selectedSubcategories) {
+    const container = document.getElementById('searchCategories');
+    if (!container) return;
+
+    container.innerHTML = MOSTAQL_CATEGORIES.map(category => {
+        const checked = selectedCategories.includes(category.slug);
+        return `
+            <div class="search-category">
+                <label class="search-option">
+                    <input type="checkbox" class="search-category-input" value="${category.slug}" ${checked ? 'checked' : ''}>
+                    <span>${category.name}</span>
+                </label>
+                <div class="search-subcategories ${checked ? '' : 'hidden'}">
+                    ${category.subcategories.map(sub => `
+                        <label class="search-option">
+                            <input type="checkbox" class="search-subcategory-input" value="${sub.slug}" ${selectedSubcategories.includes(sub.slug) ? 'checked' : ''}>
+                            <span>${sub.name}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Reads the builder form into a saved search object.
+ * @returns {Object} - Saved search
+ */
+function readSearchBuilder() {
+    const checkedValues = (selector) => Array.from(document.querySelectorAll(`${selector}:checked`))
+        .filter(input => !input.closest('.hidden'))
+        .map(input => input.value);
+
+    return createSavedSearch({
+        id: document.getElementById('searchId').value || undefined,
+        name: document.getElementById('searchName').value.trim(),
+        categories: checkedValues('.search-category-input'),
+        subcategories: checkedValues('.search-subcategory-input'),
+        skills: document.getElementById('searchSkills').value.split(',').map(k => k.trim()).filter(Boolean),
+        budgetMin: document.getElementById('searchBudgetMin').value,
+        budgetMax: document.getElementById('searchBudgetMax').value,
+        sort: document.getElementById('searchSort').value,
+        interval: document.getElementById('searchInterval').value,
+        customUrl: document.getElementById('searchCustomUrl').value.trim()
+    });
+}
+
+/**
+ * Refreshes the live URL preview under the builder.
+ */
+function updateSearchPreview() {
+    const preview = document.getElementById('searchUrlPreview');
+    if (!preview) return;
+    const url = buildSearchUrl(readSearchBuilder());
+    preview.textContent = url;
+    preview.href = url;
+}
+
+/**
+ * Validates and persists the search currently in the builder.
+ */
+function saveSearchFromBuilder() {
+    const search = readSearchBuilder();
+
+    if (!search.name) {
+        alert('يرجى إدخال اسم للبحث');
+        return;
+    }
+    if (search.customUrl && !search.customUrl.startsWith(MOSTAQL_PROJECTS_URL)) {
+        alert(`الرابط المخصص يجب أن يبدأ بـ ${MOSTAQL_PROJECTS_URL}`);
+        return;
+    }
+
+    updateSavedSearches((searches) => {
+        const index = searches.findIndex(s => s.id === search.id);
+        if (index !== -1) {
+            search.enabled = searches[index].enabled;
+            searches[index] = search;
+        } else {
+            searches.push(search);
+        }
+        return searches;
+    }, closeSearchBuilder);
+}
+
+// --- Persistence ---
+
+/**
+ * Applies a mutation to the stored saved searches, then re-renders.
+ * @param {Function} mutate - Receives the current array and returns the new one
+ * @param {Function} [onSaved] - Called after the write completes
+ */
+function updateSavedSearches(mutate, onSaved) {
+    chrome.storage.local.get(['savedSearches', 'settings'], (data) => {
+        const current = data.savedSearches || migrateLegacySearches(data.settings || {});
+        const savedSearches = mutate(current);
+        chrome.storage.local.set({ savedSearches }, () => {
+            renderSavedSearches(savedSearches);
+            showSaveStatus();
+            if (onSaved) onSaved();
+        });
+    });
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires the saved searches list and the query builder controls.
+ */
+function setupSavedSearchListeners() {
+    const addBtn = document.getElementById('addSearchBtn');
+    if (addBtn) addBtn.addEventListener('click', () => openSearchBuilder());
+
+    const cancelBtn = document.getElementById('cancelSearchBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', closeSearchBuilder);
+
+    const saveBtn = document.getElementById('saveSearchBtn');
+    if (saveBtn) saveBtn.addEventListener('click', saveSearchFromBuilder);
+
+    const builder = document.getElementById('searchBuilder');
+    if (builder) {
+        builder.addEventListener('input', updateSearchPreview);
+        builder.addEventListener('change', (e) => {
+            if (e.target.classList.contains('search-category-input')) {
+                const subs = e.target.closest('.search-category').querySelector('.search-subcategories');
+                subs.classList.toggle('hidden', !e.target.checked);
+            }
+            updateSearchPreview();
+        });
+    }
+
+    const list = document.getElementById('savedSearchesList');
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.saved-search-item');
+        if (!item) return;
+        const id = item.dataset.id;
+
+        if (e.target.closest('.btn-edit-search')) {
+            chrome.storage.local.get(['savedSearches', 'settings'], (data) => {
+                const searches = data.savedSearches || migrateLegacySearches(data.settings || {});
+                const search = searches.find(s => s.id === id);
+                if (search) openSearchBuilder(search);
+            });
+        } else if (e.target.closest('.btn-delete-search')) {
+            if (!confirm('هل أنت متأكد من حذف هذا البحث؟')) return;
+            updateSavedSearches(searches => searches.filter(s => s.id !== id), () => removeSearchFromProfiles(id));
+        }
+    });
+
+    list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('saved-search-toggle')) return;
+        const id = e.target.closest('.saved-search-item').dataset.id;
+        const enabled = e.target.checked;
+        updateSavedSearches(searches => searches.map(s => s.id === id ? { ...s, enabled } : s));
+    });
+}
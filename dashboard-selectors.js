@@ -0,0 +1,194 @@
+// ==========================================
+// Frelancia Pro - Mostaql Selectors Module
+// ==========================================
+
+// Resolved selector map, also read by the bid tracker (dashboard-bids.js)
+let mostaqlSelectors = resolveMostaqlSelectors(null);
+
+// --- Loading & Rendering ---
+
+/**
+ * Loads the selector map and renders the editor.
+ */
+function loadMostaqlSelectorMap() {
+    chrome.storage.local.get(['mostaqlSelectors'], (data) => {
+        mostaqlSelectors = resolveMostaqlSelectors(data.mostaqlSelectors);
+        renderSelectorMapEditor(mostaqlSelectors);
+        const stored = data.mostaqlSelectors;
+        const ignored = stored && stored.version < MOSTAQL_SELECTORS_VERSION;
+        setSelectorMapStatus(ignored ? 'تم تجاهل التعديلات المحفوظة لأنها مكتوبة لإصدار أقدم من المحددات.' : '');
+    });
+}
+
+/**
+ * Renders one input per selector, grouped by page. Changed entries are marked.
+ * @param {Object} selectors - Resolved selector map
+ */
+function renderSelectorMapEditor(selectors) {
+    const container = document.getElementById('selectorMapEditor');
+    if (!container) return;
+
+    container.innerHTML = Object.keys(MOSTAQL_SELECTOR_FIELDS).map(group => `
+        <div class="selector-group">
+            <h4>${MOSTAQL_SELECTOR_FIELDS[group].label}</h4>
+            ${Object.keys(MOSTAQL_SELECTOR_FIELDS[group].fields).map(key => {
+                const value = selectors[group][key];
+                const fallback = DEFAULT_MOSTAQL_SELECTORS[group][key];
+                return `
+                    <div class="selector-row${value !== fallback ? ' changed' : ''}">
+                        <label>${MOSTAQL_SELECTOR_FIELDS[group].fields[key]}</label>
+                        <input type="text" class="form-control selector-input" dir="ltr"
+                               data-group="${group}" data-key="${key}"
+                               value="${escapeHtml(value)}" placeholder="${escapeHtml(fallback)}">
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Reads the selectors back from the editor. Empty inputs use the default.
+ * @returns {Object} - { group: { key: selector } }
+ */
+function readSelectorMapEditor() {
+    const selectors = {};
+    document.querySelectorAll('#selectorMapEditor .selector-input').forEach(input => {
+        const group = input.dataset.group;
+        selectors[group] = selectors[group] || {};
+        selectors[group][input.dataset.key] = input.value;
+    });
+    return selectors;
+}
+
+/**
+ * Shows a message under the editor.
+ * @param {string} text
+ * @param {boolean} [isError]
+ */
+function setSelectorMapStatus(text, isError = false) {
+    const status = document.getElementById('selectorMapStatus');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('selector-map-error', isError);
+}
+
+// --- Validation & Saving ---
+
+/**
+ * Lists the entries the browser cannot parse as CSS selectors.
+ * @param {Object} selectors - Resolved selector map
+ * @returns {Array<string>} - Labels of the invalid entries
+ */
+function findInvalidSelectors(selectors) {
+    const probe = document.createDocumentFragment();
+    const invalid = [];
+    Object.keys(selectors).forEach(group => {
+        Object.keys(selectors[group]).forEach(key => {
+            try {
+                probe.querySelector(selectors[group][key]);
+            } catch (e) {
+                invalid.push(`${MOSTAQL_SELECTOR_FIELDS[group].label}: ${MOSTAQL_SELECTOR_FIELDS[group].fields[key]}`);
+            }
+        });
+    });
+    return invalid;
+}
+
+/**
+ * Validates and stores a selector map, keeping only the overrides.
+ * @param {Object} selectors - Full or partial map
+ * @param {string} message - Status shown once saved
+ */
+function saveSelectorMap(selectors, message) {
+    const stored = {
+        version: MOSTAQL_SELECTORS_VERSION,
+        updatedAt: Date.now(),
+        selectors: getMostaqlSelectorOverrides(selectors)
+    };
+    const invalid = findInvalidSelectors(resolveMostaqlSelectors(stored));
+    if (invalid.length > 0) {
+        setSelectorMapStatus(`محددات غير صالحة: ${invalid.join('، ')}`, true);
+        return;
+    }
+
+    chrome.storage.local.set({ mostaqlSelectors: stored }, () => {
+        loadMostaqlSelectorMap();
+        setSelectorMapStatus(message);
+    });
+}
+
+// --- Import / Export ---
+
+/**
+ * Downloads the current map as JSON.
+ */
+function exportSelectorMap() {
+    chrome.storage.local.get(['mostaqlSelectors'], (data) => {
+        const blob = new Blob([exportMostaqlSelectors(data.mostaqlSelectors)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `frelancia-selectors-v${MOSTAQL_SELECTORS_VERSION}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    });
+}
+
+/**
+ * Imports a map from a JSON file chosen by the user.
+ * @param {File} file
+ */
+function importSelectorMap(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const stored = importMostaqlSelectors(reader.result);
+            saveSelectorMap(stored.selectors, 'تم استيراد المحددات');
+        } catch (e) {
+            setSelectorMapStatus(e.message, true);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires the editor buttons and keeps the map in sync with storage.
+ */
+function setupSelectorMapListeners() {
+    const saveBtn = document.getElementById('saveSelectorMapBtn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => saveSelectorMap(readSelectorMapEditor(), 'تم حفظ المحددات'));
+    }
+
+    const resetBtn = document.getElementById('resetSelectorMapBtn');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            if (!confirm('استعادة المحددات الافتراضية وحذف جميع التعديلات؟')) return;
+            chrome.storage.local.remove('mostaqlSelectors', () => {
+                loadMostaqlSelectorMap();
+                setSelectorMapStatus('تمت استعادة المحددات الافتراضية');
+            });
+        });
+    }
+
+    const exportBtn = document.getElementById('exportSelectorMapBtn');
+    if (exportBtn) exportBtn.addEventListener('click', exportSelectorMap);
+
+    const importBtn = document.getElementById('importSelectorMapBtn');
+    const fileInput = document.getElementById('selectorMapFile');
+    if (importBtn && fileInput) {
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) importSelectorMap(fileInput.files[0]);
+            fileInput.value = '';
+        });
+    }
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.mostaqlSelectors) {
+            mostaqlSelectors = resolveMostaqlSelectors(changes.mostaqlSelectors.newValue);
+        }
+    });
+}
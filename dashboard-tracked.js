@@ -0,0 +1,239 @@
+// ==========================================
+// Frelancia Pro - Tracked Projects Module
+// ==========================================
+
+// --- Tracked List ---
+
+/**
+ * Loads tracked projects and renders them: active first, then paused, then archived.
+ */
+function loadTrackedProjects() {
+    chrome.storage.local.get(['trackedProjects'], (data) => {
+        const rank = (p) => (p.archivedAt ? 2 : (p.paused ? 1 : 0));
+        const projects = Object.values(data.trackedProjects || {})
+            .sort((a, b) => (rank(a) - rank(b)) || (b.lastChecked || '').localeCompare(a.lastChecked || ''));
+        renderTrackedProjects(projects);
+    });
+}
+
+/**
+ * Renders tracked projects with their controls and timeline.
+ * @param {Array<Object>} projects - Tracked projects
+ */
+function renderTrackedProjects(projects) {
+    const list = document.getElementById('recentProjectsList');
+    if (!list) return;
+
+    if (projects.length === 0) {
+        list.innerHTML = '<p class="help-text" style="text-align: center; padding: 40px;">لا توجد مشاريع مراقبة. افتح أي مشروع على مستقل واضغط <strong>مراقبة</strong> لإضافته هنا.</p>';
+        return;
+    }
+
+    list.innerHTML = projects.map(project => renderProjectCard({
+        ...project,
+        poster: project.clientName,
+        time: project.publishDate,
+        bidsText: project.communications ? project.communications + ' تواصل' : '',
+        status: project.archivedAt ? 'مؤرشف' : project.status
+    }, {
+        details: `
+            ${renderTrackedControls(project)}
+            <details class="project-timeline" data-project-id="${project.id}">
+                <summary><i class="fas fa-history"></i> سجل التغييرات</summary>
+                <div class="project-timeline-body"></div>
+            </details>
+        `
+    })).join('');
+
+    setupAutofillListeners();
+}
+
+/**
+ * Renders the pause/interval/untrack controls of a tracked project.
+ * @param {Object} project - Tracked project
+ * @returns {string} - HTML
+ */
+function renderTrackedControls(project) {
+    const phase = getTrackedProjectPhase(project);
+    const options = TRACKED_POLL_OPTIONS.map(minutes => {
+        const label = minutes === 0
+            ? `حسب الحالة (${formatPollMinutes(TRACKED_PHASE_INTERVALS[phase])})`
+            : formatPollMinutes(minutes);
+        return `<option value="${minutes}" ${(project.pollMinutes || 0) === minutes ? 'selected' : ''}>${label}</option>`;
+    }).join('');
+
+    let state = `${TRACKED_PHASE_LABELS[phase]}`;
+    if (project.archivedAt) state = 'مؤرشف (توقفت المراقبة)';
+    else if (project.paused) state = 'متوقف مؤقتاً';
+    else if (project.nextCheckAt) state += ` · الفحص القادم ${formatSnapshotTime(project.nextCheckAt)}`;
+
+    const resumable = project.paused || project.archivedAt;
+
+    return `
+        <div class="tracked-controls" data-project-id="${project.id}">
+            <span class="tracked-state">${state}</span>
+            <label>
+                كل
+                <select class="form-control tracked-interval" ${project.archivedAt ? 'disabled' : ''}>${options}</select>
+            </label>
+            <button class="btn-icon btn-pause-tracked" title="${resumable ? 'استئناف' : 'إيقاف مؤقت'}">
+                <i class="fas fa-${resumable ? 'play' : 'pause'}"></i>
+            </button>
+            <button class="btn-icon btn-delete-search btn-untrack" title="إلغاء المراقبة"><i class="fas fa-trash"></i></button>
+        </div>
+    `;
+}
+
+/**
+ * Formats a poll interval.
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatPollMinutes(minutes) {
+    if (minutes >= 1440) return `${minutes / 1440} يوم`;
+    if (minutes >= 60) return `${minutes / 60} ساعة`;
+    return `${minutes} دقيقة`;
+}
+
+/**
+ * Applies a change to one tracked project and re-renders the list.
+ * @param {string} id - Project id
+ * @param {Function} mutate - Receives the project, returns the new one (or null to untrack)
+ */
+function updateTrackedProjectFromDashboard(id, mutate) {
+    chrome.storage.local.get(['trackedProjects'], (data) => {
+        const trackedProjects = data.trackedProjects || {};
+        if (!trackedProjects[id]) return;
+
+        const updated = mutate(trackedProjects[id]);
+        if (updated) trackedProjects[id] = updated;
+        else delete trackedProjects[id];
+
+        chrome.storage.local.set({ trackedProjects }, () => {
+            loadTrackedProjects();
+            showSaveStatus();
+        });
+    });
+}
+
+// --- Timeline ---
+
+/**
+ * Loads a tracked project's snapshots into its timeline panel.
+ * @param {HTMLDetailsElement} panel - The project's <details class="project-timeline">
+ */
+function loadProjectTimeline(panel) {
+    const body = panel.querySelector('.project-timeline-body');
+    body.innerHTML = '<p class="help-text">جاري التحميل...</p>';
+
+    getProjectSnapshots(panel.dataset.projectId)
+        .then(snapshots => { body.innerHTML = renderProjectTimeline(snapshots); })
+        .catch(error => {
+            console.error('Error loading project snapshots:', error);
+            body.innerHTML = '<p class="help-text">تعذر تحميل السجل.</p>';
+        });
+}
+
+/**
+ * Renders snapshots as a timeline, newest first.
+ * @param {Array<Object>} snapshots - Snapshots, oldest first
+ * @returns {string} - HTML
+ */
+function renderProjectTimeline(snapshots) {
+    if (snapshots.length === 0) {
+        return '<p class="help-text">لم يتم فحص المشروع بعد. سيظهر السجل بعد الفحص القادم.</p>';
+    }
+
+    return `<ol class="timeline-list">${snapshots.map((snapshot, i) => {
+        const changes = snapshot.changes || [];
+        const items = i === 0 && changes.length === 0
+            ? '<li>بداية المراقبة</li>'
+            : changes.map(change => `<li>${renderTimelineChange(change, snapshots[i - 1], snapshot)}</li>`).join('');
+
+        return `
+            <li class="timeline-entry">
+                <div class="timeline-time">
+                    ${formatSnapshotTime(snapshot.takenAt)}
+                    ${snapshot.confirmedAt > snapshot.takenAt ? `<span>آخر تأكيد ${formatSnapshotTime(snapshot.confirmedAt)}</span>` : ''}
+                </div>
+                <ul class="timeline-changes">${items}</ul>
+            </li>
+        `;
+    }).reverse().join('')}</ol>`;
+}
+
+/**
+ * Renders one change; description edits include a word diff.
+ * @param {Object} change - { field, label, from, to }
+ * @param {Object|undefined} previous - Previous snapshot
+ * @param {Object} snapshot - Snapshot holding the change
+ * @returns {string} - HTML
+ */
+function renderTimelineChange(change, previous, snapshot) {
+    if (change.field === 'description' && previous) {
+        const diff = diffWords(previous.description, snapshot.description)
+            .map(part => {
+                const text = escapeHtml(part.text);
+                if (part.type === 'added') return `<ins>${text}</ins>`;
+                if (part.type === 'removed') return `<del>${text}</del>`;
+                return text;
+            }).join(' ');
+        return `<details class="timeline-diff"><summary>${change.to}</summary><p>${diff}</p></details>`;
+    }
+    if (change.field === 'attachments') return `مرفقات جديدة: ${escapeHtml(change.to)}`;
+    if (!change.from) return change.to;
+    return `${change.label}: <del>${escapeHtml(String(change.from))}</del> ← <strong>${escapeHtml(String(change.to))}</strong>`;
+}
+
+/**
+ * Formats a snapshot timestamp.
+ * @param {number} time - Epoch milliseconds
+ * @returns {string}
+ */
+function formatSnapshotTime(time) {
+    return new Date(time).toLocaleString('ar-EG', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires the tracked project controls and loads a timeline whenever its panel is opened.
+ */
+function setupTrackedProjectListeners() {
+    const list = document.getElementById('recentProjectsList');
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+        const controls = e.target.closest('.tracked-controls');
+        if (!controls) return;
+        const id = controls.dataset.projectId;
+
+        if (e.target.closest('.btn-pause-tracked')) {
+            // Resuming also brings an archived project back, checked on the next tick
+            updateTrackedProjectFromDashboard(id, project => (project.paused || project.archivedAt)
+                ? { ...project, paused: false, archivedAt: null, closedAt: null, nextCheckAt: 0 }
+                : { ...project, paused: true });
+        } else if (e.target.closest('.btn-untrack')) {
+            if (!confirm('هل تريد إلغاء مراقبة هذا المشروع؟ سيتم حذف سجل تغييراته.')) return;
+            updateTrackedProjectFromDashboard(id, () => null);
+        }
+    });
+
+    list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('tracked-interval')) return;
+        const id = e.target.closest('.tracked-controls').dataset.projectId;
+        const pollMinutes = parseInt(e.target.value) || 0;
+        updateTrackedProjectFromDashboard(id, project => {
+            const updated = { ...project, pollMinutes };
+            return { ...updated, nextCheckAt: getNextTrackedCheckAt(updated) };
+        });
+    });
+
+    // "toggle" does not bubble, so listen during capture
+    list.addEventListener('toggle', (e) => {
+        const panel = e.target;
+        if (panel.classList.contains('project-timeline') && panel.open) {
+            loadProjectTimeline(panel);
+        }
+    }, true);
+}
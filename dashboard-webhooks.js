@@ -0,0 +1,305 @@
+// ==========================================
+// Frelancia Pro - Webhooks Module
+// ==========================================
+
+const WEBHOOK_STATUS_LABELS = {
+    delivered: 'تم التسليم',
+    retrying: 'ستتم إعادة المحاولة',
+    failed: 'فشل',
+    skipped: 'تم التخطي'
+};
+
+// --- Loading & Rendering ---
+
+/**
+ * Loads the webhooks and the delivery log.
+ */
+function loadWebhooks() {
+    chrome.storage.local.get(['webhooks', 'webhookLog'], (data) => {
+        renderWebhooks((data.webhooks || []).map(createWebhook));
+        renderWebhookLog(data.webhookLog || []);
+    });
+}
+
+/**
+ * Renders the webhooks list.
+ * @param {Array<Object>} webhooks - Webhooks
+ */
+function renderWebhooks(webhooks) {
+    const list = document.getElementById('webhooksList');
+    if (!list) return;
+
+    if (webhooks.length === 0) {
+        list.innerHTML = '<p class="help-text" style="text-align: center; padding: 20px;">لا توجد Webhooks. أضف عنواناً لتصله المشاريع والتحديثات كطلبات JSON.</p>';
+        return;
+    }
+
+    list.innerHTML = webhooks.map(webhook => {
+        const chips = webhook.events.map(event => WEBHOOK_EVENTS[event]);
+        if (webhook.secret) chips.push('موقّع HMAC');
+        if (webhook.template) chips.push('قالب مخصص');
+
+        return `
+            <div class="saved-search-item" data-id="${webhook.id}">
+                <div class="saved-search-info">
+                    <h4>${escapeHtml(webhook.name)}</h4>
+                    <span class="saved-search-url" dir="ltr">${escapeHtml(webhook.url)}</span>
+                    <div class="saved-search-chips">
+                        ${chips.map(c => `<span class="saved-search-chip">${c}</span>`).join('')}
+                    </div>
+                </div>
+                <div class="saved-search-actions">
+                    <label class="switch">
+                        <input type="checkbox" class="webhook-toggle" ${webhook.enabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <button class="btn-icon btn-edit-webhook" title="تعديل"><i class="fas fa-edit"></i></button>
+                    <button class="btn-icon btn-delete-search btn-delete-webhook" title="حذف"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders the delivery log, newest first.
+ * @param {Array<Object>} log - Delivery log entries
+ */
+function renderWebhookLog(log) {
+    const container = document.getElementById('webhookLog');
+    if (!container) return;
+
+    if (log.length === 0) {
+        container.innerHTML = '<p class="help-text" style="text-align: center; padding: 20px;">لم يتم إرسال أي طلب بعد.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="webhook-log-table">
+            <tr><th>الوقت</th><th>Webhook</th><th>الحدث</th><th>المحاولة</th><th>النتيجة</th></tr>
+            ${log.map(entry => `
+                <tr>
+                    <td>${new Date(entry.at).toLocaleString('ar-EG', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}</td>
+                    <td>${entry.channel ? `${CHAT_CHANNEL_TYPES[entry.channel].label} · ` : ''}${escapeHtml(entry.webhookName)}</td>
+                    <td>${WEBHOOK_EVENTS[entry.event] || entry.event}</td>
+                    <td>${entry.attempts}</td>
+                    <td>
+                        <span class="webhook-status webhook-status-${entry.status}">${WEBHOOK_STATUS_LABELS[entry.status]}</span>
+                        ${entry.error
+                            ? `<span class="webhook-error" dir="auto">${escapeHtml(entry.error)}</span>`
+                            : (entry.httpStatus ? `<span dir="ltr">${entry.httpStatus}</span>` : '')}
+                    </td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// --- Webhook Editor ---
+
+/**
+ * Opens the webhook editor, optionally pre-filled with an existing webhook.
+ * @param {Object|null} webhook - Webhook to edit, or null to create a new one
+ */
+function openWebhookEditor(webhook = null) {
+    const editor = document.getElementById('webhookEditor');
+    if (!editor) return;
+
+    const w = webhook || createWebhook();
+    document.getElementById('webhookId').value = webhook ? webhook.id : '';
+    document.getElementById('webhookName').value = webhook ? webhook.name : '';
+    document.getElementById('webhookUrl').value = w.url;
+    document.getElementById('webhookSecret').value = w.secret;
+    document.getElementById('webhookTemplate').value = w.template;
+    document.getElementById('webhookTestResult').textContent = '';
+
+    document.getElementById('webhookEvents').innerHTML = Object.entries(WEBHOOK_EVENTS).map(([event, label]) => `
+        <label class="search-option">
+            <input type="checkbox" class="webhook-event-input" value="${event}" ${w.events.includes(event) ? 'checked' : ''}>
+            <span>${label}</span>
+        </label>
+    `).join('');
+
+    editor.classList.remove('hidden');
+    editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Closes the webhook editor without saving.
+ */
+function closeWebhookEditor() {
+    const editor = document.getElementById('webhookEditor');
+    if (editor) editor.classList.add('hidden');
+}
+
+/**
+ * Reads the editor form into a webhook object.
+ * @returns {Object} - Webhook
+ */
+function readWebhookEditor() {
+    return createWebhook({
+        id: document.getElementById('webhookId').value || undefined,
+        name: document.getElementById('webhookName').value.trim(),
+        url: document.getElementById('webhookUrl').value.trim(),
+        secret: document.getElementById('webhookSecret').value,
+        events: Array.from(document.querySelectorAll('.webhook-event-input:checked')).map(input => input.value),
+        template: document.getElementById('webhookTemplate').value
+    });
+}
+
+/**
+ * Validates the webhook in the editor.
+ * @param {Object} webhook - Webhook read from the editor
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateWebhook(webhook) {
+    if (!webhook.name) return 'يرجى إدخال اسم للـ Webhook';
+    if (!getWebhookOriginPattern(webhook.url)) return 'يرجى إدخال رابط http أو https صحيح';
+    if (webhook.events.length === 0) return 'يرجى اختيار حدث واحد على الأقل';
+
+    try {
+        renderWebhookTemplate(webhook.template, buildWebhookPayload('job', { job: getWebhookJobData({ id: '1', title: 'مثال', url: 'https://mostaql.com/project/1' }) }));
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+/**
+ * Asks for access to the webhook's origin (must run inside the click handler).
+ * @param {string} url - Webhook URL
+ * @param {Function} callback - Receives true when access was granted
+ */
+function requestWebhookPermission(url, callback) {
+    chrome.permissions.request({ origins: [getWebhookOriginPattern(url)] }, (granted) => {
+        if (!granted) alert('يجب السماح للإضافة بالوصول إلى هذا العنوان لإرسال الطلبات إليه');
+        callback(granted);
+    });
+}
+
+/**
+ * Validates and persists the webhook currently in the editor.
+ */
+function saveWebhookFromEditor() {
+    const webhook = readWebhookEditor();
+    const error = validateWebhook(webhook);
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    requestWebhookPermission(webhook.url, (granted) => {
+        if (!granted) return;
+        updateWebhooks((webhooks) => {
+            const index = webhooks.findIndex(w => w.id === webhook.id);
+            if (index !== -1) {
+                webhook.enabled = webhooks[index].enabled;
+                webhooks[index] = webhook;
+            } else {
+                webhooks.push(webhook);
+            }
+            return webhooks;
+        }, closeWebhookEditor);
+    });
+}
+
+/**
+ * Sends a sample payload to the webhook in the editor and shows the result.
+ */
+function testWebhookFromEditor() {
+    const webhook = readWebhookEditor();
+    const result = document.getElementById('webhookTestResult');
+    const error = validateWebhook(webhook);
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    requestWebhookPermission(webhook.url, (granted) => {
+        if (!granted) return;
+        result.textContent = 'جارٍ الإرسال...';
+        chrome.runtime.sendMessage({ action: 'testWebhook', webhook }, (response) => {
+            const entry = response && response.entry;
+            if (!entry) {
+                result.textContent = 'تعذر الإرسال';
+            } else if (response.success) {
+                result.textContent = `تم التسليم (HTTP ${entry.httpStatus})`;
+            } else {
+                result.textContent = `فشل الإرسال: ${entry.error}`;
+            }
+        });
+    });
+}
+
+// --- Persistence ---
+
+/**
+ * Applies a mutation to the stored webhooks, then re-renders.
+ * @param {Function} mutate - Receives the current array and returns the new one
+ * @param {Function} [onSaved] - Called after the write completes
+ */
+function updateWebhooks(mutate, onSaved) {
+    chrome.storage.local.get(['webhooks'], (data) => {
+        const webhooks = mutate((data.webhooks || []).map(createWebhook));
+        chrome.storage.local.set({ webhooks }, () => {
+            renderWebhooks(webhooks);
+            showSaveStatus();
+            if (onSaved) onSaved();
+        });
+    });
+}
+
+// --- Event Wiring ---
+
+/**
+ * Wires the webhooks list, the editor and the delivery log.
+ */
+function setupWebhookListeners() {
+    const addBtn = document.getElementById('addWebhookBtn');
+    if (addBtn) addBtn.addEventListener('click', () => openWebhookEditor());
+
+    const cancelBtn = document.getElementById('cancelWebhookBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', closeWebhookEditor);
+
+    const saveBtn = document.getElementById('saveWebhookBtn');
+    if (saveBtn) saveBtn.addEventListener('click', saveWebhookFromEditor);
+
+    const testBtn = document.getElementById('testWebhookBtn');
+    if (testBtn) testBtn.addEventListener('click', testWebhookFromEditor);
+
+    const clearLogBtn = document.getElementById('clearWebhookLogBtn');
+    if (clearLogBtn) clearLogBtn.addEventListener('click', () => chrome.storage.local.set({ webhookLog: [] }));
+
+    const list = document.getElementById('webhooksList');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.saved-search-item');
+            if (!item) return;
+            const id = item.dataset.id;
+
+            if (e.target.closest('.btn-edit-webhook')) {
+                chrome.storage.local.get(['webhooks'], (data) => {
+                    const webhook = (data.webhooks || []).map(createWebhook).find(w => w.id === id);
+                    if (webhook) openWebhookEditor(webhook);
+                });
+            } else if (e.target.closest('.btn-delete-webhook')) {
+                if (!confirm('هل أنت متأكد من حذف هذا الـ Webhook؟')) return;
+                updateWebhooks(webhooks => webhooks.filter(w => w.id !== id));
+            }
+        });
+
+        list.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('webhook-toggle')) return;
+            const id = e.target.closest('.saved-search-item').dataset.id;
+            const enabled = e.target.checked;
+            updateWebhooks(webhooks => webhooks.map(w => w.id === id ? { ...w, enabled } : w));
+        });
+    }
+
+    // Follow deliveries made by the background
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.webhookLog) {
+            renderWebhookLog(changes.webhookLog.newValue || []);
+        }
+    });
+}
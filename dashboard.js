@@ -5,12 +5,14 @@
 document.addEventListener('DOMContentLoaded', () => {
     loadData();
     loadConnectionStatus();
+    loadPollingBlockStatus();
+    loadParserHealthStatus();
     setupEventListeners();
 });
 
 // --- Connection Status ---
 function loadConnectionStatus() {
-    chrome.storage.local.get(['signalRConnected', 'signalRFallbackActive', 'settings'], (data) => {
+    chrome.storage.local.get(['signalRConnected', 'signalRFallbackActive', 'signalRSubscribed', 'settings'], (data) => {
         const statusEl = document.getElementById('stat-connection');
         const iconEl = document.getElementById('connection-status-icon');
         if (!statusEl || !iconEl) return;
@@ -22,7 +24,7 @@ function loadConnectionStatus() {
             iconEl.className = 'stat-icon blue';
             iconEl.innerHTML = '<i class="fas fa-sync-alt"></i>';
         } else if (data.signalRConnected) {
-            statusEl.textContent = 'اتصال مباشر';
+            statusEl.textContent = data.signalRSubscribed ? 'اتصال مباشر (مفلتر على الخادم)' : 'اتصال مباشر';
             iconEl.className = 'stat-icon green';
             iconEl.innerHTML = '<i class="fas fa-wifi"></i>';
         } else if (data.signalRFallbackActive) {
@@ -37,6 +39,49 @@ function loadConnectionStatus() {
     });
 }
 
+// --- Polling Block ---
+// Shown while Mostaql refuses our fetches; the background removes
+// `pollingBackoff` after the first fetch that succeeds.
+function loadPollingBlockStatus() {
+    chrome.storage.local.get(['pollingBackoff'], (data) => {
+        const banner = document.getElementById('pollingBlockedBanner');
+        if (!banner) return;
+
+        banner.classList.toggle('hidden', !data.pollingBackoff);
+        if (data.pollingBackoff) {
+            document.getElementById('pollingBlockedText').textContent = getPollingBlockText(data.pollingBackoff);
+        }
+    });
+}
+
+function setupPollingBlockListeners() {
+    const openBtn = document.getElementById('openMostaqlBtn');
+    if (openBtn) {
+        openBtn.addEventListener('click', () => chrome.runtime.sendMessage({ action: 'openMostaql' }));
+    }
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.pollingBackoff) loadPollingBlockStatus();
+        if (area === 'local' && changes.parserHealth) loadParserHealthStatus();
+    });
+}
+
+// --- Parser Health ---
+// Shown while recent parses keep falling back or missing fields that used to
+// be found, which usually means Mostaql changed its markup.
+function loadParserHealthStatus() {
+    chrome.storage.local.get(['parserHealth'], (data) => {
+        const banner = document.getElementById('parserHealthBanner');
+        if (!banner) return;
+
+        const issues = getParserHealthIssues(data.parserHealth);
+        banner.classList.toggle('hidden', issues.length === 0);
+        if (issues.length > 0) {
+            document.getElementById('parserHealthText').textContent = getParserHealthText(issues);
+        }
+    });
+}
+
 // --- Tab Management ---
 function setupTabSwitching() {
     const navItems = document.querySelectorAll('.nav-item');
@@ -64,7 +109,7 @@ function setupTabSwitching() {
 
 // --- Data Loading ---
 function loadData() {
-    chrome.storage.local.get(['settings', 'stats', 'prompts', 'proposalTemplate', 'seenJobs', 'recentJobs'], (data) => {
+    chrome.storage.local.get(['settings', 'stats', 'prompts', 'proposalTemplate', 'scoring', 'keywordSynonyms'], (data) => {
         // High Level Stats
         if (data.stats) {
             const todayCount = parseInt(data.stats.todayCount);
@@ -72,21 +117,14 @@ function loadData() {
             
             const lastTime = data.stats.lastCheck ? new Date(data.stats.lastCheck).toLocaleTimeString('ar-EG') : '-';
             document.getElementById('stat-last-time').textContent = lastTime;
+            document.getElementById('stat-total').textContent = data.stats.totalSeen || 0;
         }
         
-        if (data.seenJobs) {
-            const totalSeen = Array.isArray(data.seenJobs) ? data.seenJobs.length : 0;
-            document.getElementById('stat-total').textContent = totalSeen;
-        }
-        
-        // Render Project List using full objects
+        // Ranked feed of recent archived jobs (by relevance score)
+        loadRankedJobs();
+
         // Tracked (watched) projects panel
-        chrome.storage.local.get(['trackedProjects'], (td) => {
-            const tracked = td.trackedProjects || {};
-            const trackedList = Object.values(tracked)
-                .sort((a, b) => (b.lastChecked || '').localeCompare(a.lastChecked || ''));
-            renderTrackedProjects(trackedList);
-        });
+        loadTrackedProjects();
 
         // Settings / Filters
         const s = data.settings || {};
@@ -98,77 +136,37 @@ function loadData() {
             }
         };
 
-        setVal('keywordsInclude', s.keywordsInclude);
-        setVal('keywordsExclude', s.keywordsExclude);
-        setVal('minBudget', s.minBudget);
-        setVal('minHiringRate', s.minHiringRate);
-        setVal('maxDuration', s.maxDuration);
-        setVal('cat-development', s.development !== false);
-        setVal('cat-ai', s.ai !== false);
-        setVal('cat-all', s.all !== false);
         setVal('aiChatUrl', s.aiChatUrl || 'https://chatgpt.com/');
-        setVal('quietHoursEnabled', s.quietHoursEnabled === true);
-        setVal('quietHoursStart', s.quietHoursStart);
-        setVal('quietHoursEnd', s.quietHoursEnd);
         setVal('checkInterval', s.interval || 1);
+        renderPollingBandsEditor(s.pollingBands || []);
+        setVal('archiveRetentionDays', s.archiveRetentionDays ?? DEFAULT_ARCHIVE_RETENTION_DAYS);
+        setVal('trackedGraceDays', s.trackedGraceDays ?? DEFAULT_TRACKED_GRACE_DAYS);
+        setVal('digestSchedule', s.digestSchedule || DEFAULT_DIGEST_SETTINGS.digestSchedule);
+        setVal('digestWeekday', s.digestWeekday ?? DEFAULT_DIGEST_SETTINGS.digestWeekday);
+        setVal('digestHour', s.digestHour ?? DEFAULT_DIGEST_SETTINGS.digestHour);
+        setVal('digestDownload', s.digestDownload || DEFAULT_DIGEST_SETTINGS.digestDownload);
         setVal('systemToggle', s.systemEnabled !== false);
         setVal('notificationMode', s.notificationMode || 'auto');
 
+        // Relevance scoring
+        loadScoringSettings(data.scoring);
+        setVal('keywordSynonyms', formatSynonymGroups(data.keywordSynonyms));
+
         // Proposals
         document.getElementById('proposalTemplate').value = data.proposalTemplate || '';
 
         // Prompts
         renderPrompts(data.prompts || []);
     });
-}
 
-// --- Render Tracked (Watched) Projects ---
-function renderTrackedProjects(jobs) {
-    const list = document.getElementById('recentProjectsList');
-    if (!list) return;
-
-    if (jobs.length === 0) {
-        list.innerHTML = '<p class="help-text" style="text-align: center; padding: 40px;">لا توجد مشاريع مراقبة. افتح أي مشروع على مستقل واضغط <strong>مراقبة</strong> لإضافته هنا.</p>';
-        return;
-    }
-
-    list.innerHTML = jobs.slice(0, 7).map(job => {
-        const budget   = job.budget   || 'غير محدد';
-        const duration = job.duration || '';
-        const poster   = job.clientName || '';
-        const timeAgo  = job.publishDate || '';
-        const bidsText = job.communications ? job.communications + ' تواصل' : '';
-        const status   = job.status || 'مفتوح';
-
-        let statusClass = 'mj-status-open';
-        if (status.includes('تنفيذ') || status.includes('جارٍ')) statusClass = 'mj-status-processing';
-        if (status.includes('مغلق') || status.includes('مكتمل') || status.includes('ملغى')) statusClass = 'mj-status-closed';
-
-        return `
-            <div class="mj-project-item">
-                <h5 class="mj-project-title">
-                    <a href="${job.url}" target="_blank">${job.title || 'بدون عنوان'}</a>
-                    <span class="mj-status-badge ${statusClass}">${status}</span>
-                </h5>
-                <ul class="mj-project-meta">
-                    ${poster   ? `<li><i class="fas fa-user"></i> ${poster}</li>` : ''}
-                    ${timeAgo  ? `<li><i class="fas fa-clock"></i> ${timeAgo}</li>` : ''}
-                    ${bidsText ? `<li><i class="fas fa-handshake"></i> ${bidsText}</li>` : ''}
-                    ${budget !== 'غير محدد' ? `<li><i class="fas fa-dollar-sign"></i> ${budget}</li>` : ''}
-                </ul>
-                <div class="mj-project-actions">
-                    <a href="${job.url}" target="_blank" class="btn-view-project btn-apply-autofill"
-                       data-id="${job.id}"
-                       data-budget="${budget}"
-                       data-duration="${duration}">
-                        <i class="fas fa-paper-plane"></i> قدّم الآن
-                    </a>
-                </div>
-            </div>
-        `;
-    }).join('');
-
-    setupAutofillListeners();
+    loadSavedSearches();
+    loadWatchProfiles();
+    loadQuietVacations();
+    loadQuietDigest();
+    loadWebhooks();
+    loadChatChannels();
+    loadSignalRHubs();
+    loadMostaqlSelectorMap();
 }
 
 // --- Render Functions ---
@@ -183,48 +181,55 @@ function renderRecentProjects(jobs) {
 
     // Show last 7 monitored projects in Mostaql-style listing
     const recent = jobs.slice(0, 7);
-    list.innerHTML = recent.map(job => {
-        const budget = job.budget || 'غير محدد';
-        const duration = job.duration || '';
-        const poster = job.poster || '';
-        const timeAgo = job.time || '';
-        const bidsText = job.bidsText || (job.communications ? job.communications + ' تواصل' : '');
-        const status = job.status || 'مفتوح';
-
-        let statusClass = 'mj-status-open';
-        if (status.includes('تنفيذ') || status.includes('عمل')) statusClass = 'mj-status-processing';
-        if (status.includes('مغلق') || status.includes('مكتمل')) statusClass = 'mj-status-closed';
-
-        return `
-            <div class="mj-project-item">
-                <h5 class="mj-project-title">
-                    <a href="${job.url}" target="_blank">${job.title || 'بدون عنوان'}</a>
-                    <span class="mj-status-badge ${statusClass}">${status}</span>
-                </h5>
-                <ul class="mj-project-meta">
-                    ${poster ? `<li><i class="fas fa-user"></i> ${poster}</li>` : ''}
-                    ${timeAgo ? `<li><i class="fas fa-clock"></i> ${timeAgo}</li>` : ''}
-                    ${bidsText ? `<li><i class="fas fa-file-signature"></i> ${bidsText}</li>` : ''}
-                    ${budget !== 'غير محدد' ? `<li><i class="fas fa-dollar-sign"></i> ${budget}</li>` : ''}
-                </ul>
-                <div class="mj-project-actions">
-                    <a href="${job.url}" target="_blank" class="btn-view-project btn-apply-autofill"
-                       data-id="${job.id}"
-                       data-budget="${budget}"
-                       data-duration="${duration}">
-                        <i class="fas fa-paper-plane"></i> قدّم الآن
-                    </a>
-                </div>
-            </div>
-        `;
-    }).join('');
+    list.innerHTML = recent.map(job => renderProjectCard(job)).join('');
 
     // Setup listener for autofill-enabled buttons
     setupAutofillListeners();
 }
 
-function setupAutofillListeners() {
-    const list = document.getElementById('recentProjectsList');
+// Mostaql-style project card (shared by the feeds and archive search results).
+// `leading` is inserted before the title, `details` between the meta and the actions.
+function renderProjectCard(job, { leading = '', details = '' } = {}) {
+    const budget = job.budget || 'غير محدد';
+    const duration = job.duration || '';
+    const poster = job.poster || '';
+    const timeAgo = job.time || '';
+    const bidsText = job.bidsText || (job.communications ? job.communications + ' تواصل' : '');
+    const status = job.status || 'مفتوح';
+
+    let statusClass = 'mj-status-open';
+    if (status.includes('تنفيذ') || status.includes('عمل') || status.includes('جارٍ')) statusClass = 'mj-status-processing';
+    if (status.includes('مغلق') || status.includes('مكتمل') || status.includes('ملغى')) statusClass = 'mj-status-closed';
+
+    return `
+        <div class="mj-project-item">
+            <h5 class="mj-project-title">
+                ${leading}
+                <a href="${escapeHtml(job.url)}" target="_blank">${escapeHtml(job.title || 'بدون عنوان')}</a>
+                <span class="mj-status-badge ${statusClass}">${escapeHtml(status)}</span>
+            </h5>
+            <ul class="mj-project-meta">
+                ${poster ? `<li><i class="fas fa-user"></i> ${escapeHtml(poster)}${job.clientBadge ? ` <i class="fas fa-check-circle" title="${escapeHtml(job.clientBadge)}"></i>` : ''}</li>` : ''}
+                ${timeAgo ? `<li><i class="fas fa-clock"></i> ${escapeHtml(timeAgo)}</li>` : ''}
+                ${bidsText ? `<li><i class="fas fa-file-signature"></i> ${escapeHtml(bidsText)}</li>` : ''}
+                ${budget !== 'غير محدد' ? `<li><i class="fas fa-dollar-sign"></i> ${escapeHtml(budget)}</li>` : ''}
+            </ul>
+            ${details}
+            <div class="mj-project-actions">
+                <a href="${escapeHtml(job.url)}" target="_blank" class="btn-view-project btn-apply-autofill"
+                   data-id="${escapeHtml(job.id)}"
+                   data-budget="${escapeHtml(budget)}"
+                   data-duration="${escapeHtml(duration)}"
+                   data-profile-id="${escapeHtml((job.profileIds || [])[0] || '')}">
+                    <i class="fas fa-paper-plane"></i> قدّم الآن
+                </a>
+            </div>
+        </div>
+    `;
+}
+
+function setupAutofillListeners(listId = 'recentProjectsList') {
+    const list = document.getElementById(listId);
     if (!list || list.dataset.listenerSet) return;
 
     list.addEventListener('click', (e) => {
@@ -237,15 +242,18 @@ function setupAutofillListeners() {
         const durationText = btn.dataset.duration;
         const url = btn.href;
 
-        chrome.storage.local.get(['proposalTemplate'], (data) => {
+        chrome.storage.local.get(['proposalTemplate', 'profiles', 'settings'], (data) => {
             const amount = parseMinBudgetValue(budgetText);
             const duration = parseDurationDays(durationText);
+            // Jobs tagged with a watch profile use that profile's template
+            const profile = getWatchProfiles(data).find(p => p.id === btn.dataset.profileId);
             
             const autofillData = {
                 projectId,
                 amount,
                 duration,
-                proposal: data.proposalTemplate || '',
+                proposal: (profile && profile.proposalTemplate) || data.proposalTemplate || '',
+                promptId: profile ? profile.promptId : '',
                 timestamp: Date.now()
             };
 
@@ -258,22 +266,6 @@ function setupAutofillListeners() {
     list.dataset.listenerSet = "true";
 }
 
-function parseMinBudgetValue(budgetText) {
-    if (!budgetText || budgetText === 'غير محدد') return 0;
-    const matches = budgetText.replace(/,/g, '').match(/\d+(\.\d+)?/g);
-    if (!matches) return 0;
-    const values = matches.map(m => parseFloat(m));
-    return Math.min(...values);
-}
-
-function parseDurationDays(durationText) {
-    if (!durationText) return 0;
-    const match = durationText.match(/\d+/);
-    if (match) return parseInt(match[0]);
-    if (durationText.includes("يوم واحد")) return 1;
-    return 0;
-}
-
 function renderPrompts(prompts) {
     const list = document.getElementById('promptsList');
     if (!list) return;
@@ -334,12 +326,44 @@ function setupEventListeners() {
         bidsTrackerTabBtn.addEventListener('click', initBidTracker, { once: true });
     }
 
+    // Archive Search Tab Initialization (lazy-loaded)
+    const searchTabBtn = document.querySelector('.nav-item[data-tab="search"]');
+    if (searchTabBtn) {
+        searchTabBtn.addEventListener('click', initArchiveSearch, { once: true });
+    }
+    setupArchiveSearchListeners();
+    setupTrackedProjectListeners();
+    setupWebhookListeners();
+    setupChatChannelListeners();
+    setupSignalRHubListeners();
+    setupPollingBlockListeners();
+    setupPollingBandListeners();
+    setupSelectorMapListeners();
+
     // Bids Tracker Refresh Button
     const refreshBidsBtn = document.getElementById('refreshBidsBtn');
     if (refreshBidsBtn) {
         refreshBidsBtn.addEventListener('click', refreshBidTracker);
     }
 
+    // Saved Searches & Query Builder
+    setupSavedSearchListeners();
+
+    // Ranked Feed
+    setupRankedJobsListeners();
+
+    // Watch Profiles & Filter Rule Builder
+    setupWatchProfileListeners();
+    setupRuleBuilderListeners();
+    setupQuietScheduleListeners();
+
+    // Digest Report Buttons
+    document.querySelectorAll('.btn-open-digest').forEach(btn => {
+        btn.addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL(`digest.html?period=${btn.dataset.period}`) });
+        });
+    });
+
     // Save All Button
     const saveBtn = document.getElementById('saveAllBtn');
     if (saveBtn) {
@@ -394,29 +418,32 @@ function saveAllSettings() {
     };
 
     const settings = {
-        keywordsInclude: getVal('keywordsInclude'),
-        keywordsExclude: getVal('keywordsExclude'),
-        minBudget: parseInt(getVal('minBudget')) || 0,
-        minHiringRate: parseInt(getVal('minHiringRate')) || 0,
-        maxDuration: parseInt(getVal('maxDuration')) || 0,
-        development: getVal('cat-development'),
-        ai: getVal('cat-ai'),
-        all: getVal('cat-all'),
         aiChatUrl: getVal('aiChatUrl'),
-        quietHoursEnabled: getVal('quietHoursEnabled'),
-        quietHoursStart: getVal('quietHoursStart'),
-        quietHoursEnd: getVal('quietHoursEnd'),
         interval: parseInt(getVal('checkInterval')) || 1,
+        pollingBands: readPollingBandsEditor(),
+        archiveRetentionDays: Math.max(0, parseInt(getVal('archiveRetentionDays')) || 0),
+        trackedGraceDays: Math.max(0, parseInt(getVal('trackedGraceDays')) || 0),
+        digestSchedule: getVal('digestSchedule') || 'off',
+        digestWeekday: parseInt(getVal('digestWeekday')) || 0,
+        digestHour: Math.min(23, Math.max(0, parseInt(getVal('digestHour')) || 0)),
+        digestDownload: getVal('digestDownload') || 'none',
         systemEnabled: getVal('systemToggle'),
-        notificationMode: getVal('notificationMode') || 'auto'
+        notificationMode: getVal('notificationMode') || 'auto',
+        signalRHubId: getVal('signalRHubId') || DEFAULT_SIGNALR_HUB.id
     };
 
     const proposalTemplate = document.getElementById('proposalTemplate').value;
+    const scoring = readScoringSettings();
+    const keywordSynonyms = parseSynonymGroups(getVal('keywordSynonyms'));
 
-    chrome.storage.local.set({ settings, proposalTemplate }, () => {
+    chrome.storage.local.set({ settings, proposalTemplate, scoring, keywordSynonyms }, () => {
         showSaveStatus();
         // Update alarm in background
-        chrome.runtime.sendMessage({ action: 'updateAlarm', interval: settings.interval });
+        chrome.runtime.sendMessage({ action: 'updateAlarm' });
+        chrome.runtime.sendMessage({ action: 'scheduleDigest' });
+        chrome.runtime.sendMessage({ action: 'applySignalRHub' }, loadConnectionStatus);
+        // Re-score the feed with the new model
+        chrome.runtime.sendMessage({ action: 'rescoreRecentJobs' }, loadRankedJobs);
     });
 }
 
@@ -0,0 +1,227 @@
+// ==========================================
+// Frelancia - Digest Reports
+// ==========================================
+// Shared by the background service worker (importScripts) and digest.html.
+//
+// A digest summarizes a period of the job archive: the best matches of the
+// watch profiles, the projects opened on Mostaql without a bid, and how many
+// projects each category received. The background builds one on the
+// `digestReport` alarm; digest.html rebuilds the same window from the archive.
+
+/** Digest periods. */
+const DIGEST_PERIODS = {
+    daily: { label: 'الملخص اليومي', days: 1 },
+    weekly: { label: 'الملخص الأسبوعي', days: 7 }
+};
+
+/** Matches listed in the "top" section. */
+const DIGEST_TOP_LIMIT = 20;
+
+/** Defaults of the digest settings. */
+const DEFAULT_DIGEST_SETTINGS = {
+    digestSchedule: 'off',
+    digestHour: 8,
+    digestWeekday: 6, // Saturday
+    digestDownload: 'none'
+};
+
+// --- Scheduling ---
+
+/**
+ * Computes the next delivery time of the scheduled digest.
+ * @param {Object} settings - Settings with the digest* fields
+ * @param {number} [now] - Epoch ms
+ * @returns {number|null} - Epoch ms, or null when the digest is off
+ */
+function getNextDigestTime(settings, now = Date.now()) {
+    const schedule = settings.digestSchedule || DEFAULT_DIGEST_SETTINGS.digestSchedule;
+    if (!DIGEST_PERIODS[schedule]) return null;
+
+    const hour = settings.digestHour ?? DEFAULT_DIGEST_SETTINGS.digestHour;
+    const weekday = settings.digestWeekday ?? DEFAULT_DIGEST_SETTINGS.digestWeekday;
+
+    const next = new Date(now);
+    next.setHours(hour, 0, 0, 0);
+    if (schedule === 'weekly') {
+        next.setDate(next.getDate() + ((weekday - next.getDay() + 7) % 7));
+    }
+    if (next.getTime() <= now) {
+        next.setDate(next.getDate() + DIGEST_PERIODS[schedule].days);
+    }
+    return next.getTime();
+}
+
+// --- Building ---
+
+/**
+ * Builds the digest of the period ending at `until`.
+ * @param {string} period - DIGEST_PERIODS key
+ * @param {number} [until] - End of the period (epoch ms)
+ * @param {Array<Object>} [searches] - Saved searches, to categorize jobs found by a category search
+ * @returns {Promise<Object>} - { period, label, from, until, total, matchedCount, top, openedNotBid, categories }
+ */
+async function buildDigest(period, until = Date.now(), searches = []) {
+    const { label, days } = DIGEST_PERIODS[period] || DIGEST_PERIODS.daily;
+    const from = until - days * MS_PER_DAY;
+
+    const seen = await queryJobArchive({ index: 'firstSeenAt', range: IDBKeyRange.bound(from, until) });
+    const matched = seen.filter(job => (job.profileIds || []).length > 0);
+    const top = [...matched]
+        .sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+        .slice(0, DIGEST_TOP_LIMIT);
+
+    const openedNotBid = (await queryJobArchive({
+        filter: job => job.openedAt >= from && job.openedAt <= until && !job.biddedAt
+    })).sort((a, b) => b.openedAt - a.openedAt);
+
+    const searchCategories = new Map(searches.map(s => [s.id, (s.categories || [])[0] || '']));
+    const volume = new Map();
+    seen.forEach(job => {
+        const category = job.category
+            || (job.searchIds || []).map(id => searchCategories.get(id)).find(Boolean)
+            || '';
+        const entry = volume.get(category) || { category, label: category ? getCategoryLabel(category) : 'غير مصنف', count: 0, matched: 0 };
+        entry.count++;
+        if ((job.profileIds || []).length > 0) entry.matched++;
+        volume.set(category, entry);
+    });
+
+    return {
+        period,
+        label,
+        from,
+        until,
+        total: seen.length,
+        matchedCount: matched.length,
+        top,
+        openedNotBid,
+        categories: [...volume.values()].sort((a, b) => b.count - a.count)
+    };
+}
+
+// --- Rendering ---
+
+/**
+ * Formats a digest timestamp.
+ * @param {number} time - Epoch ms
+ * @returns {string}
+ */
+function formatDigestTime(time) {
+    return new Date(time).toLocaleString('ar-EG', { weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Renders a digest as a standalone HTML report (styled like the project export).
+ * @param {Object} digest - Result of buildDigest
+ * @returns {string} - HTML document
+ */
+function renderDigestHtml(digest) {
+    const jobLink = (job) => `<a href="${escapeHtml(job.url)}" target="_blank">${escapeHtml(job.title || 'بدون عنوان')}</a>`;
+    const table = (headers, rows) => rows.length === 0
+        ? '<p class="report-empty">لا توجد مشاريع في هذه الفترة.</p>'
+        : `<table class="report-table">
+                <tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr>
+                ${rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}
+            </table>`;
+
+    return `<!DOCTYPE html>
+    <html dir="rtl" lang="ar">
+    ${renderReportHead(`${digest.label} - Frelancia`)}
+    <body>
+        <div class="container">
+            <header>
+                <h1>${digest.label}</h1>
+                <div class="date-stamp">من ${formatDigestTime(digest.from)} إلى ${formatDigestTime(digest.until)}</div>
+            </header>
+
+            <section>
+                <h2>نظرة عامة</h2>
+                <div class="info-card">
+                    <div class="info-grid col-3">
+                        <div class="info-item"><span class="info-label">مشاريع جديدة</span><span class="info-value">${digest.total}</span></div>
+                        <div class="info-item"><span class="info-label">مطابقة لملفات المراقبة</span><span class="info-value">${digest.matchedCount}</span></div>
+                        <div class="info-item"><span class="info-label">فتحتها ولم تقدم عليها</span><span class="info-value">${digest.openedNotBid.length}</span></div>
+                    </div>
+                </div>
+            </section>
+
+            <section>
+                <h2>أفضل المشاريع المطابقة</h2>
+                ${table(['#', 'المشروع', 'الميزانية', 'التقييم'], digest.top.map((job, i) => [
+                    i + 1,
+                    jobLink(job),
+                    escapeHtml(job.budget || '-'),
+                    typeof job.score === 'number' ? `<span class="report-score">${job.score}</span>` : '-'
+                ]))}
+            </section>
+
+            <section>
+                <h2>مشاريع فتحتها ولم تقدم عليها</h2>
+                ${table(['المشروع', 'الميزانية', 'فُتح في'], digest.openedNotBid.map(job => [
+                    jobLink(job),
+                    escapeHtml(job.budget || '-'),
+                    formatDigestTime(job.openedAt)
+                ]))}
+            </section>
+
+            <section>
+                <h2>حجم المشاريع حسب التصنيف</h2>
+                ${table(['التصنيف', 'المشاريع', 'المطابقة'], digest.categories.map(c => [
+                    escapeHtml(c.label),
+                    c.count,
+                    c.matched
+                ]))}
+            </section>
+        </div>
+    </body>
+    </html>`;
+}
+
+/**
+ * Renders a digest as Markdown.
+ * @param {Object} digest - Result of buildDigest
+ * @returns {string}
+ */
+function renderDigestMarkdown(digest) {
+    const cell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+    const jobLink = (job) => `[${cell(job.title || 'بدون عنوان').replace(/[[\]]/g, '')}](${job.url})`;
+    const table = (headers, rows) => rows.length === 0
+        ? 'لا توجد مشاريع في هذه الفترة.'
+        : [
+            `| ${headers.join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`,
+            ...rows.map(cells => `| ${cells.join(' | ')} |`)
+        ].join('\n');
+
+    return [
+        `# ${digest.label}`,
+        `من ${formatDigestTime(digest.from)} إلى ${formatDigestTime(digest.until)}`,
+        '## نظرة عامة',
+        [
+            `- مشاريع جديدة: ${digest.total}`,
+            `- مطابقة لملفات المراقبة: ${digest.matchedCount}`,
+            `- فتحتها ولم تقدم عليها: ${digest.openedNotBid.length}`
+        ].join('\n'),
+        '## أفضل المشاريع المطابقة',
+        table(['#', 'المشروع', 'الميزانية', 'التقييم'], digest.top.map((job, i) => [
+            i + 1, jobLink(job), cell(job.budget || '-'), typeof job.score === 'number' ? job.score : '-'
+        ])),
+        '## مشاريع فتحتها ولم تقدم عليها',
+        table(['المشروع', 'الميزانية', 'فُتح في'], digest.openedNotBid.map(job => [
+            jobLink(job), cell(job.budget || '-'), formatDigestTime(job.openedAt)
+        ])),
+        '## حجم المشاريع حسب التصنيف',
+        table(['التصنيف', 'المشاريع', 'المطابقة'], digest.categories.map(c => [cell(c.label), c.count, c.matched]))
+    ].join('\n\n') + '\n';
+}
+
+/**
+ * Builds the download file name of a digest.
+ * @param {Object} digest - Result of buildDigest
+ * @param {string} format - 'html' | 'markdown'
+ * @returns {string}
+ */
+function getDigestFileName(digest, format) {
+    const date = new Date(digest.until).toLocaleDateString('en-CA'); // YYYY-MM-DD
+    return `frelancia-${digest.period}-${date}.${format === 'markdown' ? 'md' : 'html'}`;
+}
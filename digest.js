@@ -0,0 +1,65 @@
+// ==========================================
+// Frelancia Pro - Digest Report Page
+// ==========================================
+// Opened from the digest notification (digest.html?period=daily&until=<ms>)
+// or the dashboard. Rebuilds the digest from the archive and shows it in a
+// frame so the toolbar never ends up in the downloaded or printed report.
+
+let currentDigest = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(location.search);
+    const period = document.getElementById('digestPeriod');
+    if (DIGEST_PERIODS[params.get('period')]) period.value = params.get('period');
+
+    loadDigest(parseInt(params.get('until')) || Date.now());
+    setupDigestListeners();
+});
+
+/**
+ * Builds the digest of the selected period and renders it.
+ * @param {number} [until] - End of the period (epoch ms)
+ */
+function loadDigest(until = Date.now()) {
+    const period = document.getElementById('digestPeriod').value;
+
+    chrome.storage.local.get(['savedSearches', 'settings'], (data) => {
+        const searches = data.savedSearches || migrateLegacySearches(data.settings || {});
+        buildDigest(period, until, searches)
+            .then(digest => {
+                currentDigest = digest;
+                document.title = `Frelancia | ${digest.label}`;
+                document.getElementById('digestFrame').srcdoc = renderDigestHtml(digest);
+            })
+            .catch(error => console.error('Error building digest:', error));
+    });
+}
+
+/**
+ * Downloads the current digest.
+ * @param {string} format - 'html' | 'markdown'
+ */
+function downloadDigest(format) {
+    if (!currentDigest) return;
+
+    const content = format === 'markdown' ? renderDigestMarkdown(currentDigest) : renderDigestHtml(currentDigest);
+    const blob = new Blob([content], { type: format === 'markdown' ? 'text/markdown' : 'text/html' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = getDigestFileName(currentDigest, format);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Wires the toolbar.
+ */
+function setupDigestListeners() {
+    document.getElementById('digestPeriod').addEventListener('change', () => loadDigest());
+    document.getElementById('refreshDigestBtn').addEventListener('click', () => loadDigest());
+    document.getElementById('downloadHtmlBtn').addEventListener('click', () => downloadDigest('html'));
+    document.getElementById('downloadMarkdownBtn').addEventListener('click', () => downloadDigest('markdown'));
+    document.getElementById('printDigestBtn').addEventListener('click', () => {
+        document.getElementById('digestFrame').contentWindow.print();
+    });
+}
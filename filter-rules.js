@@ -0,0 +1,262 @@
+// ==========================================
+// Frelancia - Composable Filter Rule Engine
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+// Field extractors rely on the parsers in arabic-parse.js; text operators match
+// whole words through arabic-text.js.
+//
+// A filter is a tree of nodes:
+//   group: { type: 'group', op: 'and' | 'or', negate: boolean, children: [node...] }
+//   rule:  { type: 'rule', field: string, operator: string, value: string | number }
+//
+// Evaluation is three-valued: a rule whose field is not known yet (e.g. the
+// hiring rate before the project details were fetched) yields null instead of
+// false, so jobs are only dropped once the data proves they don't match.
+
+/** Filterable job fields. `extract` returns null when the value is unknown. */
+const FILTER_FIELDS = {
+    text: {
+        label: 'العنوان أو الوصف',
+        type: 'text',
+        extract: (job) => `${job.title || ''} ${job.description || job.excerpt || ''}`,
+        partial: (job) => !job.description && !!job.excerpt
+    },
+    title: {
+        label: 'العنوان',
+        type: 'text',
+        extract: (job) => job.title || ''
+    },
+    description: {
+        label: 'الوصف',
+        type: 'text',
+        extract: (job) => job.description || job.excerpt || null,
+        partial: (job) => !job.description && !!job.excerpt
+    },
+    client: {
+        label: 'صاحب المشروع',
+        type: 'text',
+        extract: (job) => job.poster || job.clientName || null
+    },
+    status: {
+        label: 'حالة المشروع',
+        type: 'text',
+        extract: (job) => job.status || null
+    },
+    budget: {
+        label: 'الميزانية ($)',
+        type: 'number',
+        extract: (job) => {
+            const value = parseBudgetValue(job.budget);
+            return value > 0 ? value : null;
+        }
+    },
+    hiringRate: {
+        label: 'معدل توظيف العميل (%)',
+        type: 'number',
+        extract: (job) => job.hiringRate ? parseHiringRate(job.hiringRate) : null
+    },
+    duration: {
+        label: 'مدة التنفيذ (يوم)',
+        type: 'number',
+        extract: (job) => {
+            const days = job.duration ? parseDurationDays(job.duration) : 0;
+            return days > 0 ? days : null;
+        }
+    },
+    clientAge: {
+        label: 'عمر حساب العميل (يوم)',
+        type: 'number',
+        extract: (job) => {
+            const days = job.registrationDate ? calculateClientAgeDays(job.registrationDate) : -1;
+            return days >= 0 ? days : null;
+        }
+    },
+    bids: {
+        label: 'عدد العروض',
+        type: 'number',
+        extract: (job) => {
+            if (typeof job.bidsCount === 'number') return job.bidsCount;
+            if (!job.bidsText) return null;
+            const [bids] = parseNumbers(job.bidsText);
+            return bids || 0;
+        }
+    }
+};
+
+/** Operators available per field type. */
+const FILTER_OPERATORS = {
+    text: {
+        contains: 'يحتوي على',
+        not_contains: 'لا يحتوي على',
+        equals: 'يساوي',
+        regex: 'يطابق التعبير'
+    },
+    number: {
+        gte: '≥',
+        lte: '≤',
+        gt: '>',
+        lt: '<',
+        eq: '='
+    }
+};
+
+/**
+ * Creates an empty rule group.
+ * @param {string} op - 'and' or 'or'
+ * @returns {Object} - Group node
+ */
+function createRuleGroup(op = 'and') {
+    return { type: 'group', op, negate: false, children: [] };
+}
+
+/**
+ * Creates a rule with the default operator for its field.
+ * @param {string} field - Key of FILTER_FIELDS
+ * @returns {Object} - Rule node
+ */
+function createRule(field = 'text') {
+    const type = FILTER_FIELDS[field].type;
+    return { type: 'rule', field, operator: Object.keys(FILTER_OPERATORS[type])[0], value: '' };
+}
+
+/**
+ * Evaluates a single rule against a job.
+ * @param {Object} rule - Rule node
+ * @param {Object} job - Job object
+ * @param {Array<Array<string>>} [synonyms] - Keyword synonym groups
+ * @returns {boolean|null} - Match result, or null when the field is unknown
+ */
+function evaluateFilterRule(rule, job, synonyms = []) {
+    const field = FILTER_FIELDS[rule.field];
+    if (!field) return null;
+
+    const actual = field.extract(job);
+    if (actual === null || actual === undefined) return null;
+
+    if (field.type === 'number') {
+        const expected = parseFloat(rule.value);
+        if (isNaN(expected)) return null;
+        switch (rule.operator) {
+            case 'gte': return actual >= expected;
+            case 'lte': return actual <= expected;
+            case 'gt': return actual > expected;
+            case 'lt': return actual < expected;
+            case 'eq': return actual === expected;
+            default: return null;
+        }
+    }
+
+    const expected = String(rule.value || '').trim();
+    if (!expected) return null;
+
+    // A listing excerpt is truncated: only a keyword found in it settles the rule
+    const partial = field.partial ? field.partial(job) : false;
+    const settled = (found) => (partial && found === false ? null : found);
+
+    switch (rule.operator) {
+        case 'contains': return settled(matchKeyword(String(actual), expected, synonyms));
+        case 'not_contains': {
+            const found = settled(matchKeyword(String(actual), expected, synonyms));
+            return found === null ? null : !found;
+        }
+        case 'equals': return partial ? null : tokenizeText(actual).join(' ') === tokenizeText(expected).join(' ');
+        case 'regex': return settled(matchKeyword(String(actual), `/${rule.value}/`));
+        default: return null;
+    }
+}
+
+/**
+ * Evaluates a rule tree against a job using three-valued logic.
+ * @param {Object} node - Group or rule node
+ * @param {Object} job - Job object
+ * @param {Array<Array<string>>} [synonyms] - Keyword synonym groups
+ * @returns {boolean|null} - true/false, or null when undecidable with the known fields
+ */
+function evaluateFilterNode(node, job, synonyms = []) {
+    if (!node) return true;
+
+    let result;
+    if (node.type === 'rule') {
+        result = evaluateFilterRule(node, job, synonyms);
+    } else {
+        const children = (node.children || []).map(child => evaluateFilterNode(child, job, synonyms));
+        if (children.length === 0) {
+            result = true;
+        } else if (node.op === 'or') {
+            result = children.includes(true) ? true : (children.includes(null) ? null : false);
+        } else {
+            result = children.includes(false) ? false : (children.includes(null) ? null : true);
+        }
+        if (node.negate && result !== null) result = !result;
+    }
+    return result;
+}
+
+/**
+ * Converts the legacy flat filter settings into an equivalent rule tree.
+ * @param {Object} settings - Settings with minBudget, keywordsInclude, etc.
+ * @returns {Object} - Root group node
+ */
+function rulesFromLegacySettings(settings = {}) {
+    const root = createRuleGroup('and');
+    const keywordRules = (list, operator) => list.split(',')
+        .map(k => k.trim())
+        .filter(Boolean)
+        .map(value => ({ type: 'rule', field: 'text', operator, value }));
+
+    if (settings.keywordsInclude && settings.keywordsInclude.trim() !== '') {
+        const includes = createRuleGroup('or');
+        includes.children = keywordRules(settings.keywordsInclude, 'contains');
+        root.children.push(includes);
+    }
+    if (settings.keywordsExclude && settings.keywordsExclude.trim() !== '') {
+        root.children.push(...keywordRules(settings.keywordsExclude, 'not_contains'));
+    }
+    if (settings.minBudget > 0) {
+        root.children.push({ type: 'rule', field: 'budget', operator: 'gte', value: settings.minBudget });
+    }
+    if (settings.minHiringRate > 0) {
+        root.children.push({ type: 'rule', field: 'hiringRate', operator: 'gte', value: settings.minHiringRate });
+    }
+    if (settings.maxDuration > 0) {
+        root.children.push({ type: 'rule', field: 'duration', operator: 'lte', value: settings.maxDuration });
+    }
+    if (settings.minClientAge > 0) {
+        root.children.push({ type: 'rule', field: 'clientAge', operator: 'gte', value: settings.minClientAge });
+    }
+
+    return root;
+}
+
+/**
+ * Returns the rule tree stored in settings, migrating legacy filters if needed.
+ * @param {Object} settings - Settings object
+ * @returns {Object} - Root group node
+ */
+function getFilterRules(settings = {}) {
+    return settings.filterRules || rulesFromLegacySettings(settings);
+}
+
+/**
+ * Renders a rule tree as a readable expression, e.g. "(A OR B) AND NOT (C)".
+ * @param {Object} node - Group or rule node
+ * @returns {string} - Human-readable expression
+ */
+function describeFilterNode(node) {
+    if (!node) return '';
+
+    if (node.type === 'rule') {
+        const field = FILTER_FIELDS[node.field];
+        if (!field) return '?';
+        const operator = FILTER_OPERATORS[field.type][node.operator] || node.operator;
+        return `${field.label} ${operator} "${node.value}"`;
+    }
+
+    const parts = (node.children || []).map(child => {
+        const text = describeFilterNode(child);
+        return child.type === 'group' && !child.negate && child.children.length > 1 ? `(${text})` : text;
+    }).filter(Boolean);
+
+    const joined = parts.join(node.op === 'or' ? ' أو ' : ' و ');
+    return node.negate ? `ليس (${joined || 'شيء'})` : joined;
+}
@@ -0,0 +1,15 @@
+// ==========================================
+// Frelancia - HTML Escaping
+// ==========================================
+// Shared by the background service worker (importScripts), the dashboard and
+// digest.html.
+
+/**
+ * Escapes text placed into HTML markup (element content or a quoted
+ * attribute), e.g. names typed by the user or text scraped from Mostaql.
+ * @param {*} text - Any value; null and undefined become ''
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
@@ -0,0 +1,248 @@
+// ==========================================
+// Frelancia - Job Archive (IndexedDB)
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+//
+// Every job ever seen is kept here, including the details fetched for the
+// deep check, so history survives busy days. Records are keyed by job id and
+// indexed by category, client, posted time, status and first-seen time (the
+// latter drives retention). The same database keeps the snapshot history of
+// tracked projects (see project-history.js).
+
+const JOB_ARCHIVE_DB = 'frelancia-archive';
+const JOB_ARCHIVE_VERSION = 2;
+const JOB_ARCHIVE_STORE = 'jobs';
+const PROJECT_SNAPSHOT_STORE = 'snapshots';
+
+/** Default retention in days (0 keeps jobs forever). */
+const DEFAULT_ARCHIVE_RETENTION_DAYS = 90;
+
+let jobArchivePromise = null;
+
+/**
+ * Opens (and on first use creates) the archive database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openJobArchive() {
+    if (jobArchivePromise) return jobArchivePromise;
+
+    jobArchivePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(JOB_ARCHIVE_DB, JOB_ARCHIVE_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(JOB_ARCHIVE_STORE)) {
+                const store = db.createObjectStore(JOB_ARCHIVE_STORE, { keyPath: 'id' });
+                store.createIndex('category', 'category');
+                store.createIndex('client', 'client');
+                store.createIndex('postedAt', 'postedAt');
+                store.createIndex('status', 'status');
+                store.createIndex('firstSeenAt', 'firstSeenAt');
+            }
+            // v2: tracked project snapshots
+            if (!db.objectStoreNames.contains(PROJECT_SNAPSHOT_STORE)) {
+                const store = db.createObjectStore(PROJECT_SNAPSHOT_STORE, { keyPath: 'key', autoIncrement: true });
+                store.createIndex('projectId', 'projectId');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            jobArchivePromise = null;
+            reject(request.error);
+        };
+    });
+
+    return jobArchivePromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} - The request result
+ */
+function archiveRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a callback inside a transaction and resolves once it commits.
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store, may return a value
+ * @param {string} [storeName] - Object store (defaults to the jobs store)
+ * @returns {Promise<*>} - The callback's (awaited) return value
+ */
+async function withJobArchive(mode, callback, storeName = JOB_ARCHIVE_STORE) {
+    const db = await openJobArchive();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        let result;
+        Promise.resolve(callback(tx.objectStore(storeName)))
+            .then(value => { result = value; })
+            .catch(reject);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Normalizes the indexed fields of a job record.
+ * @param {Object} job - Job object (listing, SignalR or enriched)
+ * @returns {Object} - Fields to store alongside the job
+ */
+function getArchiveIndexFields(job) {
+    const posted = parseDatetime(job.postedAt);
+    return {
+        category: job.category || '',
+        client: job.poster || job.clientName || '',
+        postedAt: posted ? posted.getTime() : 0,
+        status: job.status || ''
+    };
+}
+
+/**
+ * Merges a freshly fetched job over its archived record. Empty values
+ * (e.g. the listing's "غير محدد" budget) never overwrite known ones.
+ * @param {Object|undefined} archived - Archived record
+ * @param {Object} job - Fresh job data
+ * @returns {Object} - Merged job
+ */
+function mergeJobRecord(archived, job) {
+    const merged = { ...(archived || {}) };
+    Object.entries(job).forEach(([key, value]) => {
+        const empty = value === undefined || value === null || value === '' || value === 'غير محدد';
+        if (!empty || !(key in merged)) merged[key] = value;
+    });
+    return merged;
+}
+
+// --- Dedup ---
+
+/**
+ * Looks up several jobs at once; ids missing from the result were never seen.
+ * @param {Array<string>} ids - Job ids
+ * @returns {Promise<Map<string, Object>>} - Archived records by id
+ */
+async function getArchivedJobs(ids) {
+    return withJobArchive('readonly', async (store) => {
+        const records = await Promise.all(ids.map(id => archiveRequest(store.get(id))));
+        return new Map(records.filter(Boolean).map(record => [record.id, record]));
+    });
+}
+
+// --- Writes ---
+
+/**
+ * Inserts or updates jobs, merging new fields over the archived record.
+ * @param {Array<Object>} jobs - Jobs to archive
+ * @returns {Promise<void>}
+ */
+async function archiveJobs(jobs) {
+    if (jobs.length === 0) return;
+    const now = Date.now();
+
+    await withJobArchive('readwrite', async (store) => {
+        const existing = await Promise.all(jobs.map(job => archiveRequest(store.get(job.id))));
+        jobs.forEach((job, i) => {
+            const merged = mergeJobRecord(existing[i], job);
+            store.put({
+                ...merged,
+                ...getArchiveIndexFields(merged),
+                firstSeenAt: existing[i] ? existing[i].firstSeenAt : now,
+                updatedAt: now
+            });
+        });
+    });
+}
+
+/**
+ * Deletes jobs first seen more than `retentionDays` ago.
+ * @param {number} retentionDays - Retention in days (0 keeps everything)
+ * @returns {Promise<number>} - Number of deleted jobs
+ */
+async function pruneJobArchive(retentionDays) {
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+    return withJobArchive('readwrite', (store) => new Promise((resolve, reject) => {
+        let deleted = 0;
+        const request = store.index('firstSeenAt').openCursor(IDBKeyRange.upperBound(cutoff, true));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve(deleted);
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+/**
+ * Removes every archived job.
+ * @returns {Promise<void>}
+ */
+async function clearJobArchive() {
+    await withJobArchive('readwrite', (store) => archiveRequest(store.clear()));
+}
+
+// --- Reads ---
+
+/**
+ * Looks up an archived job.
+ * @param {string} id - Job id
+ * @returns {Promise<Object|undefined>}
+ */
+async function getArchivedJob(id) {
+    return withJobArchive('readonly', (store) => archiveRequest(store.get(id)));
+}
+
+/**
+ * Counts archived jobs.
+ * @returns {Promise<number>}
+ */
+async function countArchivedJobs() {
+    return withJobArchive('readonly', (store) => archiveRequest(store.count()));
+}
+
+/**
+ * Walks an index and collects matching jobs.
+ * @param {Object} query - { index, range, direction, limit, filter }
+ *   index: 'category' | 'client' | 'postedAt' | 'status' | 'firstSeenAt' (default)
+ *   range: IDBKeyRange or exact value (optional)
+ *   direction: 'prev' (newest first, default) or 'next'
+ *   limit: maximum number of results (default: no limit)
+ *   filter: predicate applied before the limit (optional)
+ * @returns {Promise<Array<Object>>}
+ */
+async function queryJobArchive({ index = 'firstSeenAt', range = null, direction = 'prev', limit = Infinity, filter = null } = {}) {
+    return withJobArchive('readonly', (store) => new Promise((resolve, reject) => {
+        const jobs = [];
+        const request = store.index(index).openCursor(range, direction);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || jobs.length >= limit) return resolve(jobs);
+            if (!filter || filter(cursor.value)) jobs.push(cursor.value);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+/**
+ * Returns the most recently seen jobs that matched at least one watch profile.
+ * @param {number} limit - Maximum number of jobs
+ * @returns {Promise<Array<Object>>} - Newest first
+ */
+async function getRecentArchivedJobs(limit = 50) {
+    return queryJobArchive({
+        index: 'firstSeenAt',
+        direction: 'prev',
+        limit,
+        filter: job => (job.profileIds || []).length > 0
+    });
+}
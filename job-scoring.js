@@ -0,0 +1,158 @@
+// ==========================================
+// Frelancia - Job Relevance Scoring
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+//
+// A job's 0-100 score is the weighted average of its factor values (each 0-1,
+// unknown = neutral 0.5) plus the points of every matched keyword, clamped.
+// The breakdown keeps each factor's contribution so the model can be tuned.
+
+/** Default scoring model, stored under the `scoring` storage key. */
+const DEFAULT_SCORING = {
+    keywords: [],
+    weights: {
+        budget: 3,
+        hiringRate: 3,
+        clientAge: 1,
+        competition: 2,
+        freshness: 2
+    },
+    budgetMin: 25,
+    budgetTarget: 1000,
+    clientAgeTargetDays: 180,
+    competitionMaxBids: 30,
+    freshnessHalfLifeHours: 6
+};
+
+/** Factor labels shown in the dashboard breakdown. */
+const SCORING_FACTORS = {
+    budget: 'الميزانية',
+    hiringRate: 'معدل التوظيف',
+    clientAge: 'عمر حساب العميل',
+    competition: 'المنافسة',
+    freshness: 'حداثة المشروع'
+};
+
+/**
+ * Merges a stored scoring config over the defaults.
+ * @param {Object} scoring - Stored config (may be partial or undefined)
+ * @returns {Object} - Complete scoring config
+ */
+function getScoringConfig(scoring = {}) {
+    return {
+        ...DEFAULT_SCORING,
+        ...scoring,
+        weights: { ...DEFAULT_SCORING.weights, ...(scoring.weights || {}) }
+    };
+}
+
+/**
+ * Computes each factor's 0-1 value for a job.
+ * @param {Object} job - Job object
+ * @param {Object} config - Scoring config
+ * @returns {Object} - { factor: { value, detail } }, value null when unknown
+ */
+function getScoringFactorValues(job, config) {
+    const clamp = (v) => Math.max(0, Math.min(1, v));
+    // Currencies without a fixed dollar rate cannot be put on the USD curve
+    const parsedBudget = job.budget ? parseBudget(job.budget) : null;
+    const budget = parsedBudget && parsedBudget.currency === 'USD' && parsedBudget.max > 0 ? parsedBudget.max : null;
+    const budgetDetail = parsedBudget && parsedBudget.currency !== 'USD'
+        ? `${parsedBudget.max} ${parsedBudget.currency} (بدون سعر صرف)`
+        : 'غير معروفة';
+    const hiringRate = FILTER_FIELDS.hiringRate.extract(job);
+    const clientAge = FILTER_FIELDS.clientAge.extract(job);
+    const bids = FILTER_FIELDS.bids.extract(job);
+    const posted = parseDatetime(job.postedAt);
+    const ageHours = posted ? Math.max(0, (Date.now() - posted.getTime()) / 3600000) : null;
+
+    return {
+        // Logarithmic curve: budgetMin → 0, budgetTarget → 1
+        budget: {
+            value: budget === null ? null
+                : clamp(Math.log(budget / config.budgetMin) / Math.log(config.budgetTarget / config.budgetMin)),
+            detail: budget === null ? budgetDetail : `$${budget}`
+        },
+        hiringRate: {
+            value: hiringRate === null ? null : clamp(hiringRate / 100),
+            detail: hiringRate === null ? 'غير معروف' : `${hiringRate}%`
+        },
+        clientAge: {
+            value: clientAge === null ? null : clamp(clientAge / config.clientAgeTargetDays),
+            detail: clientAge === null ? 'غير معروف' : `${clientAge} يوم`
+        },
+        competition: {
+            value: bids === null ? null : clamp(1 - bids / config.competitionMaxBids),
+            detail: bids === null ? 'غير معروفة' : `عدد العروض ${bids}`
+        },
+        // Halves every freshnessHalfLifeHours
+        freshness: {
+            value: ageHours === null ? null : Math.pow(0.5, ageHours / config.freshnessHalfLifeHours),
+            detail: ageHours === null ? 'غير معروفة' : `منذ ${Math.round(ageHours * 10) / 10} س`
+        }
+    };
+}
+
+/**
+ * Scores a job from 0 to 100.
+ * @param {Object} job - Job object
+ * @param {Object} scoring - Stored scoring config
+ * @param {Array<Array<string>>} [synonyms] - Keyword synonym groups
+ * @returns {Object} - { score, scoreBreakdown: [{ factor, label, detail, points }] }
+ */
+function scoreJob(job, scoring, synonyms = []) {
+    const config = getScoringConfig(scoring);
+    const factors = getScoringFactorValues(job, config);
+    const totalWeight = Object.keys(SCORING_FACTORS).reduce((sum, key) => sum + (config.weights[key] || 0), 0);
+    const breakdown = [];
+    let score = 0;
+
+    if (totalWeight > 0) {
+        Object.keys(SCORING_FACTORS).forEach(key => {
+            const weight = config.weights[key] || 0;
+            if (weight === 0) return;
+            const { value, detail } = factors[key];
+            const points = ((value === null ? 0.5 : value) * weight / totalWeight) * 100;
+            score += points;
+            breakdown.push({ factor: key, label: SCORING_FACTORS[key], detail, points: Math.round(points * 10) / 10 });
+        });
+    }
+
+    const text = FILTER_FIELDS.text.extract(job);
+    config.keywords.forEach(({ term, weight }) => {
+        if (!term || !matchKeyword(text, term, synonyms)) return;
+        score += weight;
+        breakdown.push({ factor: 'keyword', label: `كلمة: ${term}`, detail: weight > 0 ? 'إيجابية' : 'سلبية', points: weight });
+    });
+
+    return {
+        score: Math.round(Math.max(0, Math.min(100, score))),
+        scoreBreakdown: breakdown
+    };
+}
+
+/**
+ * Parses "term: weight" lines into keyword weights.
+ * @param {string} text - One keyword per line, e.g. "react: 20" or "wordpress: -30"
+ * @returns {Array<Object>} - [{ term, weight }]
+ */
+function parseKeywordWeights(text) {
+    return (text || '').split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const match = line.match(/^(.+?)\s*[:=]\s*(-?\d+(?:\.\d+)?)$/);
+            return match
+                ? { term: match[1].trim(), weight: parseFloat(match[2]) }
+                : { term: line, weight: 10 };
+        });
+}
+
+/**
+ * Formats keyword weights back into "term: weight" lines.
+ * @param {Array<Object>} keywords - [{ term, weight }]
+ * @returns {string} - Editable text
+ */
+function formatKeywordWeights(keywords) {
+    return (keywords || []).map(k => `${k.term}: ${k.weight}`).join('\n');
+}
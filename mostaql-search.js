@@ -0,0 +1,247 @@
+// ==========================================
+// Frelancia - Mostaql Saved Searches & Query Builder
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+
+const MOSTAQL_PROJECTS_URL = 'https://mostaql.com/projects';
+
+/** Query-string parameter names used by the Mostaql projects listing. */
+const MOSTAQL_QUERY_PARAMS = {
+    category: 'category',
+    subcategory: 'subcategory',
+    skills: 'skills',
+    budgetMin: 'budget_min',
+    budgetMax: 'budget_max',
+    sort: 'sort',
+    page: 'page'
+};
+
+/** Listing pages read at most to close a gap after sleep or network loss. */
+const LISTING_GAP_MAX_PAGES = 5;
+
+/** Every Mostaql category with its subcategories (slug → Arabic label). */
+const MOSTAQL_CATEGORIES = [
+    {
+        slug: 'business',
+        name: 'أعمال وخدمات استشارية',
+        subcategories: [
+            { slug: 'business-consulting', name: 'استشارات أعمال' },
+            { slug: 'project-management', name: 'إدارة مشاريع' },
+            { slug: 'financial-accounting', name: 'محاسبة ومالية' },
+            { slug: 'legal-consulting', name: 'استشارات قانونية' },
+            { slug: 'human-resources', name: 'موارد بشرية' }
+        ]
+    },
+    {
+        slug: 'development',
+        name: 'برمجة، تطوير المواقع والتطبيقات',
+        subcategories: [
+            { slug: 'web-development', name: 'تطوير مواقع' },
+            { slug: 'mobile-development', name: 'تطوير تطبيقات الجوال' },
+            { slug: 'desktop-development', name: 'تطبيقات سطح المكتب' },
+            { slug: 'ecommerce-development', name: 'متاجر إلكترونية' },
+            { slug: 'wordpress', name: 'ووردبريس' },
+            { slug: 'game-development', name: 'تطوير ألعاب' },
+            { slug: 'devops-servers', name: 'خوادم وإدارة أنظمة' },
+            { slug: 'software-testing', name: 'اختبار البرمجيات' }
+        ]
+    },
+    {
+        slug: 'ai-machine-learning',
+        name: 'ذكاء اصطناعي وتعلم آلة',
+        subcategories: [
+            { slug: 'machine-learning', name: 'تعلم آلة' },
+            { slug: 'chatbots', name: 'روبوتات المحادثة' },
+            { slug: 'data-science', name: 'علم البيانات وتحليلها' },
+            { slug: 'computer-vision', name: 'رؤية حاسوبية' },
+            { slug: 'ai-automation', name: 'أتمتة بالذكاء الاصطناعي' }
+        ]
+    },
+    {
+        slug: 'engineering-architecture',
+        name: 'هندسة، عمارة وتصميم داخلي',
+        subcategories: [
+            { slug: 'architecture', name: 'تصميم معماري' },
+            { slug: 'interior-design', name: 'تصميم داخلي' },
+            { slug: 'civil-engineering', name: 'هندسة مدنية وإنشائية' },
+            { slug: 'mechanical-engineering', name: 'هندسة ميكانيكية' },
+            { slug: 'electrical-engineering', name: 'هندسة كهربائية' }
+        ]
+    },
+    {
+        slug: 'design',
+        name: 'تصميم، فيديو وصوتيات',
+        subcategories: [
+            { slug: 'graphic-design', name: 'تصميم جرافيك' },
+            { slug: 'logo-design', name: 'تصميم شعارات وهوية' },
+            { slug: 'ui-ux-design', name: 'تصميم واجهات المستخدم' },
+            { slug: 'video-editing', name: 'مونتاج وتحرير فيديو' },
+            { slug: 'motion-graphics', name: 'موشن جرافيك' },
+            { slug: 'voice-over', name: 'تعليق صوتي' },
+            { slug: 'illustration', name: 'رسم توضيحي' }
+        ]
+    },
+    {
+        slug: 'marketing',
+        name: 'تسويق إلكتروني ومبيعات',
+        subcategories: [
+            { slug: 'social-media-marketing', name: 'تسويق عبر وسائل التواصل' },
+            { slug: 'seo', name: 'تحسين محركات البحث' },
+            { slug: 'paid-ads', name: 'إعلانات ممولة' },
+            { slug: 'email-marketing', name: 'تسويق بالبريد الإلكتروني' },
+            { slug: 'sales', name: 'مبيعات' }
+        ]
+    },
+    {
+        slug: 'writing-translation',
+        name: 'كتابة، تحرير، ترجمة ولغات',
+        subcategories: [
+            { slug: 'content-writing', name: 'كتابة محتوى' },
+            { slug: 'copywriting', name: 'كتابة إعلانية' },
+            { slug: 'translation', name: 'ترجمة' },
+            { slug: 'proofreading', name: 'تدقيق لغوي' },
+            { slug: 'academic-writing', name: 'كتابة أكاديمية' }
+        ]
+    },
+    {
+        slug: 'support',
+        name: 'دعم، مساعدة وإدخال بيانات',
+        subcategories: [
+            { slug: 'data-entry', name: 'إدخال بيانات' },
+            { slug: 'virtual-assistant', name: 'مساعد افتراضي' },
+            { slug: 'customer-service', name: 'خدمة عملاء' },
+            { slug: 'research', name: 'بحث وجمع معلومات' }
+        ]
+    },
+    {
+        slug: 'training',
+        name: 'تدريب وتعليم عن بعد',
+        subcategories: [
+            { slug: 'online-tutoring', name: 'دروس خصوصية' },
+            { slug: 'language-teaching', name: 'تعليم لغات' },
+            { slug: 'course-creation', name: 'إعداد دورات تدريبية' }
+        ]
+    }
+];
+
+/**
+ * Builds a Mostaql projects listing URL from a saved search.
+ * A search with a customUrl is returned untouched.
+ * @param {Object} search - Saved search definition
+ * @returns {string} - Listing URL
+ */
+function buildSearchUrl(search) {
+    if (search.customUrl) return search.customUrl;
+
+    const params = new URLSearchParams();
+    const p = MOSTAQL_QUERY_PARAMS;
+
+    if (search.categories && search.categories.length > 0) {
+        params.set(p.category, search.categories.join(','));
+    }
+    if (search.subcategories && search.subcategories.length > 0) {
+        params.set(p.subcategory, search.subcategories.join(','));
+    }
+    if (search.skills && search.skills.length > 0) {
+        params.set(p.skills, search.skills.join(','));
+    }
+    if (search.budgetMin > 0) params.set(p.budgetMin, search.budgetMin);
+    if (search.budgetMax > 0) params.set(p.budgetMax, search.budgetMax);
+    params.set(p.sort, search.sort || 'latest');
+
+    return `${MOSTAQL_PROJECTS_URL}?${params.toString()}`;
+}
+
+/**
+ * Returns the URL the poller fetches for a saved search: its listing URL read
+ * newest first whatever sort the user chose, since new-job detection and gap
+ * recovery stop at the first project already seen. The saved search and the
+ * link the dashboard opens keep the user's sort.
+ * @param {Object} search - Saved search definition
+ * @returns {string} - Listing URL
+ */
+function getPollingSearchUrl(search) {
+    const url = buildSearchUrl(search);
+    try {
+        const pollUrl = new URL(url);
+        pollUrl.searchParams.set(MOSTAQL_QUERY_PARAMS.sort, 'latest');
+        return pollUrl.toString();
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Returns the URL of a later page of a listing.
+ * @param {string} url - Listing URL (page 1)
+ * @param {number} page - Page number, starting at 1
+ * @returns {string} - Listing URL of that page
+ */
+function getListingPageUrl(url, page) {
+    if (page <= 1) return url;
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.set(MOSTAQL_QUERY_PARAMS.page, page);
+    return pageUrl.toString();
+}
+
+/**
+ * Creates a saved search with default values for any missing field.
+ * @param {Object} fields - Partial search definition
+ * @returns {Object} - Complete saved search
+ */
+function createSavedSearch(fields = {}) {
+    return {
+        id: fields.id || `search_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name: fields.name || 'بحث جديد',
+        enabled: fields.enabled !== false,
+        categories: fields.categories || [],
+        subcategories: fields.subcategories || [],
+        skills: fields.skills || [],
+        budgetMin: parseInt(fields.budgetMin) || 0,
+        budgetMax: parseInt(fields.budgetMax) || 0,
+        sort: fields.sort || 'latest',
+        customUrl: fields.customUrl || '',
+        interval: parseInt(fields.interval) || 0
+    };
+}
+
+/**
+ * Converts the legacy development/ai/all category toggles into saved searches.
+ * @param {Object} settings - Legacy flat settings object
+ * @returns {Array<Object>} - Saved searches equivalent to the old toggles
+ */
+function migrateLegacySearches(settings = {}) {
+    return [
+        createSavedSearch({
+            id: 'legacy_development',
+            name: 'أعمال وبرمجة',
+            enabled: settings.development !== false,
+            categories: ['development']
+        }),
+        createSavedSearch({
+            id: 'legacy_ai',
+            name: 'ذكاء اصطناعي',
+            enabled: settings.ai !== false,
+            categories: ['ai-machine-learning']
+        }),
+        createSavedSearch({
+            id: 'legacy_all',
+            name: 'كافة المشاريع',
+            enabled: settings.all !== false
+        })
+    ];
+}
+
+/**
+ * Looks up the Arabic label of a category or subcategory slug.
+ * @param {string} slug - Category or subcategory slug
+ * @returns {string} - Arabic label, or the slug itself if unknown
+ */
+function getCategoryLabel(slug) {
+    for (const category of MOSTAQL_CATEGORIES) {
+        if (category.slug === slug) return category.name;
+        const sub = category.subcategories.find(s => s.slug === slug);
+        if (sub) return sub.name;
+    }
+    return slug;
+}
@@ -0,0 +1,300 @@
+// ==========================================
+// Frelancia - Mostaql Selectors
+// ==========================================
+// Shared by the background service worker (importScripts), the offscreen
+// document, the content script and the dashboard.
+//
+// Every CSS selector used to read Mostaql pages lives in one map, grouped by
+// page. The built-in defaults below can be overridden from the dashboard
+// (`mostaqlSelectors` in storage: { version, updatedAt, selectors }) so a
+// markup change can be patched before an extension release. Only the changed
+// entries are stored; anything missing falls back to the default.
+//
+// `version` is the version of the defaults the overrides were written
+// against. A release that changes the defaults bumps
+// MOSTAQL_SELECTORS_VERSION, and older overrides are then ignored since the
+// release is expected to fix what they patched.
+
+/** Version of DEFAULT_MOSTAQL_SELECTORS. */
+const MOSTAQL_SELECTORS_VERSION = 1;
+
+/** Selector groups and the label of every entry, for the dashboard editor. */
+const MOSTAQL_SELECTOR_FIELDS = {
+    listing: {
+        label: 'قائمة المشاريع',
+        fields: {
+            items: 'عنصر المشروع',
+            tableRows: 'صف المشروع (عرض الجدول)',
+            cards: 'بطاقة المشروع (عرض البطاقات)',
+            projectLink: 'رابط المشروع',
+            time: 'وقت النشر',
+            tableTime: 'وقت النشر (عرض الجدول)',
+            cardTime: 'وقت النشر (عرض البطاقات)',
+            posterIcon: 'أيقونة صاحب المشروع',
+            clientBadge: 'شارة صاحب المشروع',
+            bidsIcon: 'أيقونة العروض',
+            metaItems: 'بيانات المشروع',
+            budgetIcon: 'أيقونة الميزانية',
+            tableBudget: 'الميزانية (عرض الجدول)',
+            categoryLink: 'رابط التصنيف',
+            categoryIcon: 'أيقونة التصنيف',
+            skills: 'المهارات',
+            excerpt: 'مقتطف الوصف'
+        }
+    },
+    project: {
+        label: 'صفحة المشروع',
+        fields: {
+            status: 'حالة المشروع',
+            awarded: 'حالة مشروع تم التعاقد عليه',
+            description: 'الوصف',
+            metaPanel: 'بطاقة المشروع',
+            metaRows: 'صفوف بطاقة المشروع',
+            metaTableRows: 'صفوف بطاقة المشروع (جدول)',
+            metaValue: 'قيمة الصف',
+            attachments: 'المرفقات',
+            title: 'عنوان المشروع',
+            category: 'التصنيف',
+            budget: 'الميزانية',
+            publishTime: 'تاريخ النشر',
+            metaExtraRows: 'صفوف بيانات إضافية (الصفحة المفتوحة)',
+            metaLabel: 'عنوان الصف',
+            tags: 'الوسوم',
+            panelTags: 'وسوم بطاقة المشروع',
+            brief: 'نص الوصف',
+            detailFields: 'حقول التفاصيل',
+            detailLabel: 'عنوان الحقل',
+            detailValue: 'قيمة الحقل',
+            clientCard: 'بطاقة صاحب المشروع',
+            clientName: 'اسم صاحب المشروع',
+            clientRows: 'صفوف بطاقة صاحب المشروع',
+            clientType: 'نوع صاحب المشروع',
+            bids: 'العروض المقدمة',
+            bidderName: 'اسم مقدم العرض',
+            bidderLink: 'رابط مقدم العرض',
+            bidderTitle: 'مسمى مقدم العرض',
+            bidTime: 'وقت العرض',
+            bidContent: 'نص العرض'
+        }
+    },
+    bidForm: {
+        label: 'نموذج تقديم العرض',
+        fields: {
+            form: 'النموذج',
+            cost: 'قيمة العرض',
+            period: 'مدة التنفيذ',
+            details: 'تفاصيل العرض'
+        }
+    },
+    myBids: {
+        label: 'عروضي',
+        fields: {
+            row: 'صف العرض',
+            title: 'عنوان المشروع',
+            status: 'حالة العرض',
+            time: 'وقت التقديم',
+            priceIcon: 'أيقونة قيمة العرض'
+        }
+    }
+};
+
+/**
+ * Built-in selectors. The bid form lists and the project title, category and
+ * brief are tried entry by entry (queryFirstSelector); other lists match in
+ * document order.
+ */
+const DEFAULT_MOSTAQL_SELECTORS = {
+    listing: {
+        items: '.list-group-item',
+        tableRows: 'tr',
+        cards: '.card, .project-card, div[class*="project"]',
+        projectLink: 'a[href*="/project/"]',
+        time: 'time',
+        tableTime: 'td:nth-child(5n), .timeSince, [class*="date"]',
+        cardTime: '.timeSince, [class*="date"]',
+        posterIcon: '.fa-user',
+        clientBadge: '.fa-check-circle, .fa-shield, [class*="verified"], [class*="badge"]',
+        bidsIcon: '.fa-ticket, .fa-file-text-o, .fa-comments',
+        metaItems: '.project__meta li',
+        budgetIcon: '.fa-money, .fa-dollar, .fa-usd',
+        tableBudget: 'td:nth-child(4), [class*="budget"]',
+        categoryLink: 'a[href*="category="], a[href*="/projects/"]:not([href*="/skill"])',
+        categoryIcon: '.fa-folder, .fa-folder-open',
+        skills: '.skills__item bdi, .skills a, .tag',
+        excerpt: '.project__brief, .project-brief, .details-url'
+    },
+    project: {
+        status: '.label-prj-open, .label-prj-closed, .label-prj-completed, .label-prj-cancelled, .label-prj-underway, .label-prj-processing',
+        awarded: '.label-prj-underway, .label-prj-processing, .label-prj-completed',
+        description: '.project-post__body',
+        metaPanel: '#project-meta-panel',
+        metaRows: '.meta-row',
+        metaTableRows: '.table-meta tr',
+        metaValue: '.meta-value, td:last-child, .meta-item-value',
+        attachments: '#project-files-panel .attachment a[href]',
+        title: '.heada__title span[data-type="page-header-title"], .page-title h1, .project-title',
+        category: '.breadcrumb-item[data-index="2"], .breadcrumb li:nth-last-child(2) a, .project-header__meta a',
+        budget: '[data-type="project-budget_range"]',
+        publishTime: 'time[itemprop="datePublished"]',
+        metaExtraRows: '.card .table tr, li.meta-item',
+        metaLabel: '.meta-label, td:first-child, .meta-item-label',
+        tags: '.skills .tag, .tags .tag, .project-tags .tag, .skills__item bdi',
+        panelTags: '#project-meta-panel .tag',
+        brief: '#project-brief .text-wrapper-div, #projectDetailsTab > .pdn--am > .text-wrapper-div, .project-description .text-wrapper-div, #project-brief, .pdn--am .text-wrapper-div',
+        detailFields: '#projectDetailsTab .row > div',
+        detailLabel: '.field-label',
+        detailValue: '.text-wrapper-div:not(.field-label)',
+        clientCard: '.profile_card',
+        clientName: '.profile__name bdi',
+        clientRows: '.table-meta tr',
+        clientType: '.meta_items li',
+        bids: '#project-bids .bid',
+        bidderName: '.profile__name bdi',
+        bidderLink: '.profile__name a',
+        bidderTitle: '.bid__meta .title',
+        bidTime: '.bid__meta .time time',
+        bidContent: '.bid__details .text-wrapper-div'
+    },
+    bidForm: {
+        form: '#add-proposal-form',
+        cost: 'input[name="cost"], input[name="amount"], #bid__cost, #amount',
+        period: 'input[name="period"], input[name="duration"], #bid__period, #duration',
+        details: '#bid__details, #description, textarea[name="details"], textarea[name="description"], #proposal-description'
+    },
+    myBids: {
+        row: 'tr.bid-row',
+        title: 'h2 a',
+        status: '.label-prj-pending, .label',
+        time: 'time[datetime]',
+        priceIcon: '.project__meta li .fa-money'
+    }
+};
+
+// --- Resolving ---
+
+/**
+ * Returns the selectors to use: the defaults with the stored overrides.
+ * @param {Object|null} stored - `mostaqlSelectors` from storage
+ * @returns {Object} - Full map, same shape as DEFAULT_MOSTAQL_SELECTORS
+ */
+function resolveMostaqlSelectors(stored) {
+    const usable = stored && stored.selectors && stored.version >= MOSTAQL_SELECTORS_VERSION;
+    const resolved = {};
+    Object.keys(DEFAULT_MOSTAQL_SELECTORS).forEach(group => {
+        const overrides = (usable && stored.selectors[group]) || {};
+        resolved[group] = {};
+        Object.keys(DEFAULT_MOSTAQL_SELECTORS[group]).forEach(key => {
+            const value = overrides[key];
+            resolved[group][key] = typeof value === 'string' && value.trim()
+                ? value.trim()
+                : DEFAULT_MOSTAQL_SELECTORS[group][key];
+        });
+    });
+    return resolved;
+}
+
+/**
+ * Keeps only the entries that differ from the defaults, for storage.
+ * @param {Object} selectors - Full or partial map
+ * @returns {Object} - { group: { key: selector } } without empty groups
+ */
+function getMostaqlSelectorOverrides(selectors) {
+    const resolved = resolveMostaqlSelectors({ version: MOSTAQL_SELECTORS_VERSION, selectors });
+    const overrides = {};
+    Object.keys(resolved).forEach(group => {
+        Object.keys(resolved[group])
+            .filter(key => resolved[group][key] !== DEFAULT_MOSTAQL_SELECTORS[group][key])
+            .forEach(key => {
+                overrides[group] = overrides[group] || {};
+                overrides[group][key] = resolved[group][key];
+            });
+    });
+    return overrides;
+}
+
+// --- Import / Export ---
+
+/**
+ * Builds the JSON file of the current map (every entry, not only overrides).
+ * @param {Object|null} stored - `mostaqlSelectors` from storage
+ * @returns {string}
+ */
+function exportMostaqlSelectors(stored) {
+    return JSON.stringify({
+        version: MOSTAQL_SELECTORS_VERSION,
+        selectors: resolveMostaqlSelectors(stored)
+    }, null, 2);
+}
+
+/**
+ * Reads an exported map. Unknown groups and entries are dropped.
+ * @param {string} json - File content
+ * @returns {Object} - Value for `mostaqlSelectors`
+ * @throws {Error} - When the file is not a selector map for these defaults
+ */
+function importMostaqlSelectors(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error(`الملف ليس JSON صالحاً: ${e.message}`);
+    }
+    if (!data || typeof data.selectors !== 'object' || data.selectors === null) {
+        throw new Error('الملف لا يحتوي على خريطة محددات');
+    }
+    if (!(data.version >= MOSTAQL_SELECTORS_VERSION)) {
+        throw new Error(`الخريطة مكتوبة لإصدار أقدم من المحددات (${data.version ?? '?'})، والإصدار الحالي ${MOSTAQL_SELECTORS_VERSION}`);
+    }
+    return {
+        version: MOSTAQL_SELECTORS_VERSION,
+        updatedAt: Date.now(),
+        selectors: getMostaqlSelectorOverrides(data.selectors)
+    };
+}
+
+// --- Querying ---
+
+/**
+ * Splits a selector list on its top-level commas.
+ * @param {string} selector - e.g. 'input[name="cost"], #amount'
+ * @returns {Array<string>}
+ */
+function splitSelectorList(selector) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const char of selector) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(' || char === '[') {
+            depth++;
+        } else if (char === ')' || char === ']') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+}
+
+/**
+ * Returns the match of the first selector of a list that matches anything,
+ * so earlier entries take priority over document order.
+ * @param {ParentNode} root - Document or element
+ * @param {string} selector - Selector list
+ * @returns {Element|null}
+ */
+function queryFirstSelector(root, selector) {
+    for (const part of splitSelectorList(selector)) {
+        const el = root.querySelector(part);
+        if (el) return el;
+    }
+    return null;
+}
@@ -10,100 +10,50 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     playNotificationSound();
     sendResponse({ success: true });
   } else if (message.action === 'parseJobs') {
-    const jobs = parseMostaqlHTML(message.html);
-    sendResponse({ success: true, jobs: jobs });
+    const jobs = parseMostaqlHTML(message.html, message.selectors || resolveMostaqlSelectors(null));
+    sendResponse({ success: true, jobs: jobs, report: getListingParseReport(jobs) });
   } else if (message.action === 'parseTrackedData' || message.action === 'parseProjectDetails') {
-    const data = parseProjectDetails(message.html);
-    sendResponse({ success: true, data: data });
+    const data = parseProjectDetails(message.html, message.selectors || resolveMostaqlSelectors(null));
+    sendResponse({ success: true, data: data, report: getDetailsParseReport(data) });
   } else if (message.action === 'playTrackedSound') {
     playTrackedSound();
     sendResponse({ success: true });
   }
 });
 
-function parseMostaqlHTML(html) {
+// `selectors` is the resolved selector map (see mostaql-selectors.js)
+function parseMostaqlHTML(html, selectors) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(html, 'text/html');
     const jobs = [];
     const seenIds = new Set();
+    const listing = selectors.listing;
 
-    // Strategy 0: Mostaql list-group-item layout (dashboard/projects page)
-    const listItems = doc.querySelectorAll('.list-group-item');
-    listItems.forEach(item => {
-        const link = item.querySelector('a[href*="/project/"]');
-        if (!link) return;
-        const href = link.getAttribute('href');
-        const idMatch = href.match(/\/project\/(\d+)/);
-        if (!idMatch) return;
-        const id = idMatch[1];
-        if (seenIds.has(id)) return;
-        seenIds.add(id);
-
-        const title = link.textContent.trim();
-        const url = href.startsWith('http') ? href : 'https://mostaql.com' + href;
-
-        // Client/poster name (element with fa-user icon)
-        const userIcon = item.querySelector('.fa-user');
-        const poster = userIcon ? userIcon.parentElement.textContent.replace(/\s+/g, ' ').trim() : '';
-
-        // Time ago
-        const timeEl = item.querySelector('time');
-        const time = timeEl ? timeEl.textContent.replace(/\s+/g, ' ').trim() : '';
-        const postedAt = timeEl ? (timeEl.getAttribute('datetime') || '') : '';
-
-        // Bids count (third li in .project__meta)
-        const metaItems = item.querySelectorAll('.project__meta li');
-        const bidsText = metaItems.length >= 3 ? metaItems[2].textContent.replace(/\s+/g, ' ').trim() : '';
-
-        jobs.push({ id, title, url, poster, time, postedAt, bidsText, budget: 'غير محدد' });
-    });
+    // Strategies 0-2 read every field the item exposes (see parseListingItem);
+    // the fallback selectors are the loose guesses each layout used before
+    const strategies = [
+        // Strategy 0: Mostaql list-group-item layout (dashboard/projects page)
+        { name: 'list-group', items: listing.items, fallbacks: {} },
+        // Strategy 1: Table Rows (Classic View)
+        { name: 'table', items: listing.tableRows, fallbacks: { budget: listing.tableBudget, time: listing.tableTime } },
+        // Strategy 2: Cards (Grid View)
+        { name: 'card', items: listing.cards, fallbacks: { time: listing.cardTime } }
+    ];
 
-    // Strategy 1: Table Rows (Classic View)
-    const rows = doc.querySelectorAll('tr');
-    rows.forEach(row => {
-        const link = row.querySelector('a[href*="/project/"]');
-        if (link) {
-            const href = link.getAttribute('href');
-            const idMatch = href.match(/\/project\/(\d+)/);
-            if (idMatch) {
-                const id = idMatch[1];
-                if (!seenIds.has(id)) {
-                    const title = link.textContent.trim();
-                    const budgetEl = row.querySelector('td:nth-child(4), [class*="budget"]');
-                    const budget = budgetEl ? budgetEl.textContent.trim() : 'غير محدد';
-                    const timeEl = row.querySelector('td:nth-child(5n), .timeSince, [class*="date"]');
-                    const time = timeEl ? timeEl.textContent.trim() : '';
-                    seenIds.add(id);
-                    jobs.push({ id, title, budget, time, postedAt: '', poster: '', bidsText: '',
-                        url: href.startsWith('http') ? href : 'https://mostaql.com' + href });
-                }
-            }
-        }
-    });
-    
-    // Strategy 2: Cards (Grid View)
-    const cards = doc.querySelectorAll('.card, .project-card, div[class*="project"]');
-    cards.forEach(card => {
-        const link = card.querySelector('a[href*="/project/"]');
-        if (link) {
-            const href = link.getAttribute('href');
-            const idMatch = href.match(/\/project\/(\d+)/);
-            if (idMatch) {
-                const id = idMatch[1];
-                if (!seenIds.has(id)) {
-                    seenIds.add(id);
-                    const timeEl = card.querySelector('.timeSince, [class*="date"]');
-                    jobs.push({ id, title: link.textContent.trim(), budget: 'غير محدد',
-                        time: timeEl ? timeEl.textContent.trim() : '', postedAt: '', poster: '', bidsText: '',
-                        url: href.startsWith('http') ? href : 'https://mostaql.com' + href });
-                }
-            }
-        }
+    strategies.forEach(strategy => {
+        doc.querySelectorAll(strategy.items).forEach(item => {
+            const link = item.querySelector(listing.projectLink);
+            if (!link) return;
+            const idMatch = link.getAttribute('href').match(/\/project\/(\d+)/);
+            if (!idMatch || seenIds.has(idMatch[1])) return;
+            seenIds.add(idMatch[1]);
+            jobs.push(parseListingItem(item, link, idMatch[1], strategy, listing));
+        });
     });
 
     // Strategy 3: Fallback - All Links
     if (jobs.length === 0) {
-        const allLinks = doc.querySelectorAll('a[href*="/project/"]');
+        const allLinks = doc.querySelectorAll(listing.projectLink);
         allLinks.forEach(link => {
             const href = link.getAttribute('href');
             const idMatch = href.match(/\/project\/(\d+)/);
@@ -113,7 +63,8 @@ function parseMostaqlHTML(html) {
                 if (!seenIds.has(id) && text.length > 5) {
                     seenIds.add(id);
                     jobs.push({ id, title: text, budget: '', postedAt: '', poster: '', bidsText: '',
-                        url: href.startsWith('http') ? href : 'https://mostaql.com' + href });
+                        url: href.startsWith('http') ? href : 'https://mostaql.com' + href,
+                        strategy: 'links', confidence: { title: 'low' } });
                 }
             }
         });
@@ -122,16 +73,116 @@ function parseMostaqlHTML(html) {
     return jobs;
 }
 
-function parseProjectDetails(html) {
+// Reads every field a listing item exposes, so filters can run before the
+// project page is fetched. `confidence` marks each field found: 'high' when
+// read from its own markup, 'low' when guessed from its position or a loose
+// selector, 'partial' for the truncated description excerpt.
+function parseListingItem(item, link, id, strategy, listing) {
+    const href = link.getAttribute('href');
+    const clean = (el) => el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+    // Meta entries are recognized by their icon
+    const metaWithIcon = (icons) => {
+        const icon = item.querySelector(icons);
+        return icon ? (icon.closest('li') || icon.parentElement) : null;
+    };
+    const confidence = { title: 'high' };
+
+    // Client/poster name (element with fa-user icon) and badge (e.g. verified identity)
+    const posterEl = metaWithIcon(listing.posterIcon);
+    const poster = clean(posterEl);
+    if (poster) confidence.poster = 'high';
+    const badgeEl = posterEl && posterEl.querySelector(listing.clientBadge);
+    const clientBadge = badgeEl
+        ? (badgeEl.getAttribute('title') || badgeEl.getAttribute('data-original-title') || clean(badgeEl) || 'موثق')
+        : '';
+    if (clientBadge) confidence.clientBadge = 'high';
+    const posterName = badgeEl && clean(badgeEl) ? poster.replace(clean(badgeEl), '').trim() : poster;
+
+    // Time ago
+    let timeEl = item.querySelector(listing.time);
+    if (timeEl) confidence.postedAt = 'high';
+    else if (strategy.fallbacks.time) {
+        timeEl = item.querySelector(strategy.fallbacks.time);
+        if (timeEl) confidence.postedAt = 'low';
+    }
+    const time = clean(timeEl);
+    const postedAt = toPostedAt(timeEl ? timeEl.getAttribute('datetime') : '', time);
+    if (!postedAt) delete confidence.postedAt;
+
+    // Bids count (ticket icon, else the third li in .project__meta)
+    let bidsText = clean(metaWithIcon(listing.bidsIcon));
+    if (bidsText) confidence.bids = 'high';
+    else {
+        const metaItems = item.querySelectorAll(listing.metaItems);
+        bidsText = metaItems.length >= 3 ? clean(metaItems[2]) : '';
+        if (bidsText) confidence.bids = 'low';
+    }
+    const bidsCount = bidsText ? (parseNumbers(bidsText)[0] || 0) : null;
+
+    // Budget (money icon, else the layout's budget column)
+    let budget = clean(metaWithIcon(listing.budgetIcon));
+    if (budget) confidence.budget = 'high';
+    else if (strategy.fallbacks.budget) {
+        budget = clean(item.querySelector(strategy.fallbacks.budget));
+        if (budget) confidence.budget = 'low';
+    }
+    const range = parseBudget(budget);
+    if (!range) delete confidence.budget;
+
+    // Category (link to a category listing, else the folder icon)
+    const categoryLink = item.querySelector(listing.categoryLink);
+    const category = clean(categoryLink) || clean(metaWithIcon(listing.categoryIcon));
+    if (category) confidence.category = 'high';
+
+    // Skills
+    const skills = [...new Set(Array.from(item.querySelectorAll(listing.skills))
+        .map(clean).filter(Boolean))];
+    if (skills.length > 0) confidence.skills = 'high';
+
+    // Short description under the title
+    const excerpt = clean(item.querySelector(listing.excerpt));
+    if (excerpt) confidence.excerpt = 'partial';
+
+    return {
+        id,
+        title: link.textContent.trim(),
+        url: href.startsWith('http') ? href : 'https://mostaql.com' + href,
+        poster: posterName,
+        clientBadge,
+        time,
+        postedAt,
+        bidsText,
+        bidsCount,
+        budget: range ? budget : 'غير محدد',
+        budgetMin: range ? range.min : null,
+        budgetMax: range ? range.max : null,
+        category,
+        skills,
+        excerpt,
+        strategy: strategy.name,
+        confidence
+    };
+}
+
+// Normalizes a listing time to an ISO string: the <time datetime> attribute
+// (UTC) when present, otherwise the relative text ("منذ 3 ساعات").
+function toPostedAt(datetime, timeText) {
+    const date = parseDatetime(datetime) || parseRelativeTime(timeText);
+    return date ? date.toISOString() : '';
+}
+
+function parseProjectDetails(html, selectors) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(html, 'text/html');
+    const project = selectors.project;
     
     // Extract Status
-    const statusLabel = doc.querySelector('.label-prj-open, .label-prj-closed, .label-prj-completed, .label-prj-cancelled, .label-prj-underway, .label-prj-processing');
+    const statusLabel = doc.querySelector(project.status);
     const status = statusLabel ? statusLabel.textContent.trim() : 'غير معروف';
+    const awarded = !!doc.querySelector(project.awarded);
 
     // Extract Description
-    const descriptionEl = doc.querySelector('.project-post__body');
+    const descriptionEl = doc.querySelector(project.description);
     const description = descriptionEl ? descriptionEl.textContent.trim() : '';
 
     // Extract Metadata
@@ -140,11 +191,13 @@ function parseProjectDetails(html) {
     let duration = 'غير محددة';
     let budget = '';
     let registrationDate = '';
+    let bidsCount = 0;
     
-    const metaRows = doc.querySelectorAll('.meta-row, .table-meta tr');
+    const metaRows = doc.querySelectorAll(`${project.metaRows}, ${project.metaTableRows}`);
+    const strategy = doc.querySelector(project.metaRows) ? 'meta-row' : doc.querySelector(project.metaTableRows) ? 'table-meta' : 'none';
     metaRows.forEach(row => {
         const text = row.textContent;
-        const val = row.querySelector('.meta-value, td:last-child');
+        const val = row.querySelector(project.metaValue);
         if (!val) return;
 
         if (text.includes('التواصلات الجارية')) {
@@ -157,10 +210,18 @@ function parseProjectDetails(html) {
             budget = val.textContent.trim();
         } else if (text.includes('تاريخ التسجيل')) {
             registrationDate = val.textContent.trim();
+        } else if (text.includes('عدد العروض')) {
+            bidsCount = parseNumbers(val.textContent)[0] || 0;
         }
     });
 
-    return { status, communications, hiringRate, description, duration, budget, registrationDate };
+    const attachments = Array.from(doc.querySelectorAll(project.attachments))
+        .map(a => ({
+            url: new URL(a.getAttribute('href'), 'https://mostaql.com').href,
+            name: a.getAttribute('title') || a.textContent.trim()
+        }));
+
+    return { status, awarded, communications, bidsCount, hiringRate, description, duration, budget, registrationDate, attachments, strategy };
 }
 
 function playNotificationSound() {
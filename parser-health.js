@@ -0,0 +1,164 @@
+// ==========================================
+// Frelancia - Parser Health
+// ==========================================
+// Shared by the background service worker (importScripts), the offscreen
+// document, the dashboard and the popup.
+//
+// Every parse of a Mostaql page reports which strategy matched and which
+// fields it could not find. The background keeps the latest reports per page
+// kind in storage (`parserHealth`); when most recent parses fall back to the
+// generic link scan, or keep missing a field that used to be found, Mostaql
+// has most likely changed its markup and the popup and the dashboard warn.
+
+/** Fields whose absence is tracked, per page kind. */
+const PARSER_HEALTH_FIELDS = {
+    listing: {
+        postedAt: 'وقت النشر',
+        poster: 'صاحب المشروع',
+        bids: 'العروض',
+        budget: 'الميزانية'
+    },
+    details: {
+        status: 'الحالة',
+        description: 'الوصف',
+        budget: 'الميزانية',
+        duration: 'مدة التنفيذ',
+        hiringRate: 'معدل التوظيف'
+    }
+};
+
+/** Strategies that mean the page layout was not recognized. */
+const PARSER_FALLBACK_STRATEGIES = ['links', 'none'];
+
+/** What a fallback loses, per page kind. */
+const PARSER_FALLBACK_LABELS = {
+    listing: 'قائمة المشاريع',
+    details: 'بيانات المشروع'
+};
+
+/** Reports kept per page kind (newest last). */
+const PARSER_HEALTH_SAMPLES = 20;
+
+/** Recent reports the rates are computed over. */
+const PARSER_HEALTH_WINDOW = 10;
+
+/** Reports needed in the window before warning. */
+const PARSER_HEALTH_MIN_SAMPLES = 5;
+
+/** Share of recent reports that must fail before warning. */
+const PARSER_HEALTH_THRESHOLD = 0.8;
+
+// --- Reports ---
+
+/**
+ * Summarizes a listing parse. A field counts as missing when no job of the
+ * page exposed it.
+ * @param {Array<Object>} jobs - Result of parseMostaqlHTML
+ * @returns {Object|null} - { strategy, missing }, or null for an empty page
+ *   (a search without results says nothing about the layout)
+ */
+function getListingParseReport(jobs) {
+    if (jobs.length === 0) return null;
+
+    const counts = {};
+    jobs.forEach(job => { counts[job.strategy] = (counts[job.strategy] || 0) + 1; });
+    const strategy = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+
+    const missing = Object.keys(PARSER_HEALTH_FIELDS.listing)
+        .filter(field => !jobs.some(job => job.confidence && job.confidence[field]));
+    return { strategy, missing };
+}
+
+/**
+ * Summarizes a project page parse.
+ * @param {Object} details - Result of parseProjectDetails
+ * @returns {Object} - { strategy, missing }
+ */
+function getDetailsParseReport(details) {
+    const empty = {
+        status: 'غير معروف',
+        duration: 'غير محددة'
+    };
+    const missing = Object.keys(PARSER_HEALTH_FIELDS.details)
+        .filter(field => !details[field] || details[field] === empty[field]);
+    return { strategy: details.strategy || 'none', missing };
+}
+
+// --- Tracking ---
+
+/**
+ * Adds a parse report to the stored health.
+ * @param {Object|null} health - Current `parserHealth`
+ * @param {string} kind - Key of PARSER_HEALTH_FIELDS
+ * @param {Object} report - Result of getListingParseReport / getDetailsParseReport
+ * @param {number} [now] - Epoch ms
+ * @returns {Object} - New `parserHealth`
+ */
+function recordParseReport(health, kind, report, now = Date.now()) {
+    const current = (health && health[kind]) || { samples: [], seenAt: {} };
+    const seenAt = { ...current.seenAt };
+    Object.keys(PARSER_HEALTH_FIELDS[kind])
+        .filter(field => !report.missing.includes(field))
+        .forEach(field => { seenAt[field] = now; });
+    if (!PARSER_FALLBACK_STRATEGIES.includes(report.strategy)) seenAt.layout = now;
+
+    const samples = [...current.samples, { at: now, strategy: report.strategy, missing: report.missing }]
+        .slice(-PARSER_HEALTH_SAMPLES);
+    return { ...health, [kind]: { samples, seenAt } };
+}
+
+/**
+ * Computes the fallback and missing-field rates over the recent reports.
+ * @param {Object} kindHealth - One entry of `parserHealth`
+ * @returns {Object} - { count, fallback, missing: { field: rate } }
+ */
+function getParserHealthRates(kindHealth) {
+    const recent = kindHealth.samples.slice(-PARSER_HEALTH_WINDOW);
+    const rate = (test) => recent.length > 0 ? recent.filter(test).length / recent.length : 0;
+    const missing = {};
+    recent.forEach(sample => sample.missing.forEach(field => {
+        if (missing[field] === undefined) missing[field] = rate(s => s.missing.includes(field));
+    }));
+    return {
+        count: recent.length,
+        fallback: rate(sample => PARSER_FALLBACK_STRATEGIES.includes(sample.strategy)),
+        missing
+    };
+}
+
+/**
+ * Lists what looks broken. Only a layout or field that was recognized before
+ * counts, so a field Mostaql never shows does not raise a warning.
+ * @param {Object|null} health - Current `parserHealth`
+ * @returns {Array<Object>} - [{ kind, fallback, fields }] with field keys
+ */
+function getParserHealthIssues(health) {
+    if (!health) return [];
+
+    return Object.keys(PARSER_HEALTH_FIELDS).map(kind => {
+        const kindHealth = health[kind];
+        if (!kindHealth) return null;
+        const rates = getParserHealthRates(kindHealth);
+        if (rates.count < PARSER_HEALTH_MIN_SAMPLES) return null;
+
+        const fallback = !!kindHealth.seenAt.layout && rates.fallback >= PARSER_HEALTH_THRESHOLD;
+        // A listing that falls back loses every field, so the fallback alone is reported
+        const fields = fallback && kind === 'listing' ? [] : Object.keys(rates.missing)
+            .filter(field => kindHealth.seenAt[field] && rates.missing[field] >= PARSER_HEALTH_THRESHOLD);
+        return fallback || fields.length > 0 ? { kind, fallback, fields } : null;
+    }).filter(Boolean);
+}
+
+/**
+ * Describes the issues for the popup and the dashboard.
+ * @param {Array<Object>} issues - Result of getParserHealthIssues
+ * @returns {string}
+ */
+function getParserHealthText(issues) {
+    const labels = [];
+    issues.forEach(issue => {
+        if (issue.fallback) labels.push(PARSER_FALLBACK_LABELS[issue.kind]);
+        issue.fields.forEach(field => labels.push(PARSER_HEALTH_FIELDS[issue.kind][field]));
+    });
+    return `تغير تصميم مستقل — لم يتم التعرف على ${[...new Set(labels)].join('/')}`;
+}
@@ -0,0 +1,216 @@
+// ==========================================
+// Frelancia - Polling Schedule
+// ==========================================
+// Shared by the background service worker (importScripts), the dashboard and
+// the popup. Time bands rely on quiet-schedule.js.
+//
+// The polling interval depends on the time of day: each band of
+// `settings.pollingBands` ({ start, end, interval }, wrapping past midnight
+// when end <= start) has its own interval and `settings.interval` applies
+// outside every band. A saved search may override it with its own `interval`.
+// The `checkJobs` alarm runs at the shortest interval any enabled search needs
+// and each search is only fetched once its own interval has elapsed.
+//
+// When Mostaql refuses a fetch (429, a 5xx or a Cloudflare challenge page)
+// polling backs off exponentially from the normal interval. The state is kept
+// in storage (`pollingBackoff`) so the popup and the dashboard can show that
+// polling is blocked, and is removed by the first fetch that succeeds.
+
+/** Shortest wait after the first refused fetch. */
+const POLLING_BACKOFF_BASE_MINUTES = 2;
+
+/** Longest wait between two attempts while blocked. */
+const POLLING_BACKOFF_MAX_MINUTES = 60;
+
+/** Why Mostaql refused a fetch. */
+const POLLING_BLOCK_REASONS = {
+    challenge: 'تحقق Cloudflare',
+    rateLimited: 'طلبات كثيرة (429)',
+    serverError: 'خطأ في خادم مستقل'
+};
+
+/** Statuses Cloudflare serves its challenge pages with. */
+const POLLING_CHALLENGE_STATUSES = [403, 503];
+
+/**
+ * Markup only found on a Cloudflare challenge page: its script path, its
+ * `cf-chl`/`_cf_chl_opt` ids and its titles. The bare brand name is not used
+ * since project pages often mention it.
+ */
+const POLLING_CHALLENGE_MARKERS = [
+    /\/cdn-cgi\/challenge-platform\//,
+    /cf[-_]chl/,
+    /<title>\s*(Just a moment|Attention Required)/i
+];
+
+/** Tolerance for alarms firing slightly early when deciding a search is due. */
+const POLLING_DUE_SLACK_MS = 30000;
+
+// --- Time Bands ---
+
+/**
+ * Creates a time band with default values for any missing field.
+ * @param {Object} fields - Partial band
+ * @returns {Object} - { start, end, interval }
+ */
+function createPollingBand(fields = {}) {
+    return {
+        start: fields.start || '09:00',
+        end: fields.end || '23:00',
+        interval: Math.max(1, parseInt(fields.interval) || 1)
+    };
+}
+
+/**
+ * Checks whether a band covers a time of day.
+ * @param {Object} band - Result of createPollingBand
+ * @param {number} minutes - Minutes since midnight
+ * @returns {boolean}
+ */
+function isInPollingBand(band, minutes) {
+    const start = parseTimeOfDay(band.start);
+    const end = parseTimeOfDay(band.end);
+    if (start === null || end === null || start === end) return false;
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Returns the polling interval at a given time: the first band covering it,
+ * or the base interval.
+ * @param {Object} settings - Settings with `interval` and `pollingBands`
+ * @param {Date} [date]
+ * @returns {number} - Minutes
+ */
+function getPollingInterval(settings = {}, date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const band = (settings.pollingBands || []).map(createPollingBand).find(b => isInPollingBand(b, minutes));
+    return band ? band.interval : Math.max(1, parseInt(settings.interval) || 1);
+}
+
+/**
+ * Returns the interval of a saved search: its override, or the schedule.
+ * @param {Object} search - Saved search
+ * @param {Object} settings - Settings
+ * @param {Date} [date]
+ * @returns {number} - Minutes
+ */
+function getSearchPollingInterval(search, settings = {}, date = new Date()) {
+    return parseInt(search.interval) || getPollingInterval(settings, date);
+}
+
+/**
+ * Returns the period of the `checkJobs` alarm: the shortest interval of the
+ * enabled searches.
+ * @param {Array<Object>} searches - Enabled saved searches
+ * @param {Object} settings - Settings
+ * @param {Date} [date]
+ * @returns {number} - Minutes
+ */
+function getPollingAlarmPeriod(searches, settings = {}, date = new Date()) {
+    const intervals = searches.map(search => getSearchPollingInterval(search, settings, date));
+    return intervals.length > 0 ? Math.min(...intervals) : getPollingInterval(settings, date);
+}
+
+/**
+ * Checks whether a search has waited its interval since it was last fetched.
+ * @param {Object} search - Saved search
+ * @param {Object} settings - Settings
+ * @param {number|undefined} lastPolledAt - Epoch ms of its last fetch
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+function isSearchPollDue(search, settings, lastPolledAt, date = new Date()) {
+    if (!lastPolledAt) return true;
+    const interval = getSearchPollingInterval(search, settings, date);
+    return date.getTime() - lastPolledAt >= interval * 60000 - POLLING_DUE_SLACK_MS;
+}
+
+/**
+ * Finds the next time a band starts or ends, when the alarm period may change.
+ * @param {Object} settings - Settings with `pollingBands`
+ * @param {Date} [date]
+ * @returns {Date|null} - null without bands
+ */
+function getNextPollingBoundary(settings = {}, date = new Date()) {
+    const bounds = (settings.pollingBands || [])
+        .map(createPollingBand)
+        .flatMap(band => [parseTimeOfDay(band.start), parseTimeOfDay(band.end)])
+        .filter(minutes => minutes !== null);
+    if (bounds.length === 0) return null;
+
+    // Minutes ahead, from 1 (the next minute) to 1440 (this minute tomorrow)
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const ahead = Math.min(...bounds.map(bound => ((bound - minutes + 1439) % 1440) + 1));
+    const next = new Date(date);
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + ahead);
+    return next;
+}
+
+// --- Backoff ---
+
+/**
+ * Tells whether a Mostaql response means polling should back off. A challenge
+ * is recognized by the `cf-mitigated: challenge` header, or by a 403/503 whose
+ * body is the challenge page; a project page that merely talks about
+ * Cloudflare is a usable response.
+ * @param {number} status - HTTP status
+ * @param {string} [html] - Response body
+ * @param {string|null} [mitigated] - `cf-mitigated` response header
+ * @returns {string|null} - Key of POLLING_BLOCK_REASONS, or null for a usable response
+ */
+function getPollingBlockReason(status, html = '', mitigated = null) {
+    if (mitigated === 'challenge') return 'challenge';
+    if (POLLING_CHALLENGE_STATUSES.includes(status) && POLLING_CHALLENGE_MARKERS.some(marker => marker.test(html))) return 'challenge';
+    if (status === 429) return 'rateLimited';
+    if (status >= 500) return 'serverError';
+    return null;
+}
+
+/**
+ * Records a refused fetch. Failures while already waiting (e.g. the other
+ * searches of the same check) do not lengthen the wait.
+ * @param {Object|null} state - Current `pollingBackoff`
+ * @param {string} reason - Key of POLLING_BLOCK_REASONS
+ * @param {number} intervalMinutes - Normal polling interval
+ * @param {number} [now] - Epoch ms
+ * @returns {Object} - { reason, failures, since, nextAttemptAt }
+ */
+function recordPollingFailure(state, reason, intervalMinutes, now = Date.now()) {
+    if (isPollingBackedOff(state, now)) return { ...state, reason };
+
+    const failures = (state ? state.failures : 0) + 1;
+    const base = Math.max(POLLING_BACKOFF_BASE_MINUTES, intervalMinutes || 1);
+    const minutes = Math.min(POLLING_BACKOFF_MAX_MINUTES, base * 2 ** (failures - 1));
+    return {
+        reason,
+        failures,
+        since: state ? state.since : now,
+        nextAttemptAt: now + minutes * 60000
+    };
+}
+
+/**
+ * Tells whether polling has to wait before the next attempt.
+ * @param {Object|null} state - Current `pollingBackoff`
+ * @param {number} [now] - Epoch ms
+ * @returns {boolean}
+ */
+function isPollingBackedOff(state, now = Date.now()) {
+    return !!state && now < state.nextAttemptAt;
+}
+
+/**
+ * Describes a blocked state for the popup and the dashboard.
+ * @param {Object} state - Current `pollingBackoff`
+ * @param {number} [now] - Epoch ms
+ * @returns {string}
+ */
+function getPollingBlockText(state, now = Date.now()) {
+    const reason = POLLING_BLOCK_REASONS[state.reason] || state.reason;
+    const minutes = Math.ceil((state.nextAttemptAt - now) / 60000);
+    const retry = minutes > 0 ? `المحاولة التالية بعد ${minutes} دقيقة` : 'المحاولة التالية في الفحص القادم';
+    return `الفحص محظور (${reason}) — افتح mostaql.com. ${retry}`;
+}
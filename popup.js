@@ -15,9 +15,23 @@ document.addEventListener('DOMContentLoaded', () => {
 // Load Stats
 // ==========================================
 function loadStats() {
-  chrome.storage.local.get(['stats', 'seenJobs'], (data) => {
+  chrome.storage.local.get(['stats', 'pollingBackoff', 'parserHealth'], (data) => {
     const stats = data.stats || {};
-    const seenJobs = data.seenJobs || [];
+
+    // Polling blocked by Mostaql (stays until a fetch succeeds)
+    const blocked = !!data.pollingBackoff;
+    document.getElementById('blockedBanner').classList.toggle('hidden', !blocked);
+    document.getElementById('statusDot').className = blocked ? 'dot blocked' : 'dot active';
+    if (blocked) {
+      document.getElementById('blockedText').textContent = getPollingBlockText(data.pollingBackoff);
+    }
+
+    // Mostaql markup changed (parses keep falling back or missing fields)
+    const issues = getParserHealthIssues(data.parserHealth);
+    document.getElementById('layoutBanner').classList.toggle('hidden', issues.length === 0);
+    if (issues.length > 0) {
+      document.getElementById('layoutText').textContent = getParserHealthText(issues);
+    }
 
     // Last check time formatting
     if (stats.lastCheck) {
@@ -43,7 +57,7 @@ function loadStats() {
 
     // Update counts
     document.getElementById('todayCount').textContent = stats.todayCount || 0;
-    document.getElementById('totalSeen').textContent = seenJobs.length;
+    document.getElementById('totalSeen').textContent = stats.totalSeen || 0;
   });
 }
 
@@ -76,6 +90,14 @@ function setupEventListeners() {
     });
   }
 
+  // Open Mostaql to get past a block
+  const openMostaqlBtn = document.getElementById('openMostaqlBtn');
+  if (openMostaqlBtn) {
+    openMostaqlBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'openMostaql' });
+    });
+  }
+
   // Check Connection (Diagnostics)
   const connBtn = document.getElementById('checkConnectionBtn');
   const connReport = document.getElementById('connectionReport');
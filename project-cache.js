@@ -0,0 +1,157 @@
+// ==========================================
+// Project Page Cache
+// ==========================================
+// Loaded by the background service worker (importScripts), after
+// polling-schedule.js and request-scheduler.js. A project page fetched by the deep check, the
+// enrichment of new jobs, a tracked project check or the content script
+// (through `fetchMostaql`) is reused by the others until it expires. They all
+// read the public page (`credentials: 'omit'`); entries are still keyed by
+// project id and credentials so a signed-in fetch never serves a public one
+// or the reverse. A `cache: 'no-store'` fetch always goes to Mostaql and
+// refreshes the entry. Entries are kept in memory, so a service worker restart
+// starts with an empty cache.
+
+/** How long a fetched project page is reused. */
+const PROJECT_CACHE_TTL_MS = 2 * 60 * 1000;
+
+/** Pages kept at most (the oldest are dropped first). */
+const PROJECT_CACHE_MAX_ENTRIES = 100;
+
+/** Project pages fetched and parsed at once when enriching new jobs. */
+const PROJECT_DETAILS_CONCURRENCY = 4;
+
+/**
+ * Extracts the project id from a project URL.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function getProjectIdFromUrl(url) {
+    const match = /\/project\/(\d+)/.exec(url || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Caches project pages, and what was parsed from them, for a short time.
+ * Pages are fetched through `mostaqlScheduler`; failed fetches and refused
+ * ones (see getPollingBlockReason) are not kept.
+ */
+class ProjectPageCache {
+    constructor({ ttlMs, maxEntries }) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns a project page, fetching it unless a fresh copy is cached (or
+     * the caller asked for `cache: 'no-store'`, which still stores the fresh
+     * page for the others). Other URLs are fetched through the scheduler
+     * without caching.
+     * @param {string} url - Project URL
+     * @param {Object} options - fetch options
+     * @param {string} priority - Key of REQUEST_PRIORITIES
+     * @returns {Promise<Object>} - { ok, status, url, text, mitigated }
+     */
+    getPage(url, options, priority) {
+        const id = this.getCacheKey(url, options);
+        if (!id) return mostaqlScheduler.request(url, options, priority);
+
+        const cached = options.cache === 'no-store' ? null : this.getEntry(id);
+        if (cached) {
+            // A more urgent caller moves a still queued fetch up
+            mostaqlScheduler.prioritize(cached.key, priority);
+            return cached.page;
+        }
+
+        const page = mostaqlScheduler.request(url, options, priority);
+        const entry = { at: Date.now(), key: mostaqlScheduler.getRequestKey(url, options), page, parsed: {} };
+        this.entries.set(id, entry);
+        this.prune();
+
+        page.then(result => {
+            if (!result.ok || getPollingBlockReason(result.status, result.text, result.mitigated)) this.remove(id, entry);
+        }, () => this.remove(id, entry));
+        return page;
+    }
+
+    /**
+     * Returns what `parse` extracts from a project page, parsing each page
+     * once per kind while it is cached.
+     * @param {string} url - Project URL
+     * @param {string} kind - Name of the parse, e.g. 'details'
+     * @param {Object} options - fetch options
+     * @param {string} priority - Key of REQUEST_PRIORITIES
+     * @param {Function} parse - async (page) => parsed value, null when unusable
+     * @returns {Promise<*>}
+     */
+    getParsed(url, kind, options, priority, parse) {
+        const page = this.getPage(url, options, priority);
+        const entry = this.entries.get(this.getCacheKey(url, options));
+        if (!entry || entry.page !== page) return page.then(parse);
+
+        if (!entry.parsed[kind]) {
+            entry.parsed[kind] = page.then(parse);
+            // Unusable results (e.g. an offscreen timeout) are parsed again next time
+            entry.parsed[kind].then(value => {
+                if (value === null) delete entry.parsed[kind];
+            }, () => delete entry.parsed[kind]);
+        }
+        return entry.parsed[kind];
+    }
+
+    /**
+     * Identifies the cached copy of a project page. Signed-in (`include`) and
+     * public (`omit`) fetches of the same project return different pages, so
+     * they are kept apart.
+     * @param {string} url - Project URL
+     * @param {Object} options - fetch options
+     * @returns {string|null} - "<id>|<credentials>", or null for other URLs
+     */
+    getCacheKey(url, options = {}) {
+        const id = getProjectIdFromUrl(url);
+        return id ? `${id}|${options.credentials || 'same-origin'}` : null;
+    }
+
+    /**
+     * Returns the cached entry of a project if it has not expired.
+     * @param {string} id - Result of getCacheKey
+     * @returns {Object|null}
+     */
+    getEntry(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+        if (Date.now() - entry.at > this.ttlMs) {
+            this.entries.delete(id);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Removes an entry unless it was replaced in the meantime.
+     * @param {string} id - Result of getCacheKey
+     * @param {Object} entry - Entry to remove
+     */
+    remove(id, entry) {
+        if (this.entries.get(id) === entry) this.entries.delete(id);
+    }
+
+    /**
+     * Drops expired entries, then the oldest ones above the size limit.
+     */
+    prune() {
+        const now = Date.now();
+        for (const [id, entry] of this.entries) {
+            if (now - entry.at > this.ttlMs) this.entries.delete(id);
+        }
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+// Create global instance
+const projectPageCache = new ProjectPageCache({
+    ttlMs: PROJECT_CACHE_TTL_MS,
+    maxEntries: PROJECT_CACHE_MAX_ENTRIES
+});
@@ -0,0 +1,196 @@
+// ==========================================
+// Frelancia - Tracked Project History
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+//
+// Every check of a tracked project records a snapshot in the archive
+// database. Consecutive identical checks collapse into one snapshot whose
+// `confirmedAt` moves forward, so the timeline only grows when something
+// actually changed.
+
+/** Maximum snapshots kept per project (oldest are dropped first). */
+const MAX_PROJECT_SNAPSHOTS = 50;
+
+/** Compared fields and their labels, in notification order. */
+const TRACKED_FIELDS = {
+    awarded: 'الترسية',
+    status: 'الحالة',
+    budget: 'الميزانية',
+    duration: 'مدة التنفيذ',
+    bidsCount: 'عدد العروض',
+    communications: 'التواصلات',
+    attachments: 'المرفقات',
+    description: 'الوصف'
+};
+
+// --- Change Detection ---
+
+/**
+ * Picks the compared fields out of parsed project details.
+ * @param {Object} details - Result of parseProjectDetails (or a tracked project)
+ * @returns {Object} - Snapshot fields
+ */
+function getProjectSnapshotFields(details) {
+    const fields = {};
+    Object.keys(TRACKED_FIELDS).forEach(key => {
+        if (details[key] !== undefined) fields[key] = details[key];
+    });
+    return fields;
+}
+
+/**
+ * Compares two states of a project. Fields missing from the previous state
+ * are treated as a baseline, not as a change.
+ * @param {Object} previous - Previous snapshot or tracked project
+ * @param {Object} current - Freshly parsed details
+ * @returns {Array<Object>} - [{ field, label, from, to, added? }]
+ */
+function detectProjectChanges(previous, current) {
+    const changes = [];
+    const known = (key) => previous[key] !== undefined && current[key] !== undefined;
+
+    if (known('awarded') && !previous.awarded && current.awarded) {
+        changes.push({ field: 'awarded', label: TRACKED_FIELDS.awarded, from: '', to: 'تمت ترسية المشروع' });
+    }
+
+    ['status', 'budget', 'duration', 'bidsCount', 'communications'].forEach(key => {
+        if (key === 'status' && changes.length > 0) return; // the award already says it
+        if (known(key) && normalizeWhitespace(String(previous[key])) !== normalizeWhitespace(String(current[key]))) {
+            changes.push({ field: key, label: TRACKED_FIELDS[key], from: previous[key], to: current[key] });
+        }
+    });
+
+    if (known('attachments')) {
+        const before = new Set(previous.attachments.map(a => a.url));
+        const added = current.attachments.filter(a => !before.has(a.url));
+        if (added.length > 0) {
+            changes.push({ field: 'attachments', label: TRACKED_FIELDS.attachments, from: '', to: added.map(a => a.name).join('، '), added });
+        }
+    }
+
+    if (known('description') && normalizeWhitespace(previous.description) !== normalizeWhitespace(current.description)) {
+        changes.push({ field: 'description', label: TRACKED_FIELDS.description, from: '', to: 'تم تعديل الوصف' });
+    }
+
+    return changes;
+}
+
+/**
+ * Formats changes as notification lines.
+ * @param {Array<Object>} changes - Result of detectProjectChanges
+ * @returns {string}
+ */
+function formatProjectChanges(changes) {
+    return changes.map(change => {
+        if (change.field === 'attachments') return `مرفقات جديدة: ${change.to}`;
+        if (!change.from) return change.to;
+        return `${change.label}: ${change.from} -> ${change.to}`;
+    }).join('\n');
+}
+
+/**
+ * Collapses runs of whitespace so reflowed text does not count as an edit.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// --- Text Diff ---
+
+/**
+ * Word-level diff (longest common subsequence).
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} - [{ type: 'same' | 'added' | 'removed', text }]
+ */
+function diffWords(before, after) {
+    const a = normalizeWhitespace(before).split(' ').filter(Boolean);
+    const b = normalizeWhitespace(after).split(' ').filter(Boolean);
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, word) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += ' ' + word;
+        else parts.push({ type, text: word });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { push('same', a[i]); i++; j++; }
+        else if (lengths[i + 1][j] >= lengths[i][j + 1]) push('removed', a[i++]);
+        else push('added', b[j++]);
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return parts;
+}
+
+// --- Snapshots ---
+
+/**
+ * Returns a project's snapshots, oldest first.
+ * @param {string} projectId - Tracked project id
+ * @returns {Promise<Array<Object>>}
+ */
+async function getProjectSnapshots(projectId) {
+    const snapshots = await withJobArchive('readonly',
+        (store) => archiveRequest(store.index('projectId').getAll(projectId)), PROJECT_SNAPSHOT_STORE);
+    return snapshots.sort((x, y) => x.takenAt - y.takenAt);
+}
+
+/**
+ * Records the result of a check. An unchanged check only refreshes the
+ * latest snapshot's `confirmedAt`.
+ * @param {string} projectId - Tracked project id
+ * @param {Object} details - Freshly parsed details
+ * @param {Array<Object>} changes - Result of detectProjectChanges
+ * @returns {Promise<void>}
+ */
+async function recordProjectSnapshot(projectId, details, changes) {
+    const now = Date.now();
+
+    await withJobArchive('readwrite', async (store) => {
+        const snapshots = (await archiveRequest(store.index('projectId').getAll(projectId)))
+            .sort((x, y) => x.takenAt - y.takenAt);
+        const latest = snapshots[snapshots.length - 1];
+
+        if (latest && changes.length === 0) {
+            store.put({ ...latest, ...getProjectSnapshotFields(details), confirmedAt: now });
+            return;
+        }
+
+        store.add({ projectId, takenAt: now, confirmedAt: now, ...getProjectSnapshotFields(details), changes });
+        snapshots.slice(0, Math.max(0, snapshots.length + 1 - MAX_PROJECT_SNAPSHOTS))
+            .forEach(snapshot => store.delete(snapshot.key));
+    }, PROJECT_SNAPSHOT_STORE);
+}
+
+/**
+ * Deletes the snapshots of projects that are no longer tracked.
+ * @param {Array<string>} trackedIds - Ids still tracked
+ * @returns {Promise<void>}
+ */
+async function pruneProjectSnapshots(trackedIds) {
+    const keep = new Set(trackedIds);
+    await withJobArchive('readwrite', (store) => new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve();
+            if (!keep.has(cursor.value.projectId)) cursor.delete();
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    }), PROJECT_SNAPSHOT_STORE);
+}
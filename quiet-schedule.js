@@ -0,0 +1,137 @@
+// ==========================================
+// Frelancia - Quiet Schedule
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+//
+// Each watch profile has a weekly schedule (one rule per weekday) and every
+// profile is quiet during the vacation ranges (`quietVacations` in storage).
+// Jobs a profile would have announced during quiet time are queued
+// (`quietQueue`) and delivered as one digest once it is over.
+
+/** Weekday names, indexed like Date#getDay (0 = Sunday). */
+const QUIET_WEEKDAYS = ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
+
+/** Per-day quiet modes. */
+const QUIET_DAY_MODES = {
+    off: 'بدون هدوء',
+    hours: 'ساعات محددة',
+    all: 'اليوم كاملاً'
+};
+
+/** Maximum jobs kept waiting for a digest (oldest are dropped first). */
+const MAX_QUIET_QUEUE = 200;
+
+// --- Schedule ---
+
+/**
+ * Builds a weekly schedule, filling missing days. Profiles saved before the
+ * weekly schedule get their single daily range on every day.
+ * @param {Object} fields - Profile fields (`quietSchedule` or legacy `quietHoursStart`/`quietHoursEnd`)
+ * @returns {Array<Object>} - Seven { mode, start, end } rules, Sunday first
+ */
+function createQuietSchedule(fields = {}) {
+    const legacy = fields.quietHoursStart && fields.quietHoursEnd
+        ? { mode: 'hours', start: fields.quietHoursStart, end: fields.quietHoursEnd }
+        : { mode: 'off', start: '', end: '' };
+
+    return QUIET_WEEKDAYS.map((name, day) => {
+        const rule = (fields.quietSchedule || [])[day] || legacy;
+        return {
+            mode: QUIET_DAY_MODES[rule.mode] ? rule.mode : 'off',
+            start: rule.start || '',
+            end: rule.end || ''
+        };
+    });
+}
+
+/**
+ * Converts "HH:MM" to minutes since midnight.
+ * @param {string} time
+ * @returns {number|null}
+ */
+function parseTimeOfDay(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Formats a date as a local "YYYY-MM-DD" key (the value of a date input).
+ * @param {Date} date
+ * @returns {string}
+ */
+function getLocalDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Finds the vacation covering a date.
+ * @param {Array<Object>} vacations - [{ id, start, end, label }] with inclusive "YYYY-MM-DD" bounds
+ * @param {Date} [date]
+ * @returns {Object|null}
+ */
+function getActiveVacation(vacations = [], date = new Date()) {
+    const today = getLocalDateKey(date);
+    return vacations.find(v => v.start && v.end && v.start <= today && today <= v.end) || null;
+}
+
+/**
+ * Checks whether a profile is quiet at a given time. A range that wraps past
+ * midnight (23:00 - 07:00) belongs to the day it starts on, so Thursday's
+ * night range still applies early on Friday.
+ * @param {Object} profile - Watch profile
+ * @param {Array<Object>} [vacations] - Vacation ranges
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+function isQuietTime(profile, vacations = [], date = new Date()) {
+    if (getActiveVacation(vacations, date)) return true;
+    if (!profile.quietHoursEnabled) return false;
+
+    const schedule = createQuietSchedule(profile);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = schedule[date.getDay()];
+    const yesterday = schedule[(date.getDay() + 6) % 7];
+
+    if (today.mode === 'all') return true;
+
+    if (today.mode === 'hours') {
+        const start = parseTimeOfDay(today.start);
+        const end = parseTimeOfDay(today.end);
+        if (start !== null && end !== null) {
+            if (start < end && minutes >= start && minutes < end) return true;
+            if (start >= end && minutes >= start) return true;
+        }
+    }
+
+    if (yesterday.mode === 'hours') {
+        const start = parseTimeOfDay(yesterday.start);
+        const end = parseTimeOfDay(yesterday.end);
+        if (start !== null && end !== null && start >= end && minutes < end) return true;
+    }
+
+    return false;
+}
+
+/**
+ * Summarizes a weekly schedule, grouping days that share a rule.
+ * @param {Array<Object>} schedule - Result of createQuietSchedule
+ * @returns {string} - e.g. "الجمعة: اليوم كاملاً، باقي الأيام: 23:00 - 07:00"
+ */
+function formatQuietSchedule(schedule) {
+    const groups = new Map();
+    schedule.forEach((rule, day) => {
+        if (rule.mode === 'off') return;
+        const label = rule.mode === 'all' ? QUIET_DAY_MODES.all : `${rule.start} - ${rule.end}`;
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(day);
+    });
+
+    if (groups.size === 0) return '';
+    if (groups.size === 1 && [...groups.values()][0].length === 7) return [...groups.keys()][0];
+
+    return [...groups.entries()].map(([label, days]) => {
+        const names = days.length === 7 ? 'كل الأيام' : days.map(day => QUIET_WEEKDAYS[day]).join('، ');
+        return `${names}: ${label}`;
+    }).join(' | ');
+}
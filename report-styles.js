@@ -0,0 +1,217 @@
+// ==========================================
+// Frelancia - Report Styles
+// ==========================================
+// Shared by the content script (project exports) and the digest reports, so
+// every generated HTML report looks the same.
+
+/** Stylesheet of the generated HTML reports. */
+const REPORT_STYLES = `
+    :root {
+        --primary: #2386c8;
+        --primary-light: #e3f2fd;
+        --text-main: #2c3e50;
+        --text-muted: #7f8c8d;
+        --bg-body: #f8fafc;
+        --bg-card: #ffffff;
+        --border-color: #e2e8f0;
+        --radius: 12px;
+        --shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+    }
+
+    * { box-sizing: border-box; }
+    body { 
+        font-family: 'Cairo', sans-serif; 
+        background: var(--bg-body); 
+        padding: 40px 20px; 
+        line-height: 1.6; 
+        color: var(--text-main); 
+        margin: 0;
+        font-size: 14px;
+    }
+
+    .container { 
+        max-width: 950px; 
+        margin: auto; 
+        background: var(--bg-card); 
+        padding: 40px; 
+        border-radius: var(--radius); 
+        box-shadow: var(--shadow); 
+    }
+
+    header { 
+        text-align: center; 
+        margin-bottom: 50px; 
+        padding-bottom: 25px; 
+        border-bottom: 2px solid var(--primary-light); 
+    }
+    h1 { 
+        margin: 0; 
+        color: var(--primary); 
+        font-size: 28px; 
+        font-weight: 700;
+    }
+    .date-stamp { color: var(--text-muted); font-size: 14px; margin-top: 8px; font-weight: 400; }
+
+    section { 
+        margin-bottom: 20px; 
+    }
+    h2 { 
+        color: var(--text-main); 
+        font-size: 19px; 
+        font-weight: 700;
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        margin-bottom: 12px;
+    }
+    h2::before {
+        content: '';
+        display: none;
+    }
+
+    h3 { font-size: 15px; color: var(--primary); margin: 15px 0 8px; font-weight: 600; }
+
+    .info-card { 
+        background: #fbfcfd; 
+        border: 1px solid var(--border-color); 
+        border-radius: var(--radius); 
+        padding: 12px 16px;
+        margin-bottom: 12px;
+    }
+
+    .info-grid { 
+        display: grid; 
+        grid-template-columns: repeat(2, 1fr); 
+        gap: 8px 12px; 
+    }
+    .info-grid.col-3 { 
+        grid-template-columns: repeat(3, 1fr); 
+    }
+    .info-item { 
+        display: flex; 
+        flex-direction: column; 
+        padding: 3px 5px;
+        border-bottom: 1px solid #f8fafc;
+    }
+    .info-item.full-width {
+        grid-column: 1 / -1;
+    }
+    .info-label { font-size: 11px; color: var(--text-muted); font-weight: 600; margin-bottom: 1px; }
+    .info-value { font-size: 13.5px; color: var(--text-main); font-weight: 700; }
+
+    .content-box { 
+        background: #fff; 
+        border: 1px solid var(--border-color); 
+        padding: 15px; 
+        border-radius: var(--radius); 
+        white-space: pre-wrap; 
+        font-size: 13.5px; 
+        line-height: 1.5;
+        color: #334155;
+    }
+
+    .tags-cloud { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 15px; }
+    .tag-pill { 
+        background: var(--primary-light); 
+        color: var(--primary); 
+        padding: 5px 14px; 
+        border-radius: 50px; 
+        font-size: 13px; 
+        font-weight: 600; 
+        border: 1px solid #bbdefb;
+        transition: all 0.2s;
+    }
+
+    .chat-container { display: flex; flex-direction: column; gap: 20px; margin-top: 30px; }
+    .msg-row { display: flex; width: 100%; align-items: flex-start; }
+    .msg-row.us { flex-direction: row-reverse; }
+
+    .avatar-col { width: 60px; flex-shrink: 0; padding: 0 10px; text-align: center; }
+    .avatar-col img { 
+        width: 45px; 
+        height: 45px; 
+        border-radius: 50%; 
+        border: 3px solid #fff; 
+        box-shadow: 0 4px 10px rgba(0,0,0,0.1); 
+    }
+
+    .bubble { 
+        max-width: 80%; 
+        padding: 12px 18px; 
+        border-radius: 18px; 
+        box-shadow: 0 2px 10px rgba(0,0,0,0.02); 
+        font-size: 13px; 
+    }
+    .msg-row { page-break-inside: avoid; margin-bottom: 15px; }
+    .us .bubble { background: #e3f2fd; color: #1e293b; border-top-right-radius: 4px; }
+    .other .bubble { background: #fff; border: 1px solid var(--border-color); border-top-left-radius: 4px; }
+
+    .sender-name { font-weight: 700; font-size: 12.5px; display: block; margin-bottom: 8px; color: var(--primary); }
+    .time { font-size: 11px; color: var(--text-muted); display: block; margin-top: 10px; }
+
+    .attachment-preview { margin-top: 20px; }
+    .attachment-preview img { 
+        max-width: 100%; 
+        max-height: 500px; 
+        border-radius: var(--radius); 
+        border: 1px solid var(--border-color); 
+        object-fit: contain;
+        box-shadow: var(--shadow);
+    }
+    .attach-link { 
+        display: inline-flex; 
+        align-items: center; 
+        gap: 8px;
+        color: var(--primary); 
+        text-decoration: none; 
+        font-size: 12.5px; 
+        margin-top: 12px; 
+        font-weight: 600;
+        padding: 8px 15px;
+        background: var(--primary-light);
+        border-radius: 8px;
+    }
+
+    .container { counter-reset: section; }
+    section h2::before {
+        counter-increment: section;
+        content: counter(section) ". ";
+    }
+
+    .page-break { page-break-before: always; }
+
+    /* Digest tables */
+    .report-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    .report-table th { text-align: right; font-size: 11px; color: var(--text-muted); font-weight: 600; padding: 6px 8px; border-bottom: 2px solid var(--border-color); }
+    .report-table td { padding: 8px; border-bottom: 1px solid var(--border-color); vertical-align: top; }
+    .report-table a { color: var(--primary); font-weight: 700; text-decoration: none; }
+    .report-score { display: inline-block; min-width: 34px; text-align: center; font-weight: 700; border-radius: 50px; padding: 2px 8px; background: var(--primary-light); color: var(--primary); }
+    .report-empty { color: var(--text-muted); text-align: center; padding: 12px; }
+
+    @media print {
+        body { background: #fff !important; padding: 0 !important; }
+        .container { box-shadow: none !important; border: none !important; width: 100% !important; max-width: none !important; padding: 0 !important; }
+        .no-print { display: none !important; }
+        .info-card, .content-box, .bubble { border: 1px solid #e2e8f0 !important; page-break-inside: auto !important; }
+        h1, h2, h3 { color: #000 !important; page-break-after: avoid !important; }
+        .msg-row { page-break-inside: avoid !important; }
+    }
+`;
+
+/**
+ * Renders the <head> of a generated report (fonts, icons and REPORT_STYLES).
+ * @param {string} title - Document title
+ * @returns {string} - HTML
+ */
+function renderReportHead(title) {
+    return `
+    <head>
+        <meta charset="UTF-8">
+        <title>${title}</title>
+        <link rel="preconnect" href="https://fonts.googleapis.com">
+        <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+        <link href="https://fonts.googleapis.com/css2?family=Cairo:wght@300;400;600;700&display=swap" rel="stylesheet">
+        <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/4.7.0/css/font-awesome.min.css">
+        <style>${REPORT_STYLES}</style>
+    </head>`;
+}
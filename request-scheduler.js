@@ -0,0 +1,178 @@
+// ==========================================
+// Request Scheduler for Mostaql Fetches
+// ==========================================
+// Loaded by the background service worker (importScripts). Every request to
+// mostaql.com goes through `mostaqlScheduler`, including the ones the
+// dashboard and the content script make through the `fetchMostaql` message,
+// so the extension as a whole stays under one request budget.
+
+/** Order in which queued requests are sent (lower first). */
+const REQUEST_PRIORITIES = {
+    scan: 0,         // New-job listings
+    interactive: 1,  // Something the user is waiting for (bid tracker, project page)
+    tracked: 2,      // Tracked project checks
+    enrichment: 3    // Project details of new jobs
+};
+
+/** Requests sent at most in any 60 seconds. */
+const MOSTAQL_REQUESTS_PER_MINUTE = 40;
+
+/** Shortest gap between two requests. */
+const MOSTAQL_REQUEST_GAP_MS = 250;
+
+/** Random delay added to the gap so requests do not arrive on a fixed beat. */
+const MOSTAQL_REQUEST_JITTER_MS = 750;
+
+/**
+ * Queues requests by priority and sends them under a requests-per-minute
+ * budget with a jittered gap. Concurrent requests for the same URL and
+ * options share one fetch. Results are plain { ok, status, url, text, mitigated }
+ * objects so they can be shared and sent over runtime messages.
+ */
+class RequestScheduler {
+    constructor({ requestsPerMinute, gapMs, jitterMs }) {
+        this.requestsPerMinute = requestsPerMinute;
+        this.gapMs = gapMs;
+        this.jitterMs = jitterMs;
+        this.queue = [];
+        this.pending = new Map();
+        this.sentAt = [];
+        this.nextGapMs = 0;
+        this.sequence = 0;
+        this.pumping = false;
+    }
+
+    /**
+     * Schedules a fetch.
+     * @param {string} url - URL to fetch
+     * @param {Object} [options] - fetch options
+     * @param {string} [priority] - Key of REQUEST_PRIORITIES
+     * @returns {Promise<Object>} - { ok, status, url, text, mitigated }; rejects on network errors
+     */
+    request(url, options = {}, priority = 'enrichment') {
+        const key = this.getRequestKey(url, options);
+        const pending = this.pending.get(key);
+        if (pending) {
+            this.prioritize(key, priority);
+            return pending;
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({
+                key,
+                url,
+                options,
+                priority: REQUEST_PRIORITIES[priority] ?? REQUEST_PRIORITIES.enrichment,
+                sequence: this.sequence++,
+                resolve,
+                reject
+            });
+        });
+        this.pending.set(key, promise);
+        promise.then(() => this.pending.delete(key), () => this.pending.delete(key));
+
+        this.pump();
+        return promise;
+    }
+
+    /**
+     * Moves a request that is still queued up when a more urgent caller needs it.
+     * @param {string} key - Result of getRequestKey
+     * @param {string} priority - Key of REQUEST_PRIORITIES
+     */
+    prioritize(key, priority) {
+        const task = this.queue.find(t => t.key === key);
+        if (task) task.priority = Math.min(task.priority, REQUEST_PRIORITIES[priority] ?? REQUEST_PRIORITIES.enrichment);
+    }
+
+    /**
+     * Identifies requests that can share one fetch.
+     * @param {string} url
+     * @param {Object} options - fetch options
+     * @returns {string}
+     */
+    getRequestKey(url, options) {
+        const headers = options.headers || {};
+        return [options.method || 'GET', options.credentials || 'same-origin', headers['Accept'] || '', url].join(' ');
+    }
+
+    /**
+     * Sends queued requests one by one as the budget allows.
+     */
+    async pump() {
+        if (this.pumping) return;
+        this.pumping = true;
+
+        try {
+            while (this.queue.length > 0) {
+                const wait = this.getWaitMs(Date.now());
+                if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+                this.queue.sort((a, b) => (a.priority - b.priority) || (a.sequence - b.sequence));
+                const task = this.queue.shift();
+                this.sentAt.push(Date.now());
+                this.nextGapMs = this.gapMs + Math.random() * this.jitterMs;
+                this.send(task);
+            }
+        } finally {
+            this.pumping = false;
+        }
+    }
+
+    /**
+     * Returns how long the next request has to wait for the gap and the budget.
+     * @param {number} now - Epoch ms
+     * @returns {number} - ms
+     */
+    getWaitMs(now) {
+        this.sentAt = this.sentAt.filter(time => now - time < 60000);
+        if (this.sentAt.length === 0) return 0;
+
+        const last = this.sentAt[this.sentAt.length - 1];
+        const gapWait = last + this.nextGapMs - now;
+        const budgetWait = this.sentAt.length >= this.requestsPerMinute ? this.sentAt[0] + 60000 - now : 0;
+        return Math.max(gapWait, budgetWait, 0);
+    }
+
+    /**
+     * Fetches a task and settles its promise with the response body read.
+     * @param {Object} task - Queued request
+     */
+    async send(task) {
+        try {
+            const response = await fetch(task.url, task.options);
+            const text = await response.text();
+            // `cf-mitigated` marks a Cloudflare challenge (see getPollingBlockReason)
+            task.resolve({ ok: response.ok, status: response.status, url: response.url, text, mitigated: response.headers.get('cf-mitigated') });
+        } catch (error) {
+            task.reject(error);
+        }
+    }
+}
+
+/**
+ * Runs a worker over items with at most `limit` of them in progress.
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in the order of `items`
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+// Create global instance
+const mostaqlScheduler = new RequestScheduler({
+    requestsPerMinute: MOSTAQL_REQUESTS_PER_MINUTE,
+    gapMs: MOSTAQL_REQUEST_GAP_MS,
+    jitterMs: MOSTAQL_REQUEST_JITTER_MS
+});
@@ -9,7 +9,8 @@
 class SignalRClient {
     constructor() {
         this.connection = null;
-        this.serverUrl = 'https://frelancia.runasp.net/jobNotificationHub';
+        this.hub = null;
+        this.subscription = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 10;
@@ -36,15 +37,13 @@ class SignalRClient {
                 }
             }
 
-            console.log('SignalR: Initializing connection to', this.serverUrl);
+            // The hub is read on every connect so reconnects follow the settings
+            const data = await chrome.storage.local.get(['settings', 'signalRHubs']);
+            this.hub = getActiveSignalRHub(data);
+            console.log('SignalR: Initializing connection to', this.hub.url);
 
             this.connection = new signalR.HubConnectionBuilder()
-                .withUrl(this.serverUrl, {
-                    skipNegotiation: false,
-                    transport: signalR.HttpTransportType.WebSockets
-                        | signalR.HttpTransportType.ServerSentEvents
-                        | signalR.HttpTransportType.LongPolling
-                })
+                .withUrl(this.hub.url, this.getConnectionOptions(this.hub))
                 .withAutomaticReconnect({
                     nextRetryDelayInMilliseconds: (retryContext) => {
                         if (retryContext.elapsedMilliseconds < 60000) {
@@ -67,6 +66,8 @@ class SignalRClient {
                 signalRConnected: true,
                 signalRFallbackActive: false
             });
+            await this.sendSubscription(true);
+            await this.catchUp();
 
             if (this.onReconnectedCallback) {
                 this.onReconnectedCallback();
@@ -80,6 +81,70 @@ class SignalRClient {
         }
     }
 
+    /**
+     * Build the HTTP connection options of a hub.
+     * @param {Object} hub - Result of createSignalRHub
+     * @returns {Object}
+     */
+    getConnectionOptions(hub) {
+        const options = {
+            skipNegotiation: false,
+            transport: signalR.HttpTransportType.WebSockets
+                | signalR.HttpTransportType.ServerSentEvents
+                | signalR.HttpTransportType.LongPolling
+        };
+        if (hub.accessToken) {
+            options.accessTokenFactory = () => hub.accessToken;
+        }
+        return options;
+    }
+
+    /**
+     * Reconnect when the selected hub or its token changed since the last connect.
+     */
+    async applyHub() {
+        const data = await chrome.storage.local.get(['settings', 'signalRHubs']);
+        const hub = getActiveSignalRHub(data);
+        if (this.hub && hub.url === this.hub.url && hub.accessToken === this.hub.accessToken) {
+            return;
+        }
+
+        console.log('SignalR: Hub changed, switching to', hub.url);
+        await this.disconnect();
+        this.reconnectAttempts = 0;
+        await this.connect();
+    }
+
+    /**
+     * Open a throwaway connection to a hub to check its URL and token.
+     * @param {Object} hub - Result of createSignalRHub
+     * @returns {Promise<Object>} - { success, elapsedMs } or { success, error }
+     */
+    async testHub(hub) {
+        const connection = new signalR.HubConnectionBuilder()
+            .withUrl(hub.url, this.getConnectionOptions(hub))
+            .configureLogging(signalR.LogLevel.Warning)
+            .build();
+        const startedAt = Date.now();
+        let timer = null;
+
+        try {
+            await Promise.race([
+                connection.start(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error('انتهت مهلة الاتصال')), SIGNALR_TEST_TIMEOUT_MS);
+                })
+            ]);
+            return { success: true, elapsedMs: Date.now() - startedAt };
+        } catch (error) {
+            console.warn('SignalR: Hub test failed', hub.url, error);
+            return { success: false, error: error.message };
+        } finally {
+            clearTimeout(timer);
+            connection.stop().catch(() => {});
+        }
+    }
+
     /**
      * Register all SignalR event handlers.
      */
@@ -91,20 +156,12 @@ class SignalRClient {
         this.connection.on('NewJobsDetected', async (data) => {
             console.log('SignalR: New jobs detected', data);
 
-            if (!data || !Array.isArray(data.jobs)) {
+            const payload = readHubPayload(data);
+            if (!payload) {
                 console.warn('SignalR: Invalid payload received, expected data.jobs array');
                 return;
             }
-
-            try {
-                if (this.onNewJobsCallback) {
-                    await this.onNewJobsCallback(data.jobs);
-                } else {
-                    await this.handleNewJobs(data.jobs);
-                }
-            } catch (error) {
-                console.error('SignalR: Error processing new jobs', error);
-            }
+            await this.receiveJobs(payload.jobs);
         });
 
         this.connection.onclose((error) => {
@@ -126,6 +183,8 @@ class SignalRClient {
                 signalRConnected: true,
                 signalRFallbackActive: false
             });
+            // The hub forgets subscriptions with the old connection; then fetch what was missed
+            this.sendSubscription(true).then(() => this.catchUp());
 
             if (this.onReconnectedCallback) {
                 this.onReconnectedCallback();
@@ -133,17 +192,129 @@ class SignalRClient {
         });
     }
 
+    /**
+     * Process jobs from the hub and move the catch-up cursor past them. The
+     * cursor stays put when processing fails, so the next catch-up fetches
+     * those jobs again.
+     * @param {Array<Object>} jobs - Jobs in the hub format
+     */
+    async receiveJobs(jobs) {
+        try {
+            if (this.onNewJobsCallback) {
+                await this.onNewJobsCallback(jobs);
+            } else {
+                await this.handleNewJobs(jobs);
+            }
+
+            const { signalRCursor } = await chrome.storage.local.get(['signalRCursor']);
+            await chrome.storage.local.set({ signalRCursor: advanceHubCursor(signalRCursor, jobs) });
+        } catch (error) {
+            console.error('SignalR: Error processing new jobs', error);
+        }
+    }
+
+    /**
+     * Fetch the jobs published while disconnected: from the hub when it can
+     * replay them, otherwise from the listing back to the last received job.
+     */
+    async catchUp() {
+        if (!this.isConnected || !this.connection) return;
+
+        try {
+            const { signalRCursor } = await chrome.storage.local.get(['signalRCursor']);
+            if (!signalRCursor) {
+                // First connection: start from the newest job already archived by polling
+                await chrome.storage.local.set({ signalRCursor: advanceHubCursor(null, await getRecentArchivedJobs(20)) });
+                return;
+            }
+
+            let jobs = null;
+            try {
+                const payload = readHubPayload(await this.connection.invoke('GetJobsSince', {
+                    version: SIGNALR_PROTOCOL_VERSION,
+                    lastJobId: signalRCursor.lastJobId,
+                    since: new Date(signalRCursor.lastReceivedAt).toISOString()
+                }));
+                if (payload) jobs = payload.jobs;
+            } catch (error) {
+                console.warn('SignalR: Hub cannot replay missed jobs', error);
+            }
+
+            if (!jobs) {
+                if (!signalRCursor.lastJobId) return;
+                // The listing is a Mostaql fetch like polling: leave Mostaql alone while it
+                // refuses them, the cursor is kept for the next reconnect
+                if (await this.isPollingBlocked()) {
+                    console.log('SignalR: Polling is backed off, listing catch-up postponed');
+                    return;
+                }
+                console.log(`SignalR: Reading the listing back to job ${signalRCursor.lastJobId}`);
+                const result = await fetchListingSince(getPollingSearchUrl(createSavedSearch()), signalRCursor.lastJobId, SIGNALR_CATCH_UP_MAX_PAGES);
+                // A page refused on the way (see getPollingBlockReason) leaves a gap the
+                // cursor must not skip
+                if (await this.isPollingBlocked()) {
+                    console.warn('SignalR: Mostaql refused the listing catch-up, retrying on the next reconnect');
+                    return;
+                }
+                if (!result.complete) {
+                    console.warn(`SignalR: Catch-up stopped after ${SIGNALR_CATCH_UP_MAX_PAGES} pages, older missed jobs are skipped`);
+                }
+                jobs = result.jobs;
+            }
+
+            console.log(`SignalR: Caught up on ${jobs.length} missed job(s)`);
+            await this.receiveJobs(jobs.map(job => ({ ...job, late: true })));
+        } catch (error) {
+            console.error('SignalR: Catch-up failed', error);
+        }
+    }
+
+    /**
+     * Tells whether polling is backed off because Mostaql refused a fetch
+     * (getPollingBlockReason in fetchJobs records it).
+     * @returns {Promise<boolean>}
+     */
+    async isPollingBlocked() {
+        const { pollingBackoff } = await chrome.storage.local.get(['pollingBackoff']);
+        return isPollingBackedOff(pollingBackoff);
+    }
+
+    /**
+     * Send the watch profiles' filters to the hub so it only pushes relevant jobs.
+     * Hubs without a `Subscribe` method keep pushing every job, which the local
+     * filter in handleNewJobs handles either way.
+     * @param {boolean} [force] - Resend even if the filters did not change
+     */
+    async sendSubscription(force = false) {
+        if (!this.isConnected || !this.connection) return;
+
+        const data = await chrome.storage.local.get(['profiles', 'savedSearches', 'keywordSynonyms', 'settings']);
+        const subscription = buildHubSubscription(data);
+        if (!force && JSON.stringify(subscription) === JSON.stringify(this.subscription)) return;
+
+        try {
+            await this.connection.invoke('Subscribe', subscription);
+            this.subscription = subscription;
+            console.log('SignalR: Subscribed', subscription);
+            await chrome.storage.local.set({ signalRSubscribed: true });
+        } catch (error) {
+            // Older hub: keep the filters so unchanged settings are not resent to it
+            this.subscription = subscription;
+            console.warn('SignalR: Hub does not accept subscriptions, filtering locally', error);
+            await chrome.storage.local.set({ signalRSubscribed: false });
+        }
+    }
+
     /**
      * Default handler for new jobs (NO HTTP REQUESTS - just process received data).
      */
     async handleNewJobs(jobs) {
         console.log(`SignalR: Processing ${jobs.length} new job(s) [ZERO HTTP REQUESTS]`);
 
-        const data = await chrome.storage.local.get(['seenJobs', 'recentJobs', 'stats', 'settings', 'notificationsEnabled']);
-        let seenJobs = data.seenJobs || [];
-        let recentJobs = data.recentJobs || [];
+        const data = await chrome.storage.local.get(['stats', 'settings', 'notificationsEnabled', 'profiles', 'scoring', 'keywordSynonyms', 'quietVacations']);
         let stats = data.stats || { todayCount: 0, todayDate: new Date().toDateString() };
-        const settings = data.settings || {};
+        const profiles = getWatchProfiles(data);
+        const synonyms = data.keywordSynonyms || [];
 
         if (stats.todayDate !== new Date().toDateString()) {
             stats.todayCount = 0;
@@ -151,62 +322,43 @@ class SignalRClient {
         }
 
         const validJobs = [];
+        const archived = await getArchivedJobs(jobs.map(job => job.id));
+        const unseenJobs = [];
 
         for (const job of jobs) {
-            if (seenJobs.includes(job.id)) {
+            if (archived.has(job.id)) {
                 console.log(`SignalR: Skipping already seen job ${job.id}`);
                 continue;
             }
 
-            seenJobs.push(job.id);
+            // Archived whether or not it matches a profile
+            unseenJobs.push(job);
 
-            if (!applyFilters(job, settings)) {
+            if (!applyFilters(job, profiles, synonyms)) {
                 console.log(`SignalR: Filtering out job ${job.id}`);
                 continue;
             }
-
-            const existingIdx = recentJobs.findIndex(rj => rj.id === job.id);
-            if (existingIdx !== -1) {
-                recentJobs[existingIdx] = { ...recentJobs[existingIdx], ...job };
-            } else {
-                recentJobs.unshift(job);
-            }
+            Object.assign(job, scoreJob(job, data.scoring, synonyms));
 
             validJobs.push(job);
         }
 
+        await archiveJobs(unseenJobs);
+
         stats.lastCheck = new Date().toISOString();
         stats.todayCount += validJobs.length;
+        stats.totalSeen = await countArchivedJobs();
 
-        if (seenJobs.length > 500) {
-            seenJobs = seenJobs.slice(-500);
-        }
-
-        recentJobs.sort((a, b) => {
-            const idA = parseInt(a.id) || 0;
-            const idB = parseInt(b.id) || 0;
-            return idB - idA;
-        });
-        recentJobs = recentJobs.slice(0, 50);
-
-        await chrome.storage.local.set({ seenJobs, stats, recentJobs });
+        await chrome.storage.local.set({ stats });
 
         if (validJobs.length > 0) {
-            if (settings.quietHoursEnabled && isQuietHour(settings)) {
-                console.log('SignalR: Quiet Hours active, suppressing notifications');
-                return;
-            }
-
             // Check if notifications are globally enabled
             const isEnabled = data.notificationsEnabled !== false;
             
             if (isEnabled) {
+                // Quiet time is applied per watch profile; quiet jobs are queued for the digest
                 console.log(`SignalR: Showing notifications for ${validJobs.length} job(s) [NO HTTP REQUESTS MADE]`);
-                showNotification(validJobs);
-
-                if (settings.sound) {
-                    playSound();
-                }
+                await alertWatchProfiles(validJobs, profiles, data.quietVacations || []);
             } else {
                 console.log('SignalR: Notifications are toggled off. Skipping alert.');
             }
@@ -271,7 +423,8 @@ class SignalRClient {
             }
         }
         this.isConnected = false;
-        await chrome.storage.local.set({ signalRConnected: false });
+        this.subscription = null;
+        await chrome.storage.local.set({ signalRConnected: false, signalRSubscribed: false });
     }
 
     /**
@@ -295,6 +448,7 @@ class SignalRClient {
         return {
             isConnected: this.isConnected,
             state: this.connection?.state || 'Disconnected',
+            hub: this.hub ? this.hub.name : null,
             reconnectAttempts: this.reconnectAttempts
         };
     }
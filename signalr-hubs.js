@@ -0,0 +1,204 @@
+// ==========================================
+// Frelancia - SignalR Hubs
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+// Subscriptions rely on watch-profiles.js, mostaql-search.js and arabic-text.js.
+//
+// Real-time jobs come from a SignalR hub. The public Frelancia hub is built
+// in; users can add their own, e.g. a team relay or a local hub for testing,
+// with an optional access token that SignalR sends as a Bearer token (the
+// `access_token` query parameter on WebSockets). A relay has to push
+// `NewJobsDetected` with `{ jobs: [...] }` in the job format of the public
+// hub, and may answer `Ping`.
+
+/** Built-in public hub. */
+const DEFAULT_SIGNALR_HUB = {
+    id: 'frelancia',
+    name: 'خادم Frelancia العام',
+    url: 'https://frelancia.runasp.net/jobNotificationHub',
+    accessToken: ''
+};
+
+/** How long a connection test may take. */
+const SIGNALR_TEST_TIMEOUT_MS = 10000;
+
+/**
+ * Creates a hub with default values for any missing field.
+ * @param {Object} fields - Partial hub definition
+ * @returns {Object} - { id, name, url, accessToken }
+ */
+function createSignalRHub(fields = {}) {
+    return {
+        id: fields.id || `hub_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name: fields.name || 'خادم مخصص',
+        url: (fields.url || '').trim(),
+        accessToken: (fields.accessToken || '').trim()
+    };
+}
+
+/**
+ * Returns the built-in hub followed by the user's hubs.
+ * @param {Object} data - Storage data with `signalRHubs`
+ * @returns {Array<Object>}
+ */
+function getSignalRHubs(data = {}) {
+    return [DEFAULT_SIGNALR_HUB, ...(data.signalRHubs || []).map(createSignalRHub)];
+}
+
+/**
+ * Returns the hub selected in the settings, or the built-in hub when it was deleted.
+ * @param {Object} data - Storage data with `signalRHubs` and `settings`
+ * @returns {Object}
+ */
+function getActiveSignalRHub(data = {}) {
+    const id = (data.settings || {}).signalRHubId;
+    return getSignalRHubs(data).find(hub => hub.id === id) || DEFAULT_SIGNALR_HUB;
+}
+
+// --- Subscriptions ---
+//
+// After connecting, the client invokes `Subscribe` with the categories,
+// keywords and budget floor of its enabled watch profiles so the hub can skip
+// jobs no profile could match. The filters are a superset of the local ones:
+// an empty list means "no constraint", a job must contain one of the keywords
+// in its title or description (compared after Arabic normalization), and a job
+// whose budget is unknown passes the floor. Keywords are sent as the stems the
+// local matcher compares (see getHubKeywordForms), so a plain substring check
+// on the hub accepts every job a profile would. Jobs are still filtered
+// locally, which also covers hubs that predate subscriptions.
+
+/** Version of the subscription and NewJobsDetected payload format. */
+const SIGNALR_PROTOCOL_VERSION = 2;
+
+/** Rule fields a keyword constraint may come from. */
+const SUBSCRIPTION_TEXT_FIELDS = ['text', 'title', 'description'];
+
+/**
+ * Returns keywords one of which every job passing a rule tree contains.
+ * @param {Object} node - Group or rule node
+ * @returns {Array<string>|null} - null when the tree does not require a keyword
+ */
+function getRequiredKeywords(node) {
+    if (!node || node.negate) return null;
+
+    if (node.type === 'rule') {
+        const value = String(node.value || '').trim();
+        const isRegex = /^\/.+\/[a-z]*$/.test(value);
+        return SUBSCRIPTION_TEXT_FIELDS.includes(node.field) && node.operator === 'contains' && value && !isRegex
+            ? [value]
+            : null;
+    }
+
+    const children = (node.children || []).map(getRequiredKeywords);
+    if (children.length === 0) return null;
+    if (node.op === 'or') return children.includes(null) ? null : children.flat();
+
+    // Any constrained child of an AND group is required; the shortest list is the tightest
+    const constrained = children.filter(Boolean).sort((a, b) => a.length - b.length);
+    return constrained.length > 0 ? constrained[0] : null;
+}
+
+/**
+ * Returns substrings one of which any text matched by a keyword contains.
+ * The local matcher compares affix-stripped variants of every word; those of
+ * the text are substrings of its words, except English stems that turn "ies"
+ * into "y" ("companies" → "company"), so a final "y" is dropped.
+ * @param {string} term - Keyword or phrase (already expanded with synonyms)
+ * @returns {Array<string>} - Normalized forms
+ */
+function getHubKeywordForms(term) {
+    return tokenizeText(term)
+        .flatMap(getWordVariants)
+        .map(form => /^[a-z]{3,}y$/.test(form) ? form.slice(0, -1) : form);
+}
+
+/**
+ * Returns the budget every job passing a rule tree reaches.
+ * @param {Object} node - Group or rule node
+ * @returns {number} - USD, 0 when the tree sets no floor
+ */
+function getBudgetFloor(node) {
+    if (!node || node.negate) return 0;
+
+    if (node.type === 'rule') {
+        const value = parseFloat(node.value);
+        return node.field === 'budget' && ['gte', 'gt', 'eq'].includes(node.operator) && value > 0 ? value : 0;
+    }
+
+    const floors = (node.children || []).map(getBudgetFloor);
+    if (floors.length === 0) return 0;
+    return node.op === 'or' ? Math.min(...floors) : Math.max(...floors);
+}
+
+/**
+ * Builds the subscription sent to the hub from the enabled watch profiles.
+ * @param {Object} data - Storage data with profiles, savedSearches, keywordSynonyms and settings
+ * @returns {Object} - { version, categories, keywords, minBudget }
+ */
+function buildHubSubscription(data = {}) {
+    const profiles = getWatchProfiles(data).filter(profile => profile.enabled);
+    const searches = (data.savedSearches || migrateLegacySearches(data.settings || {}))
+        .map(createSavedSearch)
+        .filter(search => search.enabled);
+    const synonyms = data.keywordSynonyms || [];
+    const subscription = { version: SIGNALR_PROTOCOL_VERSION, categories: [], keywords: [], minBudget: 0 };
+    if (profiles.length === 0) return subscription;
+
+    // A search without categories (all projects or a custom URL) covers every category
+    const scoped = profiles.flatMap(profile => profile.searchIds.length === 0
+        ? searches
+        : searches.filter(search => profile.searchIds.includes(search.id)));
+    if (scoped.length > 0 && !scoped.some(search => search.customUrl || search.categories.length === 0)) {
+        subscription.categories = [...new Set(scoped.flatMap(search => search.categories))];
+    }
+
+    const keywordSets = profiles.map(profile => getRequiredKeywords(profile.filterRules));
+    if (!keywordSets.includes(null)) {
+        const terms = keywordSets.flat().flatMap(keyword => expandKeyword(keyword, synonyms));
+        subscription.keywords = [...new Set(terms.flatMap(getHubKeywordForms))];
+    }
+
+    subscription.minBudget = Math.min(...profiles.map(profile => getBudgetFloor(profile.filterRules)));
+    return subscription;
+}
+
+// --- Catch-up ---
+//
+// The client remembers the newest job it received. After a reconnect or a
+// service worker restart it asks the hub for what was published meanwhile
+// through `GetJobsSince` ({ version, lastJobId, since }, answered like a
+// NewJobsDetected payload); hubs without it are replaced by reading the
+// public listing page by page back to that job.
+
+/** Listing pages read at most when the hub cannot replay missed jobs. */
+const SIGNALR_CATCH_UP_MAX_PAGES = 5;
+
+/**
+ * Moves the catch-up cursor past a batch of received jobs.
+ * @param {Object|null} cursor - { lastJobId, lastReceivedAt }
+ * @param {Array<Object>} jobs - Jobs received from the hub
+ * @param {number} [now] - Epoch ms
+ * @returns {Object} - New cursor
+ */
+function advanceHubCursor(cursor, jobs, now = Date.now()) {
+    const ids = jobs.map(job => Number(job.id)).filter(id => id > 0);
+    const lastJobId = Math.max(Number(cursor && cursor.lastJobId) || 0, ...ids);
+    return { lastJobId: lastJobId > 0 ? String(lastJobId) : null, lastReceivedAt: now };
+}
+
+/**
+ * Reads a NewJobsDetected payload. Hubs that predate subscriptions send
+ * { jobs } without a version; a newer version is read for the fields this
+ * client knows.
+ * @param {Object} data - Payload received from the hub
+ * @returns {Object|null} - { version, jobs }, or null when it holds no jobs array
+ */
+function readHubPayload(data) {
+    if (!data || !Array.isArray(data.jobs)) return null;
+
+    const version = Number.isInteger(data.version) ? data.version : 1;
+    if (version > SIGNALR_PROTOCOL_VERSION) {
+        console.warn(`SignalR: Payload version ${version} is newer than ${SIGNALR_PROTOCOL_VERSION}, reading known fields only`);
+    }
+    return { version, jobs: data.jobs };
+}
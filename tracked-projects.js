@@ -0,0 +1,113 @@
+// ==========================================
+// Frelancia - Tracked Project Scheduling
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+//
+// Each tracked project carries its own schedule: `nextCheckAt` (epoch ms),
+// an optional `pollMinutes` override (0/undefined = by status), `paused`,
+// `closedAt` (first check that saw it closed) and `archivedAt`. The
+// background keeps a `trackedProjects` alarm set at the earliest `nextCheckAt`,
+// independent of the `checkJobs` period, so each project is checked on its own
+// interval. Every tick fetches at most TRACKED_CHECKS_PER_TICK due projects,
+// and ticks are at least TRACKED_TICK_MIN_MINUTES apart, so a long list is
+// spread over several ticks instead of fetched in one burst.
+
+/** Default poll interval (minutes) per project phase. */
+const TRACKED_PHASE_INTERVALS = {
+    open: 15,
+    underway: 60,
+    closed: 360
+};
+
+/** Phase labels shown in the dashboard. */
+const TRACKED_PHASE_LABELS = {
+    open: 'مفتوح',
+    underway: 'قيد التنفيذ',
+    closed: 'مغلق'
+};
+
+/** Interval choices offered in the dashboard (0 = by status). */
+const TRACKED_POLL_OPTIONS = [0, 5, 15, 30, 60, 180, 360, 1440];
+
+/** Maximum tracked projects fetched per alarm tick. */
+const TRACKED_CHECKS_PER_TICK = 3;
+
+/** Minimum delay between two alarm ticks (minutes). */
+const TRACKED_TICK_MIN_MINUTES = 1;
+
+/** Days a closed project keeps being tracked before it is archived. */
+const DEFAULT_TRACKED_GRACE_DAYS = 3;
+
+/**
+ * Classifies a tracked project by its last known status.
+ * @param {Object} project - Tracked project
+ * @returns {string} - 'open' | 'underway' | 'closed'
+ */
+function getTrackedProjectPhase(project) {
+    const status = project.status || '';
+    if (/مغلق|مكتمل|ملغى|ملغي|منتهي/.test(status)) return 'closed';
+    if (project.awarded || /تنفيذ|جارٍ|جاري/.test(status)) return 'underway';
+    return 'open';
+}
+
+/**
+ * Returns the effective poll interval of a project.
+ * @param {Object} project - Tracked project
+ * @returns {number} - Minutes
+ */
+function getTrackedPollMinutes(project) {
+    return project.pollMinutes > 0 ? project.pollMinutes : TRACKED_PHASE_INTERVALS[getTrackedProjectPhase(project)];
+}
+
+/**
+ * Computes when a project should next be checked. Up to 10% jitter keeps
+ * projects added together from staying in lockstep.
+ * @param {Object} project - Tracked project
+ * @param {number} [now] - Epoch ms
+ * @returns {number} - Epoch ms
+ */
+function getNextTrackedCheckAt(project, now = Date.now()) {
+    const intervalMs = getTrackedPollMinutes(project) * 60 * 1000;
+    return now + intervalMs + Math.floor(Math.random() * intervalMs * 0.1);
+}
+
+/**
+ * Picks the projects to check this tick, most overdue first.
+ * @param {Object} trackedProjects - Tracked projects by id
+ * @param {number} [now] - Epoch ms
+ * @param {number} [limit] - Maximum projects
+ * @returns {Array<string>} - Project ids
+ */
+function selectDueTrackedProjects(trackedProjects, now = Date.now(), limit = TRACKED_CHECKS_PER_TICK) {
+    return Object.entries(trackedProjects)
+        .filter(([, project]) => !project.paused && !project.archivedAt && (project.nextCheckAt || 0) <= now)
+        .sort(([, a], [, b]) => (a.nextCheckAt || 0) - (b.nextCheckAt || 0))
+        .slice(0, limit)
+        .map(([id]) => id);
+}
+
+/**
+ * Computes when the next tick should run: the earliest `nextCheckAt` of the
+ * active projects, but not sooner than TRACKED_TICK_MIN_MINUTES from now.
+ * @param {Object} trackedProjects - Tracked projects by id
+ * @param {number} [now] - Epoch ms
+ * @returns {number|null} - Epoch ms, or null when nothing is active
+ */
+function getNextTrackedTickAt(trackedProjects, now = Date.now()) {
+    const pending = Object.values(trackedProjects)
+        .filter(project => !project.paused && !project.archivedAt)
+        .map(project => project.nextCheckAt || 0);
+    if (pending.length === 0) return null;
+    return Math.max(Math.min(...pending), now + TRACKED_TICK_MIN_MINUTES * 60 * 1000);
+}
+
+/**
+ * Checks whether a closed project's grace period is over.
+ * @param {Object} project - Tracked project
+ * @param {number} graceDays - Grace period in days
+ * @param {number} [now] - Epoch ms
+ * @returns {boolean}
+ */
+function isTrackedProjectExpired(project, graceDays, now = Date.now()) {
+    return !project.archivedAt && !!project.closedAt && now - project.closedAt >= graceDays * 24 * 60 * 60 * 1000;
+}
@@ -0,0 +1,94 @@
+// ==========================================
+// Frelancia - Watch Profiles
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+//
+// A watch profile bundles one set of interests: the saved searches it covers,
+// its filter rules, how it alerts (sound, notification style, weekly quiet
+// schedule, minimum relevance score) and the proposal template/prompt used by "قدّم الآن"
+// for the jobs it matched.
+
+/** Notification sounds a profile can use (action = offscreen message). */
+const PROFILE_SOUNDS = {
+    default: { label: 'النغمة الافتراضية', action: 'playSound' },
+    alert: { label: 'نغمة التنبيه', action: 'playTrackedSound' },
+    none: { label: 'بدون صوت', action: null }
+};
+
+/** Notification styles: rich keeps the notification open and shows the description. */
+const PROFILE_NOTIFICATION_STYLES = {
+    rich: 'مفصل (مع الوصف ويبقى ظاهراً)',
+    compact: 'مختصر (العنوان والميزانية فقط)'
+};
+
+/**
+ * Creates a watch profile with default values for any missing field.
+ * @param {Object} fields - Partial profile definition
+ * @returns {Object} - Complete watch profile
+ */
+function createWatchProfile(fields = {}) {
+    return {
+        id: fields.id || `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name: fields.name || 'ملف جديد',
+        enabled: fields.enabled !== false,
+        searchIds: fields.searchIds || [],
+        filterRules: fields.filterRules || createRuleGroup('and'),
+        sound: PROFILE_SOUNDS[fields.sound] ? fields.sound : 'default',
+        notificationStyle: PROFILE_NOTIFICATION_STYLES[fields.notificationStyle] ? fields.notificationStyle : 'rich',
+        minScore: parseInt(fields.minScore) || 0,
+        quietHoursEnabled: fields.quietHoursEnabled === true,
+        quietSchedule: createQuietSchedule(fields),
+        proposalTemplate: fields.proposalTemplate || '',
+        promptId: fields.promptId || ''
+    };
+}
+
+/**
+ * Builds the default profile from the legacy flat settings.
+ * @param {Object} settings - Legacy settings object
+ * @returns {Object} - Watch profile covering every saved search
+ */
+function migrateLegacyProfile(settings = {}) {
+    return createWatchProfile({
+        id: 'profile_default',
+        name: 'الملف الافتراضي',
+        filterRules: getFilterRules(settings),
+        sound: settings.sound === false ? 'none' : 'default',
+        quietHoursEnabled: settings.quietHoursEnabled,
+        quietHoursStart: settings.quietHoursStart,
+        quietHoursEnd: settings.quietHoursEnd
+    });
+}
+
+/**
+ * Returns the stored profiles (filling fields added since they were saved),
+ * falling back to the legacy settings.
+ * @param {Object} data - Storage data with `profiles` and `settings`
+ * @returns {Array<Object>} - Watch profiles
+ */
+function getWatchProfiles(data = {}) {
+    return data.profiles
+        ? data.profiles.map(createWatchProfile)
+        : [migrateLegacyProfile(data.settings || {})];
+}
+
+/**
+ * Returns the enabled profiles that match a job.
+ * Jobs without searchIds (e.g. pushed over SignalR) are matched on rules only.
+ * @param {Object} job - Job object
+ * @param {Array<Object>} profiles - Watch profiles
+ * @param {Array<Array<string>>} [synonyms] - Keyword synonym groups
+ * @returns {Array<Object>} - Matching profiles, in profile order
+ */
+function matchWatchProfiles(job, profiles, synonyms = []) {
+    return profiles.filter(profile => {
+        if (!profile.enabled) return false;
+
+        const inScope = profile.searchIds.length === 0
+            || !job.searchIds
+            || job.searchIds.some(id => profile.searchIds.includes(id));
+
+        // Unknown fields (null) pass; the deep check re-runs the rules once details are fetched
+        return inScope && evaluateFilterNode(profile.filterRules, job, synonyms) !== false;
+    });
+}
@@ -0,0 +1,169 @@
+// ==========================================
+// Frelancia - Outgoing Webhooks
+// ==========================================
+// Shared by the background service worker (importScripts) and the dashboard.
+//
+// Every alert (matched job, tracked project change, digest) can also be
+// POSTed as JSON to user-configured endpoints, e.g. a local n8n or home
+// server. The body is the default payload or a user template, signed with
+// HMAC-SHA256 when the webhook has a secret. Failed deliveries are retried
+// with backoff from the `webhookRetry` alarm and every attempt is logged.
+
+/** Events a webhook can subscribe to. */
+const WEBHOOK_EVENTS = {
+    job: 'مشروع مطابق',
+    tracked: 'تحديث مشروع مراقب',
+    digest: 'ملخص'
+};
+
+/** Delay (minutes) before each retry; a delivery fails after the last one. */
+const WEBHOOK_RETRY_DELAYS = [1, 5, 15, 60, 360];
+
+/** Request timeout. */
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/** Delivery log entries kept (newest first). */
+const MAX_WEBHOOK_LOG = 100;
+
+/** Name of the signature header ("sha256=<hex>" of the raw body). */
+const WEBHOOK_SIGNATURE_HEADER = 'X-Frelancia-Signature';
+
+/**
+ * Creates a webhook with default values for any missing field.
+ * @param {Object} fields - Partial webhook definition
+ * @returns {Object} - { id, name, url, secret, events, template, enabled }
+ */
+function createWebhook(fields = {}) {
+    return {
+        id: fields.id || `webhook_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name: fields.name || 'Webhook',
+        url: fields.url || '',
+        secret: fields.secret || '',
+        events: (fields.events || Object.keys(WEBHOOK_EVENTS)).filter(event => WEBHOOK_EVENTS[event]),
+        template: fields.template || '',
+        enabled: fields.enabled !== false
+    };
+}
+
+// --- Payloads ---
+
+/**
+ * Wraps event data in the default payload.
+ * @param {string} event - WEBHOOK_EVENTS key
+ * @param {Object} data - Event data
+ * @returns {Object} - { event, sentAt, data }
+ */
+function buildWebhookPayload(event, data) {
+    return { event, sentAt: new Date().toISOString(), data };
+}
+
+/**
+ * Picks the fields of a job that are sent to webhooks.
+ * @param {Object} job - Job object
+ * @param {Object} [profile] - Watch profile that alerted about it
+ * @returns {Object}
+ */
+function getWebhookJobData(job, profile = null) {
+    return {
+        id: job.id,
+        title: job.title,
+        url: job.url,
+        budget: job.budget || '',
+        duration: job.duration || '',
+        description: job.description || '',
+        client: job.poster || job.clientName || '',
+        hiringRate: job.hiringRate || '',
+        score: job.score ?? null,
+        late: job.late === true,
+        profile: profile ? profile.name : ''
+    };
+}
+
+/**
+ * Looks up a dotted path ("data.job.title") in a payload.
+ * @param {Object} payload
+ * @param {string} path
+ * @returns {*} - undefined when missing
+ */
+function getTemplateValue(payload, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+}
+
+/**
+ * Renders the request body. An empty template sends the payload as is;
+ * otherwise every {{path}} is replaced by the value at that path of the
+ * payload: as JSON where a value is expected ("{{path}}" in quotes is
+ * replaced as a whole), and JSON-escaped text inside a longer string
+ * ("New: {{data.job.title}}"). The result must be valid JSON.
+ * @param {string} template - User template
+ * @param {Object} payload - Result of buildWebhookPayload
+ * @returns {string} - JSON body
+ * @throws {Error} - When the rendered template is not valid JSON
+ */
+function renderWebhookTemplate(template, payload) {
+    if (!template || !template.trim()) return JSON.stringify(payload);
+
+    const getValue = (path) => getTemplateValue(payload, path.trim()) ?? null;
+    const toJson = (path) => JSON.stringify(getValue(path));
+    const toStringContent = (path) => {
+        const value = getValue(path);
+        const text = value === null ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        return JSON.stringify(text).slice(1, -1);
+    };
+
+    // Strings are matched first so a placeholder is known to be inside one or not
+    const body = template.replace(/"(?:[^"\\]|\\.)*"|\{\{([^}]+)\}\}/g, (match, path) => {
+        if (path !== undefined) return toJson(path);
+        const whole = /^"\{\{([^}]+)\}\}"$/.exec(match);
+        if (whole) return toJson(whole[1]);
+        return match.replace(/\{\{([^}]+)\}\}/g, (placeholder, inner) => toStringContent(inner));
+    });
+
+    try {
+        JSON.parse(body);
+    } catch (e) {
+        throw new Error(`قالب الحمولة لا ينتج JSON صالحاً: ${e.message}`);
+    }
+    return body;
+}
+
+/**
+ * Signs a body with HMAC-SHA256.
+ * @param {string} secret - Shared secret
+ * @param {string} body - Raw request body
+ * @returns {Promise<string>} - "sha256=<hex>"
+ */
+async function signWebhookBody(secret, body) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+    return 'sha256=' + Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Returns when a failed delivery should be retried.
+ * @param {number} attempts - Attempts made so far
+ * @param {number} [now] - Epoch ms
+ * @returns {number|null} - Epoch ms, or null when no retry is left
+ */
+function getWebhookRetryAt(attempts, now = Date.now()) {
+    const delay = WEBHOOK_RETRY_DELAYS[attempts - 1];
+    return delay === undefined ? null : now + delay * 60 * 1000;
+}
+
+/**
+ * Returns the origin permission pattern a webhook URL needs.
+ * Match patterns cannot name a port, so the pattern covers every port of
+ * the host.
+ * @param {string} url - Webhook URL
+ * @returns {string|null} - e.g. "http://localhost/*" for http://localhost:5678/hook, or null when invalid
+ */
+function getWebhookOriginPattern(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+        return `${parsed.protocol}//${parsed.hostname}/*`;
+    } catch (e) {
+        return null;
+    }
+}